@@ -0,0 +1,183 @@
+"""Conversions between ORM rows and the note document used by the frontend."""
+import html
+import re
+import uuid
+from datetime import datetime
+
+from fastapi import HTTPException
+from sqlalchemy.orm import Session, object_session
+
+from . import models, schemas
+
+
+def get_note_or_404(db: Session, note_id: str) -> models.Note:
+    note = db.get(models.Note, note_id)
+    if note is None:
+        raise HTTPException(status_code=404, detail=f"Note {note_id} not found")
+    return note
+
+
+def get_box_or_404(note: models.Note, box_id: str) -> models.Box:
+    for box in note.boxes:
+        if box.box_id == box_id:
+            return box
+    raise HTTPException(status_code=404, detail=f"Box {box_id} not found")
+
+
+def sort_pair(a: str, b: str) -> tuple[str, str]:
+    """Orders two box IDs the way the frontend builds line IDs ("2_10", not "10_2")."""
+    def key(value: str):
+        return (0, int(value), value) if value.isdigit() else (1, 0, value)
+
+    first, second = sorted((a, b), key=key)
+    return first, second
+
+
+def parse_px(value: str) -> float:
+    try:
+        return float(str(value).removesuffix("px") or 0)
+    except ValueError:
+        return 0.0
+
+
+def format_px(value: float) -> str:
+    return f"{value:g}px"
+
+
+def box_to_document(box: models.Box, lines: list[str]) -> schemas.BoxDocument:
+    return schemas.BoxDocument(
+        id=box.box_id,
+        html=box.html,
+        style=schemas.BoxStyle(
+            left=format_px(box.left),
+            top=format_px(box.top),
+            backgroundColor=box.background_color,
+        ),
+        lines=lines,
+        note=box.sub_note_id,
+        collapsed=box.collapsed,
+    )
+
+
+def link_to_read(link: models.Link) -> schemas.LinkRead:
+    return schemas.LinkRead(
+        id="_".join(sort_pair(link.source_id, link.target_id)),
+        source=link.source_id,
+        target=link.target_id,
+        directed=link.directed,
+        label=link.label,
+        color=link.color,
+        dash=link.dash,
+    )
+
+
+def find_link(note: models.Note, a: str, b: str) -> models.Link | None:
+    """Returns the link between two boxes, whatever its direction."""
+    pair = sort_pair(a, b)
+    return next((link for link in note.links if sort_pair(link.source_id, link.target_id) == pair), None)
+
+
+def set_link_fields(link: models.Link, source: str, target: str, payload: schemas.LinkCreate) -> None:
+    """Copies direction, label and style to a link. Undirected links keep their pair in ascending order."""
+    link.source_id, link.target_id = (source, target) if payload.directed else sort_pair(source, target)
+    link.directed = payload.directed
+    link.label = payload.label.strip()
+    link.color = payload.color.lower()
+    link.dash = payload.dash
+
+
+def note_to_document(note: models.Note) -> schemas.NoteDocument:
+    neighbors: dict[str, list[str]] = {box.box_id: [] for box in note.boxes}
+    for link in note.links:
+        neighbors.setdefault(link.source_id, []).append(link.target_id)
+        neighbors.setdefault(link.target_id, []).append(link.source_id)
+
+    return schemas.NoteDocument(
+        schemaVersion=note.schema_version,
+        heading=note.heading,
+        cueText=note.cue_text,
+        summary=note.summary,
+        boxes=[box_to_document(box, neighbors[box.box_id]) for box in note.boxes],
+        links=[link_to_read(link) for link in note.links],
+        rejectedLinks=note.rejected_links or [],
+    )
+
+
+def note_to_read(note: models.Note) -> schemas.NoteRead:
+    return schemas.NoteRead(
+        id=note.id,
+        name=note.name,
+        created_at=note.created_at,
+        updated_at=note.updated_at,
+        document=note_to_document(note),
+    )
+
+
+def apply_document(note: models.Note, document: schemas.NoteDocument) -> None:
+    """Replaces the content, boxes and links of a note with those of a document."""
+    note.schema_version = document.schemaVersion
+    note.heading = document.heading
+    note.cue_text = document.cueText
+    note.summary = document.summary
+    note.rejected_links = list(document.rejectedLinks)
+
+    note.boxes.clear()
+    note.links.clear()
+    # Flush the deletes first: the new rows reuse the same (note_id, box_id) keys.
+    session = object_session(note)
+    if session is not None:
+        session.flush()
+
+    box_ids = {box.id for box in document.boxes}
+    pairs: set[tuple[str, str]] = set()
+    for box in document.boxes:
+        note.boxes.append(
+            models.Box(
+                box_id=box.id,
+                html=box.html,
+                left=parse_px(box.style.left),
+                top=parse_px(box.style.top),
+                background_color=box.style.backgroundColor,
+                sub_note_id=box.note,
+                collapsed=box.collapsed,
+            )
+        )
+        pairs.update(sort_pair(box.id, other) for other in box.lines if other in box_ids and other != box.id)
+
+    # Links listed with their details win over the bare pairs of box.lines.
+    details = {sort_pair(link.source, link.target): link for link in document.links}
+    pairs.update(pair for pair in details if pair[0] != pair[1] and set(pair) <= box_ids)
+
+    for source, target in sorted(pairs):
+        payload = details.get((source, target)) or schemas.LinkCreate(source=source, target=target)
+        link = models.Link()
+        set_link_fields(link, payload.source, payload.target, payload)
+        note.links.append(link)
+
+
+def touch(note: models.Note, updated_at: datetime | None = None) -> None:
+    note.updated_at = updated_at or models.utcnow()
+
+
+def new_note_id() -> str:
+    return f"note-{uuid.uuid4().hex[:12]}"
+
+
+def new_version_id() -> str:
+    return f"version-{uuid.uuid4().hex[:12]}"
+
+
+def version_to_summary(version: models.NoteVersion) -> schemas.VersionSummary:
+    return schemas.VersionSummary(id=version.id, label=version.label, created_at=version.created_at)
+
+
+def next_box_id(note: models.Note) -> str:
+    numeric = [int(box.box_id) for box in note.boxes if box.box_id.isdigit()]
+    return str(max(numeric, default=0) + 1)
+
+
+def html_to_text(value: str) -> str:
+    """Strips the tags of stored HTML content and collapses whitespace."""
+    text = re.sub(r"<(br|/?div|/?p|/?li)\b[^>]*>", " ", value or "", flags=re.IGNORECASE)
+    text = re.sub(r"<[^>]+>", "", text)
+    return re.sub(r"\s+", " ", html.unescape(text)).strip()
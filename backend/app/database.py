@@ -0,0 +1,29 @@
+"""Database engine and session handling.
+
+The connection string comes from the DATABASE_URL environment variable set in
+docker-compose.yml. Without it, a local SQLite file is used so the API can be
+run outside of Docker during development.
+"""
+import os
+
+from sqlalchemy import create_engine
+from sqlalchemy.orm import DeclarativeBase, sessionmaker
+
+DATABASE_URL = os.getenv("DATABASE_URL", "sqlite:///./treenotes.db")
+
+connect_args = {"check_same_thread": False} if DATABASE_URL.startswith("sqlite") else {}
+engine = create_engine(DATABASE_URL, connect_args=connect_args, pool_pre_ping=True)
+SessionLocal = sessionmaker(bind=engine, autoflush=False)
+
+
+class Base(DeclarativeBase):
+    """Base class of all ORM models."""
+
+
+def get_db():
+    """FastAPI dependency yielding a database session that is closed after the request."""
+    db = SessionLocal()
+    try:
+        yield db
+    finally:
+        db.close()
@@ -0,0 +1,39 @@
+"""TreeNotes API.
+
+Run locally with `uvicorn app.main:app --reload` from the backend directory.
+"""
+import os
+
+from fastapi import FastAPI
+from fastapi.middleware.cors import CORSMiddleware
+
+from . import migrations
+from .database import Base, engine
+from .routers import ai, boxes, links, live, notes, search, versions
+
+# Tables are created on startup; columns added since are added to existing tables.
+Base.metadata.create_all(bind=engine)
+migrations.upgrade(engine)
+
+app = FastAPI(title="TreeNotes API")
+
+# The frontend is served from another port (8080), so cross-origin requests must be allowed.
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=os.getenv("CORS_ORIGINS", "*").split(","),
+    allow_methods=["*"],
+    allow_headers=["*"],
+)
+
+app.include_router(notes.router)
+app.include_router(boxes.router)
+app.include_router(links.router)
+app.include_router(versions.router)
+app.include_router(ai.router)
+app.include_router(search.router)
+app.include_router(live.router)
+
+
+@app.get("/api/health")
+def health():
+    return {"status": "ok"}
@@ -0,0 +1,36 @@
+"""Upgrades of databases created by an earlier version of the API.
+
+Base.metadata.create_all creates missing tables but never alters existing
+ones, so every column added to a model after its table first shipped is
+listed here and added on startup to tables that lack it.
+"""
+from sqlalchemy import Engine, inspect, text
+
+from .database import Base
+
+# (table, column, SQL default given to the rows that already exist).
+ADDED_COLUMNS = [
+    ("notes", "rejected_links", "'[]'"),
+    ("links", "directed", "false"),
+    ("links", "label", "''"),
+    ("links", "color", "''"),
+    ("links", "dash", "'solid'"),
+    ("boxes", "sub_note_id", None),
+    ("boxes", "collapsed", "false"),
+]
+
+
+def upgrade(engine: Engine) -> None:
+    """Adds the columns listed in ADDED_COLUMNS that are missing from the database."""
+    inspector = inspect(engine)
+    with engine.begin() as connection:
+        for table_name, column_name, default in ADDED_COLUMNS:
+            existing = {column["name"] for column in inspector.get_columns(table_name)}
+            if column_name in existing:
+                continue
+
+            column = Base.metadata.tables[table_name].columns[column_name]
+            ddl = f"ALTER TABLE {table_name} ADD COLUMN {column_name} {column.type.compile(engine.dialect)}"
+            if default is not None:
+                ddl += f" DEFAULT {default} NOT NULL"
+            connection.execute(text(ddl))
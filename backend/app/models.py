@@ -0,0 +1,104 @@
+"""ORM models: a note owns its boxes and the links between them.
+
+Boxes and links are identified by the IDs the frontend assigns (box "3",
+link "2_3"), which are only unique within their note.
+"""
+from datetime import datetime, timezone
+
+from sqlalchemy import JSON, Boolean, DateTime, Float, ForeignKey, Integer, String, Text, UniqueConstraint
+from sqlalchemy.orm import Mapped, mapped_column, relationship
+
+from .database import Base
+
+
+def utcnow() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+class Note(Base):
+    __tablename__ = "notes"
+
+    id: Mapped[str] = mapped_column(String(64), primary_key=True)
+    name: Mapped[str] = mapped_column(String(255), default="Untitled note")
+    schema_version: Mapped[int] = mapped_column(Integer, default=2)
+    heading: Mapped[str] = mapped_column(Text, default="")
+    cue_text: Mapped[str] = mapped_column(Text, default="")
+    summary: Mapped[str] = mapped_column(Text, default="")
+    # Line IDs ("2_3") of AI link suggestions the user rejected for this note.
+    rejected_links: Mapped[list[str]] = mapped_column(JSON, default=list)
+    created_at: Mapped[datetime] = mapped_column(DateTime(timezone=True), default=utcnow)
+    updated_at: Mapped[datetime] = mapped_column(DateTime(timezone=True), default=utcnow)
+
+    boxes: Mapped[list["Box"]] = relationship(
+        back_populates="note", cascade="all, delete-orphan", order_by="Box.id"
+    )
+    links: Mapped[list["Link"]] = relationship(
+        back_populates="note", cascade="all, delete-orphan", order_by="Link.id"
+    )
+    versions: Mapped[list["NoteVersion"]] = relationship(
+        back_populates="note", cascade="all, delete-orphan", order_by="NoteVersion.created_at"
+    )
+
+
+class Box(Base):
+    __tablename__ = "boxes"
+    __table_args__ = (UniqueConstraint("note_id", "box_id"),)
+
+    id: Mapped[int] = mapped_column(Integer, primary_key=True)
+    note_id: Mapped[str] = mapped_column(ForeignKey("notes.id", ondelete="CASCADE"), index=True)
+    box_id: Mapped[str] = mapped_column(String(64))
+    html: Mapped[str] = mapped_column(Text, default="")
+    left: Mapped[float] = mapped_column(Float, default=0)
+    top: Mapped[float] = mapped_column(Float, default=0)
+    background_color: Mapped[str] = mapped_column(String(64), default="")
+    sub_note_id: Mapped[str | None] = mapped_column(String(64), nullable=True)
+    collapsed: Mapped[bool] = mapped_column(Boolean, default=False)
+
+    note: Mapped[Note] = relationship(back_populates="boxes")
+
+
+class Link(Base):
+    """A line between two boxes. Directed links point from source to target;
+    undirected ones store the pair in ascending order. Either way a note has
+    at most one link per pair of boxes (see crud.find_link)."""
+
+    __tablename__ = "links"
+    __table_args__ = (UniqueConstraint("note_id", "source_id", "target_id"),)
+
+    id: Mapped[int] = mapped_column(Integer, primary_key=True)
+    note_id: Mapped[str] = mapped_column(ForeignKey("notes.id", ondelete="CASCADE"), index=True)
+    source_id: Mapped[str] = mapped_column(String(64))
+    target_id: Mapped[str] = mapped_column(String(64))
+    directed: Mapped[bool] = mapped_column(Boolean, default=False)
+    label: Mapped[str] = mapped_column(String(255), default="")
+    color: Mapped[str] = mapped_column(String(16), default="")
+    dash: Mapped[str] = mapped_column(String(16), default="solid")
+
+    note: Mapped[Note] = relationship(back_populates="links")
+
+
+class NoteVersion(Base):
+    """An immutable snapshot of a note, taken each time the user saves it.
+    The document is stored whole, in the format of schemas.NoteDocument."""
+
+    __tablename__ = "note_versions"
+
+    id: Mapped[str] = mapped_column(String(64), primary_key=True)
+    note_id: Mapped[str] = mapped_column(ForeignKey("notes.id", ondelete="CASCADE"), index=True)
+    label: Mapped[str] = mapped_column(String(255), default="")
+    document: Mapped[dict] = mapped_column(JSON)
+    created_at: Mapped[datetime] = mapped_column(DateTime(timezone=True), default=utcnow)
+
+    note: Mapped[Note] = relationship(back_populates="versions")
+
+
+class Embedding(Base):
+    """Cache of embedding vectors, keyed by the model and a hash of the embedded text."""
+
+    __tablename__ = "embeddings"
+    __table_args__ = (UniqueConstraint("model", "text_hash"),)
+
+    id: Mapped[int] = mapped_column(Integer, primary_key=True)
+    model: Mapped[str] = mapped_column(String(128))
+    text_hash: Mapped[str] = mapped_column(String(64))
+    vector: Mapped[list[float]] = mapped_column(JSON)
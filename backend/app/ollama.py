@@ -0,0 +1,67 @@
+"""Thin client for the Ollama HTTP API.
+
+OLLAMA_URL points at the Ollama server (the "ollama" service in
+docker-compose.yml), OLLAMA_MODEL selects the model used for text generation
+and OLLAMA_EMBED_MODEL the model used for embeddings.
+"""
+import json
+import os
+
+import httpx
+
+OLLAMA_URL = os.getenv("OLLAMA_URL", "http://localhost:11434")
+OLLAMA_MODEL = os.getenv("OLLAMA_MODEL", "llama3.2")
+OLLAMA_EMBED_MODEL = os.getenv("OLLAMA_EMBED_MODEL", "nomic-embed-text")
+OLLAMA_TIMEOUT = float(os.getenv("OLLAMA_TIMEOUT", "120"))
+
+
+class OllamaError(Exception):
+    """Raised when Ollama cannot be reached or does not return usable JSON."""
+
+
+async def generate_json(prompt: str, system: str) -> dict:
+    """Runs a prompt in JSON mode and returns the parsed answer."""
+    payload = {
+        "model": OLLAMA_MODEL,
+        "system": system,
+        "prompt": prompt,
+        "format": "json",
+        "stream": False,
+        "options": {"temperature": 0.2},
+    }
+    try:
+        async with httpx.AsyncClient(timeout=OLLAMA_TIMEOUT) as client:
+            response = await client.post(f"{OLLAMA_URL}/api/generate", json=payload)
+            response.raise_for_status()
+    except httpx.HTTPError as error:
+        raise OllamaError(f"Ollama request failed: {error}") from error
+
+    try:
+        answer = json.loads(response.json()["response"])
+    except (KeyError, ValueError) as error:
+        raise OllamaError("Ollama did not return valid JSON") from error
+    if not isinstance(answer, dict):
+        raise OllamaError("Ollama did not return a JSON object")
+    return answer
+
+
+async def embed(texts: list[str]) -> list[list[float]]:
+    """Returns one embedding vector per text, in the same order."""
+    if not texts:
+        return []
+    try:
+        async with httpx.AsyncClient(timeout=OLLAMA_TIMEOUT) as client:
+            response = await client.post(
+                f"{OLLAMA_URL}/api/embed", json={"model": OLLAMA_EMBED_MODEL, "input": texts}
+            )
+            response.raise_for_status()
+    except httpx.HTTPError as error:
+        raise OllamaError(f"Ollama request failed: {error}") from error
+
+    try:
+        embeddings = response.json()["embeddings"]
+    except (KeyError, ValueError) as error:
+        raise OllamaError("Ollama did not return embeddings") from error
+    if len(embeddings) != len(texts):
+        raise OllamaError("Ollama returned the wrong number of embeddings")
+    return embeddings
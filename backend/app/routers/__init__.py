@@ -0,0 +1 @@
+"""API routers for notes, boxes and links."""
@@ -0,0 +1,113 @@
+"""AI endpoints backed by a local Ollama model."""
+import json
+
+from fastapi import APIRouter, HTTPException
+
+from .. import crud, schemas
+from ..ollama import OllamaError, generate_json
+
+router = APIRouter(prefix="/api/ai", tags=["ai"])
+
+CONCEPTS_SYSTEM = (
+    "You help students turn Cornell notes into a concept map. "
+    "Answer with JSON only, using this shape: "
+    '{"concepts": [{"id": "c1", "label": "short title", "description": "one sentence"}], '
+    '"relationships": [{"source": "c1", "target": "c2", "label": "how they relate"}]}. '
+    "Concept IDs are c1, c2, ... A relationship may also point at an existing box by its ID. "
+    "Do not repeat concepts that already exist as boxes. Keep labels under six words."
+)
+
+LINKS_SYSTEM = (
+    "You review a concept map and find missing connections between its boxes. "
+    "Answer with JSON only, using this shape: "
+    '{"suggestions": [{"source": "3", "target": "7", "reason": "why they are related"}]}. '
+    "Only use the box IDs you are given, never suggest a link that already exists, "
+    "and keep every reason to one short sentence."
+)
+
+MAX_CONCEPTS = 12
+MAX_LINK_SUGGESTIONS = 10
+
+
+@router.post("/concepts", response_model=schemas.ConceptResponse)
+async def extract_concepts(payload: schemas.ConceptRequest):
+    """Extracts key concepts and their relationships from the sections of a note."""
+    existing = [{"id": box.id, "text": box.text} for box in payload.boxes]
+    prompt = (
+        f"Heading:\n{payload.heading}\n\n"
+        f"Cue column:\n{payload.cueText}\n\n"
+        f"Summary:\n{payload.summary}\n\n"
+        f"Existing boxes:\n{json.dumps(existing, ensure_ascii=False)}"
+    )
+
+    try:
+        answer = await generate_json(prompt, CONCEPTS_SYSTEM)
+    except OllamaError as error:
+        raise HTTPException(status_code=502, detail=str(error)) from error
+
+    concepts = []
+    for index, item in enumerate(answer.get("concepts") or []):
+        if not isinstance(item, dict) or not str(item.get("label", "")).strip():
+            continue
+        concepts.append(
+            schemas.Concept(
+                id=str(item.get("id") or f"c{index + 1}"),
+                label=str(item["label"]).strip(),
+                description=str(item.get("description") or "").strip(),
+            )
+        )
+    concepts = concepts[:MAX_CONCEPTS]
+
+    # Drop relationships the model invented between unknown IDs.
+    known = {concept.id for concept in concepts} | {box.id for box in payload.boxes}
+    relationships = [
+        schemas.Relationship(
+            source=str(item.get("source")),
+            target=str(item.get("target")),
+            label=str(item.get("label") or "").strip(),
+        )
+        for item in answer.get("relationships") or []
+        if isinstance(item, dict)
+        and str(item.get("source")) in known
+        and str(item.get("target")) in known
+        and item.get("source") != item.get("target")
+    ]
+
+    return schemas.ConceptResponse(concepts=concepts, relationships=relationships)
+
+
+@router.post("/links", response_model=schemas.LinkSuggestionResponse)
+async def suggest_links(payload: schemas.LinkSuggestionRequest):
+    """Suggests missing links between existing boxes, skipping existing and rejected ones."""
+    if len(payload.boxes) < 2:
+        return schemas.LinkSuggestionResponse(suggestions=[])
+
+    prompt = (
+        f"Boxes:\n{json.dumps([box.model_dump() for box in payload.boxes], ensure_ascii=False)}\n\n"
+        f"Existing links:\n{json.dumps([[link.source, link.target] for link in payload.links])}"
+    )
+
+    try:
+        answer = await generate_json(prompt, LINKS_SYSTEM)
+    except OllamaError as error:
+        raise HTTPException(status_code=502, detail=str(error)) from error
+
+    known = {box.id for box in payload.boxes}
+    excluded = {crud.sort_pair(link.source, link.target) for link in [*payload.links, *payload.rejected]}
+    suggestions: dict[tuple[str, str], schemas.LinkSuggestion] = {}
+
+    for item in answer.get("suggestions") or []:
+        if not isinstance(item, dict):
+            continue
+        source, target = str(item.get("source")), str(item.get("target"))
+        if source not in known or target not in known or source == target:
+            continue
+
+        pair = crud.sort_pair(source, target)
+        if pair in excluded or pair in suggestions:
+            continue
+        suggestions[pair] = schemas.LinkSuggestion(
+            source=pair[0], target=pair[1], reason=str(item.get("reason") or "").strip()
+        )
+
+    return schemas.LinkSuggestionResponse(suggestions=list(suggestions.values())[:MAX_LINK_SUGGESTIONS])
@@ -0,0 +1,82 @@
+"""CRUD endpoints for the boxes of a note."""
+from fastapi import APIRouter, Depends, HTTPException, Response
+from sqlalchemy.orm import Session
+
+from .. import crud, models, schemas
+from ..database import get_db
+
+router = APIRouter(prefix="/api/notes/{note_id}/boxes", tags=["boxes"])
+
+
+def neighbors_of(note: models.Note, box_id: str) -> list[str]:
+    return [
+        link.target_id if link.source_id == box_id else link.source_id
+        for link in note.links
+        if box_id in (link.source_id, link.target_id)
+    ]
+
+
+@router.get("", response_model=list[schemas.BoxDocument])
+def list_boxes(note_id: str, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    return [crud.box_to_document(box, neighbors_of(note, box.box_id)) for box in note.boxes]
+
+
+@router.post("", response_model=schemas.BoxDocument, status_code=201)
+def create_box(note_id: str, payload: schemas.BoxCreate, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    box_id = payload.id or crud.next_box_id(note)
+    if any(box.box_id == box_id for box in note.boxes):
+        raise HTTPException(status_code=409, detail=f"Box {box_id} already exists")
+
+    box = models.Box(
+        box_id=box_id,
+        html=payload.html,
+        left=crud.parse_px(payload.style.left),
+        top=crud.parse_px(payload.style.top),
+        background_color=payload.style.backgroundColor,
+        sub_note_id=payload.note,
+        collapsed=payload.collapsed,
+    )
+    note.boxes.append(box)
+    crud.touch(note)
+    db.commit()
+    return crud.box_to_document(box, [])
+
+
+@router.get("/{box_id}", response_model=schemas.BoxDocument)
+def read_box(note_id: str, box_id: str, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    return crud.box_to_document(crud.get_box_or_404(note, box_id), neighbors_of(note, box_id))
+
+
+@router.patch("/{box_id}", response_model=schemas.BoxDocument)
+def update_box(note_id: str, box_id: str, payload: schemas.BoxUpdate, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    box = crud.get_box_or_404(note, box_id)
+
+    if payload.html is not None:
+        box.html = payload.html
+    if payload.style is not None:
+        box.left = crud.parse_px(payload.style.left)
+        box.top = crud.parse_px(payload.style.top)
+        box.background_color = payload.style.backgroundColor
+    if "note" in payload.model_fields_set:
+        box.sub_note_id = payload.note
+    if payload.collapsed is not None:
+        box.collapsed = payload.collapsed
+    crud.touch(note)
+    db.commit()
+    return crud.box_to_document(box, neighbors_of(note, box_id))
+
+
+@router.delete("/{box_id}", status_code=204)
+def delete_box(note_id: str, box_id: str, db: Session = Depends(get_db)):
+    """Deletes a box together with every link attached to it."""
+    note = crud.get_note_or_404(db, note_id)
+    note.boxes.remove(crud.get_box_or_404(note, box_id))
+    for link in [link for link in note.links if box_id in (link.source_id, link.target_id)]:
+        note.links.remove(link)
+    crud.touch(note)
+    db.commit()
+    return Response(status_code=204)
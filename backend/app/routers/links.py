@@ -0,0 +1,71 @@
+"""Endpoints for the links (lines) between boxes of a note."""
+from fastapi import APIRouter, Depends, HTTPException, Response
+from sqlalchemy.orm import Session
+
+from .. import crud, models, schemas
+from ..database import get_db
+
+router = APIRouter(prefix="/api/notes/{note_id}/links", tags=["links"])
+
+
+@router.get("", response_model=list[schemas.LinkRead])
+def list_links(note_id: str, db: Session = Depends(get_db)):
+    return [crud.link_to_read(link) for link in crud.get_note_or_404(db, note_id).links]
+
+
+@router.post("", response_model=schemas.LinkRead, status_code=201)
+def create_link(note_id: str, payload: schemas.LinkCreate, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    crud.get_box_or_404(note, payload.source)
+    crud.get_box_or_404(note, payload.target)
+    if payload.source == payload.target:
+        raise HTTPException(status_code=422, detail="A box cannot be linked to itself")
+
+    existing = crud.find_link(note, payload.source, payload.target)
+    if existing is not None:
+        return crud.link_to_read(existing)
+
+    link = models.Link()
+    crud.set_link_fields(link, payload.source, payload.target, payload)
+    note.links.append(link)
+    crud.touch(note)
+    db.commit()
+    return crud.link_to_read(link)
+
+
+def get_link_or_404(note: models.Note, link_id: str) -> models.Link:
+    source, _, target = link_id.partition("_")
+    link = crud.find_link(note, source, target)
+    if link is None:
+        raise HTTPException(status_code=404, detail=f"Link {link_id} not found")
+    return link
+
+
+@router.patch("/{link_id}", response_model=schemas.LinkRead)
+def update_link(note_id: str, link_id: str, payload: schemas.LinkUpdate, db: Session = Depends(get_db)):
+    """Changes the direction, label or style of a link given by its frontend ID ("2_3")."""
+    note = crud.get_note_or_404(db, note_id)
+    link = get_link_or_404(note, link_id)
+    if payload.source is not None and payload.source not in (link.source_id, link.target_id):
+        raise HTTPException(status_code=422, detail=f"Box {payload.source} is not an end of link {link_id}")
+
+    current = crud.link_to_read(link)
+    changes = payload.model_dump(exclude_none=True)
+    source = changes.pop("source", current.source)
+    target = link.target_id if source == link.source_id else link.source_id
+    crud.set_link_fields(link, source, target, current.model_copy(update=changes))
+    crud.touch(note)
+    db.commit()
+    return crud.link_to_read(link)
+
+
+@router.delete("/{link_id}", status_code=204)
+def delete_link(note_id: str, link_id: str, db: Session = Depends(get_db)):
+    """Deletes a link by its frontend ID ("2_3")."""
+    note = crud.get_note_or_404(db, note_id)
+    link = get_link_or_404(note, link_id)
+
+    note.links.remove(link)
+    crud.touch(note)
+    db.commit()
+    return Response(status_code=204)
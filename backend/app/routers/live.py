@@ -0,0 +1,469 @@
+"""Real-time collaboration on a note over a WebSocket.
+
+Every browser with a note open joins the live session of that note. The note
+is kept as a map of entries (the Cornell sections, each field of each box and
+each link, see schemas.LiveOp) and every change of an entry is stamped with a
+Lamport clock value and the ID of the client that made it. An entry keeps the
+value with the highest stamp, so every client ends up with the same note
+whatever order the changes arrive in.
+
+Text entries (the Cornell sections and the HTML of the boxes) are merged
+character by character instead, so that people typing in the same text at
+the same time all keep their changes. Each character has the stamp of the
+insertion that added it as its ID, and stays in place as a tombstone once
+deleted; an insertion names the character it follows (see merge_text).
+
+Clients number new boxes themselves, so two of them may create a box with the
+same ID at the same time. The first creation to reach the server keeps the ID;
+the other box is given a free ID, which its client is told with a "renamed"
+message along with the entries of the box that kept the ID. Its changes are
+renamed too until the client acknowledges.
+
+Sessions live in the memory of the API process. They are written back to the
+database shortly after each change and when the last client leaves.
+"""
+import asyncio
+import logging
+from collections.abc import Iterable
+from dataclasses import dataclass, field
+from typing import Any
+
+from fastapi import APIRouter, Query, WebSocket, WebSocketDisconnect
+from pydantic import ValidationError
+from starlette.concurrency import run_in_threadpool
+
+from .. import crud, models, schemas
+from ..database import SessionLocal
+
+router = APIRouter(prefix="/api/notes", tags=["live"])
+
+logger = logging.getLogger(__name__)
+
+# Seconds between a change and the write of the session to the database.
+SAVE_DELAY = 2.0
+
+# Cursor colors handed out to the clients of a session, first free one first.
+PEER_COLORS = ["#e8590c", "#1c7ed6", "#2f9e44", "#ae3ec9", "#f08c00", "#0c8599", "#e03131", "#5f3dc4"]
+
+# Stamp of the entries read from the database, older than any change made live.
+STORED = (0, "")
+
+# Creator of the boxes read from the database (the "box:<id>" entries hold the
+# ID of the client that created the box).
+STORED_CREATOR = "stored"
+
+# Most box IDs relayed in the selection of a client.
+MAX_SELECTION = 500
+
+# Keys of the Cornell sections, which are text entries like the HTML of the boxes.
+TEXT_SECTIONS = ("heading", "cueText", "summary")
+
+
+@dataclass
+class Peer:
+    socket: WebSocket
+    name: str
+    color: str
+    cursor: list[float] | None = None
+    selection: list[str] = field(default_factory=list)
+
+    def presence(self, client_id: str) -> dict[str, Any]:
+        return {
+            "type": "presence",
+            "client": client_id,
+            "name": self.name,
+            "color": self.color,
+            "cursor": self.cursor,
+            "selection": self.selection,
+        }
+
+
+@dataclass
+class Session:
+    note_id: str
+    # Entries by key: {"value": ..., "stamp": (clock, client ID)}.
+    entries: dict[str, dict[str, Any]]
+    peers: dict[str, Peer] = field(default_factory=dict)
+    # Box IDs given to the boxes of each client that lost an ID, by the ID they lost.
+    renames: dict[str, dict[str, str]] = field(default_factory=dict)
+    changed: bool = False
+    save_task: asyncio.Task | None = None
+
+
+sessions: dict[str, Session] = {}
+sessions_lock = asyncio.Lock()
+
+
+def is_text_key(key: str) -> bool:
+    return key in TEXT_SECTIONS or (key.startswith("box:") and key.endswith(":html"))
+
+
+def text_entry(text: str) -> dict[str, Any]:
+    """A text entry read from the database. Its characters are numbered from 1
+    by the stored client; the stamp of a text entry is its highest character ID,
+    so that clients continue their clocks above it."""
+    chars = [[index + 1, STORED[1], char, False] for index, char in enumerate(text)]
+    return {"value": text, "stamp": (len(chars), STORED[1]), "chars": chars}
+
+
+def document_to_entries(document: schemas.NoteDocument) -> dict[str, dict[str, Any]]:
+    values: dict[str, Any] = {
+        "heading": document.heading,
+        "cueText": document.cueText,
+        "summary": document.summary,
+    }
+    for box in document.boxes:
+        values[f"box:{box.id}"] = STORED_CREATOR
+        values[f"box:{box.id}:html"] = box.html
+        values[f"box:{box.id}:position"] = [box.style.left, box.style.top]
+        values[f"box:{box.id}:color"] = box.style.backgroundColor
+        values[f"box:{box.id}:note"] = box.note
+        values[f"box:{box.id}:collapsed"] = box.collapsed
+    for link in document.links:
+        line_id = "_".join(crud.sort_pair(link.source, link.target))
+        values[f"link:{line_id}"] = link.model_dump(exclude={"id"})
+    return {
+        key: text_entry(value) if is_text_key(key) else {"value": value, "stamp": STORED}
+        for key, value in values.items()
+    }
+
+
+def entries_to_document(entries: dict[str, dict[str, Any]], rejected_links: list[str]) -> schemas.NoteDocument:
+    def value(key: str, default: Any = None) -> Any:
+        entry = entries.get(key)
+        return default if entry is None or entry["value"] is None else entry["value"]
+
+    boxes = []
+    for key, entry in entries.items():
+        kind, _, box_id = key.partition(":")
+        if kind != "box" or ":" in box_id or not entry["value"]:
+            continue
+        left, top = value(f"box:{box_id}:position", ["0px", "0px"])
+        boxes.append(schemas.BoxDocument(
+            id=box_id,
+            html=value(f"box:{box_id}:html", ""),
+            style=schemas.BoxStyle(left=left, top=top, backgroundColor=value(f"box:{box_id}:color", "")),
+            note=value(f"box:{box_id}:note"),
+            collapsed=value(f"box:{box_id}:collapsed", False),
+        ))
+
+    links = [
+        schemas.LinkRead(id=key.removeprefix("link:"), **entry["value"])
+        for key, entry in entries.items()
+        if key.startswith("link:") and entry["value"]
+    ]
+    return schemas.NoteDocument(
+        heading=value("heading", ""),
+        cueText=value("cueText", ""),
+        summary=value("summary", ""),
+        boxes=boxes,
+        links=links,
+        rejectedLinks=rejected_links,
+    )
+
+
+def char_id(value: Any) -> list[Any]:
+    if not isinstance(value, list) or len(value) != 2:
+        raise ValueError(f"Invalid character ID {value!r}")
+    clock, client = value
+    if not isinstance(clock, int) or not isinstance(client, str):
+        raise ValueError(f"Invalid character ID {value!r}")
+    return [clock, client]
+
+
+def normalize_text_op(value: Any) -> dict[str, Any]:
+    """Checks the value of a text op: {"after": ID or null, "text": "..."} inserts
+    text after a character, {"delete": [ID, ...]} deletes characters."""
+    if isinstance(value, dict) and isinstance(value.get("text"), str) and value["text"]:
+        after = value.get("after")
+        return {"after": None if after is None else char_id(after), "text": value["text"]}
+    if isinstance(value, dict) and isinstance(value.get("delete"), list):
+        return {"delete": [char_id(item) for item in value["delete"]]}
+    raise ValueError("Invalid text op")
+
+
+def normalize_value(key: str, value: Any) -> Any:
+    """Checks the value of an op against its key. Raises ValueError if it does not fit."""
+    if is_text_key(key):
+        return normalize_text_op(value)
+    kind, _, rest = key.partition(":")
+    box_field = rest.partition(":")[2]
+    if kind == "link":
+        return None if value is None else schemas.LinkCreate.model_validate(value).model_dump()
+    if kind == "box" and not box_field:
+        return str(value) if value else None
+    if box_field == "note" and value is None:
+        return None
+    if box_field == "collapsed":
+        return bool(value)
+    if box_field == "position":
+        left, top = value
+        return [str(left), str(top)]
+    if isinstance(value, str):
+        return value
+    raise ValueError(f"Invalid value for {key}")
+
+
+def parse_ops(raw: Any) -> list[dict[str, Any]]:
+    """Validates the ops of a message, dropping the invalid ones."""
+    ops = []
+    for item in raw if isinstance(raw, list) else []:
+        try:
+            op = schemas.LiveOp.model_validate(item)
+            ops.append({"key": op.key, "value": normalize_value(op.key, op.value), "stamp": op.stamp})
+        except (ValidationError, ValueError, TypeError):
+            logger.warning("Dropped an invalid live op: %r", item)
+    return ops
+
+
+def key_box_ids(key: str) -> list[str]:
+    """The IDs of the boxes an entry belongs to: one for a box field, two for a link."""
+    kind, _, rest = key.partition(":")
+    if kind == "box":
+        return [rest.partition(":")[0]]
+    return rest.split("_") if kind == "link" else []
+
+
+def rename_op(op: dict[str, Any], renames: dict[str, str]) -> dict[str, Any]:
+    kind, _, rest = op["key"].partition(":")
+    if kind == "box":
+        box_id, separator, box_field = rest.partition(":")
+        if box_id in renames:
+            return {**op, "key": f"box:{renames[box_id]}{separator}{box_field}"}
+    elif kind == "link":
+        a, _, b = rest.partition("_")
+        if a in renames or b in renames:
+            value = op["value"] and {
+                **op["value"],
+                "source": renames.get(op["value"]["source"], op["value"]["source"]),
+                "target": renames.get(op["value"]["target"], op["value"]["target"]),
+            }
+            line_id = "_".join(crud.sort_pair(renames.get(a, a), renames.get(b, b)))
+            return {**op, "key": f"link:{line_id}", "value": value}
+    return op
+
+
+def free_box_id(keys: Iterable[str]) -> str:
+    """The next numeric box ID not used by any of the entry keys, deleted boxes included."""
+    ids = [key.split(":")[1] for key in keys if key.startswith("box:")]
+    return str(max((int(box_id) for box_id in ids if box_id.isdigit()), default=0) + 1)
+
+
+def merge_text(entry: dict[str, Any], op: dict[str, Any]) -> bool:
+    """Applies a text op to a text entry and returns whether it changed anything.
+
+    The characters of an insertion get the IDs (clock, client), (clock + 1,
+    client), ... from the stamp of the op, each following the one before. A
+    character is placed after the one it follows, but after any characters
+    with a higher ID that follow the same one: those were inserted there at
+    the same time or later, so every replica orders them the same way. The
+    clients implement the same rule (mergeLiveText in script.js).
+    """
+    chars = entry["chars"]
+    clock, client = op["stamp"]
+    if "delete" in op["value"]:
+        ids = {tuple(item) for item in op["value"]["delete"]}
+        deleted = [char for char in chars if (char[0], char[1]) in ids and not char[3]]
+        for char in deleted:
+            char[3] = True
+        changed = bool(deleted)
+    else:
+        ids = [(char[0], char[1]) for char in chars]
+        after = op["value"]["after"]
+        if (clock, client) in ids or (after is not None and tuple(after) not in ids):
+            return False
+        index = 0 if after is None else ids.index(tuple(after)) + 1
+        for offset, char in enumerate(op["value"]["text"]):
+            char_stamp = (clock + offset, client)
+            while index < len(chars) and (chars[index][0], chars[index][1]) > char_stamp:
+                index += 1
+            chars.insert(index, [clock + offset, client, char, False])
+            index += 1
+        clock += len(op["value"]["text"]) - 1
+        changed = True
+
+    if changed:
+        entry["value"] = "".join(char[2] for char in chars if not char[3])
+        entry["stamp"] = max(tuple(entry["stamp"]), (clock, client))
+    return changed
+
+
+def merge(entries: dict[str, dict[str, Any]], ops: list[dict[str, Any]]) -> list[dict[str, Any]]:
+    """Applies the ops that are newer than the entries they change, and the
+    text ops that change their text, and returns them."""
+    applied = []
+    for op in ops:
+        current = entries.get(op["key"])
+        if is_text_key(op["key"]):
+            if current is None:
+                current = entries[op["key"]] = {"value": "", "stamp": STORED, "chars": []}
+            if merge_text(current, op):
+                applied.append(op)
+        elif current is None or tuple(op["stamp"]) > tuple(current["stamp"]):
+            entries[op["key"]] = {"value": op["value"], "stamp": tuple(op["stamp"])}
+            applied.append(op)
+    return applied
+
+
+def load_entries(note_id: str) -> dict[str, dict[str, Any]]:
+    with SessionLocal() as db:
+        note = db.get(models.Note, note_id)
+        return document_to_entries(crud.note_to_document(note)) if note else {}
+
+
+def save_entries(note_id: str, entries: dict[str, dict[str, Any]]) -> None:
+    """Writes the entries of a session to its note, creating the note if it was
+    never saved (the frontend assigns note IDs)."""
+    with SessionLocal() as db:
+        note = db.get(models.Note, note_id)
+        if note is None:
+            note = models.Note(id=note_id)
+            db.add(note)
+        crud.apply_document(note, entries_to_document(entries, note.rejected_links or []))
+        crud.touch(note)
+        db.commit()
+
+
+async def save(session: Session) -> None:
+    if not session.changed:
+        return
+    session.changed = False
+    try:
+        await run_in_threadpool(save_entries, session.note_id, dict(session.entries))
+    except Exception:
+        session.changed = True
+        logger.exception("Could not save live note %s", session.note_id)
+
+
+async def save_later(session: Session) -> None:
+    await asyncio.sleep(SAVE_DELAY)
+    await save(session)
+
+
+async def broadcast(session: Session, message: dict[str, Any], sender: str | None = None) -> None:
+    """Sends a message to every client of a session but the sender.
+    Clients whose connection broke are removed by their own handler."""
+    for client_id, peer in list(session.peers.items()):
+        if client_id == sender:
+            continue
+        try:
+            await peer.socket.send_json(message)
+        except Exception:
+            pass
+
+
+async def join(note_id: str, client_id: str, peer: Peer) -> Session:
+    async with sessions_lock:
+        session = sessions.get(note_id)
+        if session is None:
+            session = Session(note_id, await run_in_threadpool(load_entries, note_id))
+            sessions[note_id] = session
+        session.peers[client_id] = peer
+    return session
+
+
+async def leave(session: Session, client_id: str, peer: Peer) -> None:
+    if session.peers.get(client_id) is not peer:
+        return  # Replaced by a newer connection of the same client.
+    del session.peers[client_id]
+    session.renames.pop(client_id, None)
+    await broadcast(session, {"type": "leave", "client": client_id})
+    if session.peers:
+        return
+
+    if session.save_task:
+        session.save_task.cancel()
+    await save(session)
+    async with sessions_lock:
+        if not session.peers and sessions.get(session.note_id) is session:
+            del sessions[session.note_id]
+
+
+async def receive_ops(session: Session, client_id: str, peer: Peer, raw: Any) -> None:
+    renames = session.renames.setdefault(client_id, {})
+    ops = [rename_op(op, renames) for op in parse_ops(raw)]
+
+    # A box created with the ID of a box another client created first.
+    for op in ops:
+        kind, _, box_id = op["key"].partition(":")
+        current = session.entries.get(op["key"])
+        if kind != "box" or ":" in box_id or not op["value"] or not current or not current["value"]:
+            continue
+        if current["value"] != op["value"]:
+            renames[box_id] = free_box_id([*session.entries, *(op["key"] for op in ops)])
+            session.entries[f"box:{renames[box_id]}"] = {"value": None, "stamp": STORED}
+            await peer.socket.send_json({
+                "type": "renamed",
+                "from": box_id,
+                "to": renames[box_id],
+                "entries": {key: entry for key, entry in session.entries.items() if box_id in key_box_ids(key)},
+            })
+    ops = [rename_op(op, renames) for op in ops]
+
+    applied = merge(session.entries, ops)
+    if not applied:
+        return
+    session.changed = True
+    if session.save_task is None or session.save_task.done():
+        session.save_task = asyncio.create_task(save_later(session))
+    await broadcast(session, {"type": "ops", "ops": applied}, client_id)
+
+
+async def receive_presence(session: Session, client_id: str, peer: Peer, message: dict[str, Any]) -> None:
+    cursor = message.get("cursor")
+    valid_cursor = isinstance(cursor, list) and len(cursor) == 2 and all(isinstance(n, (int, float)) for n in cursor)
+    peer.cursor = cursor if valid_cursor else None
+    selection = message.get("selection")
+    peer.selection = [str(id) for id in selection[:MAX_SELECTION]] if isinstance(selection, list) else []
+    if isinstance(message.get("name"), str) and message["name"].strip():
+        peer.name = message["name"].strip()[:40]
+    await broadcast(session, peer.presence(client_id), client_id)
+
+
+@router.websocket("/{note_id}/live")
+async def live_note(
+    websocket: WebSocket,
+    note_id: str,
+    client: str = Query(min_length=1, max_length=64),
+    name: str = Query(default="Guest", max_length=40),
+):
+    """Joins the live session of a note.
+
+    The server answers with a "welcome" message holding the entries of the note
+    (null for a note the server has never seen, whose content the client then
+    sends) and the other clients. Clients send "ops" (see schemas.LiveOp) and
+    "presence" (cursor position on the canvas and selected box IDs) messages,
+    which are relayed to the other clients with "leave" messages on disconnect,
+    and acknowledge "renamed" messages by sending them back.
+    """
+    await websocket.accept()
+    async with sessions_lock:
+        used = {peer.color for peer in sessions[note_id].peers.values()} if note_id in sessions else set()
+    color = next((c for c in PEER_COLORS if c not in used), PEER_COLORS[len(used) % len(PEER_COLORS)])
+    peer = Peer(websocket, name.strip() or "Guest", color)
+
+    session = await join(note_id, client, peer)
+    try:
+        await websocket.send_json({
+            "type": "welcome",
+            "client": client,
+            "color": color,
+            "state": session.entries or None,
+            "peers": [other.presence(id) for id, other in session.peers.items() if id != client],
+        })
+        await broadcast(session, peer.presence(client), client)
+
+        while True:
+            message = await websocket.receive_json()
+            if not isinstance(message, dict):
+                continue
+            if message.get("type") == "ops":
+                await receive_ops(session, client, peer, message.get("ops"))
+            elif message.get("type") == "renamed":
+                session.renames.get(client, {}).pop(str(message.get("from")), None)
+            elif message.get("type") == "presence":
+                await receive_presence(session, client, peer, message)
+    except (WebSocketDisconnect, ValueError):
+        pass
+    finally:
+        await leave(session, client, peer)
@@ -0,0 +1,68 @@
+"""CRUD endpoints for whole notes."""
+from fastapi import APIRouter, Depends, HTTPException, Response
+from sqlalchemy import select
+from sqlalchemy.orm import Session
+
+from .. import crud, models, schemas
+from ..database import get_db
+
+router = APIRouter(prefix="/api/notes", tags=["notes"])
+
+
+@router.get("", response_model=list[schemas.NoteSummary])
+def list_notes(db: Session = Depends(get_db)):
+    notes = db.scalars(select(models.Note).order_by(models.Note.updated_at.desc()))
+    return [
+        schemas.NoteSummary(id=note.id, name=note.name, created_at=note.created_at, updated_at=note.updated_at)
+        for note in notes
+    ]
+
+
+@router.post("", response_model=schemas.NoteRead, status_code=201)
+def create_note(payload: schemas.NoteCreate, db: Session = Depends(get_db)):
+    note_id = payload.id or crud.new_note_id()
+    if db.get(models.Note, note_id) is not None:
+        raise HTTPException(status_code=409, detail=f"Note {note_id} already exists")
+
+    note = models.Note(id=note_id, name=payload.name)
+    if payload.created_at:
+        note.created_at = payload.created_at
+    crud.apply_document(note, payload.document or schemas.NoteDocument())
+    crud.touch(note, payload.updated_at)
+
+    db.add(note)
+    db.commit()
+    return crud.note_to_read(note)
+
+
+@router.get("/{note_id}", response_model=schemas.NoteRead)
+def read_note(note_id: str, db: Session = Depends(get_db)):
+    return crud.note_to_read(crud.get_note_or_404(db, note_id))
+
+
+@router.put("/{note_id}", response_model=schemas.NoteRead)
+def save_note(note_id: str, payload: schemas.NoteUpdate, db: Session = Depends(get_db)):
+    """Updates a note, creating it if it does not exist yet (the frontend assigns note IDs)."""
+    note = db.get(models.Note, note_id)
+    if note is None:
+        note = models.Note(id=note_id)
+        db.add(note)
+        crud.apply_document(note, schemas.NoteDocument())
+
+    if payload.name is not None:
+        note.name = payload.name
+    if payload.created_at:
+        note.created_at = payload.created_at
+    if payload.document is not None:
+        crud.apply_document(note, payload.document)
+    crud.touch(note, payload.updated_at)
+
+    db.commit()
+    return crud.note_to_read(note)
+
+
+@router.delete("/{note_id}", status_code=204)
+def delete_note(note_id: str, db: Session = Depends(get_db)):
+    db.delete(crud.get_note_or_404(db, note_id))
+    db.commit()
+    return Response(status_code=204)
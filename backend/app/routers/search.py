@@ -0,0 +1,105 @@
+"""Semantic search over every saved note and box."""
+import hashlib
+import math
+from dataclasses import dataclass
+
+from fastapi import APIRouter, Depends, HTTPException
+from sqlalchemy import select
+from sqlalchemy.orm import Session
+
+from .. import crud, models, schemas
+from ..database import get_db
+from ..ollama import OLLAMA_EMBED_MODEL, OllamaError, embed
+
+router = APIRouter(prefix="/api/search", tags=["search"])
+
+# Results less similar than this are considered unrelated.
+MIN_SCORE = 0.3
+
+# Number of texts sent to Ollama per embedding request.
+EMBED_BATCH_SIZE = 64
+
+
+@dataclass
+class Document:
+    note: models.Note
+    box_id: str | None
+    text: str
+
+
+def collect_documents(db: Session) -> list[Document]:
+    """Every searchable text: the sections of each note and the content of each box."""
+    documents = []
+    for note in db.scalars(select(models.Note)):
+        sections = " ".join(crud.html_to_text(part) for part in (note.heading, note.cue_text, note.summary))
+        if sections.strip():
+            documents.append(Document(note, None, sections.strip()))
+        for box in note.boxes:
+            text = crud.html_to_text(box.html)
+            if text:
+                documents.append(Document(note, box.box_id, text))
+    return documents
+
+
+async def embed_cached(db: Session, texts: list[str]) -> list[list[float]]:
+    """Embeds texts, reusing vectors cached from earlier searches."""
+    hashes = [hashlib.sha256(text.encode()).hexdigest() for text in texts]
+    cached = {
+        row.text_hash: row.vector
+        for row in db.scalars(
+            select(models.Embedding).where(
+                models.Embedding.model == OLLAMA_EMBED_MODEL, models.Embedding.text_hash.in_(set(hashes))
+            )
+        )
+    }
+
+    missing = list({text_hash: text for text_hash, text in zip(hashes, texts) if text_hash not in cached}.items())
+    for start in range(0, len(missing), EMBED_BATCH_SIZE):
+        batch = missing[start:start + EMBED_BATCH_SIZE]
+        vectors = await embed([text for _, text in batch])
+        for (text_hash, _), vector in zip(batch, vectors):
+            cached[text_hash] = vector
+            db.add(models.Embedding(model=OLLAMA_EMBED_MODEL, text_hash=text_hash, vector=vector))
+    db.commit()
+
+    return [cached[text_hash] for text_hash in hashes]
+
+
+def cosine(a: list[float], b: list[float]) -> float:
+    dot = sum(x * y for x, y in zip(a, b))
+    norm = math.sqrt(sum(x * x for x in a)) * math.sqrt(sum(y * y for y in b))
+    return dot / norm if norm else 0.0
+
+
+@router.post("", response_model=schemas.SearchResponse)
+async def search(payload: schemas.SearchRequest, db: Session = Depends(get_db)):
+    """Ranks notes and boxes by meaning. Answers 503 when no embedding model is available,
+    so the frontend can fall back to keyword search."""
+    query = payload.query.strip()
+    if not query:
+        return schemas.SearchResponse(results=[])
+
+    documents = collect_documents(db)
+    try:
+        query_vector, *vectors = await embed_cached(db, [query, *(document.text for document in documents)])
+    except OllamaError as error:
+        raise HTTPException(status_code=503, detail=str(error)) from error
+
+    scored = sorted(
+        ((cosine(query_vector, vector), document) for vector, document in zip(vectors, documents)),
+        key=lambda pair: pair[0],
+        reverse=True,
+    )
+    return schemas.SearchResponse(
+        results=[
+            schemas.SearchResult(
+                note_id=document.note.id,
+                note_name=document.note.name,
+                box_id=document.box_id,
+                text=document.text[:200],
+                score=round(score, 4),
+            )
+            for score, document in scored[:payload.limit]
+            if score >= MIN_SCORE
+        ]
+    )
@@ -0,0 +1,45 @@
+"""Version history of a note. Versions are immutable: they can be listed,
+read and created, but never changed or deleted on their own."""
+from fastapi import APIRouter, Depends, HTTPException
+from sqlalchemy.orm import Session
+
+from .. import crud, models, schemas
+from ..database import get_db
+
+router = APIRouter(prefix="/api/notes/{note_id}/versions", tags=["versions"])
+
+
+@router.get("", response_model=list[schemas.VersionSummary])
+def list_versions(note_id: str, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    return [crud.version_to_summary(version) for version in reversed(note.versions)]
+
+
+@router.post("", response_model=schemas.VersionSummary, status_code=201)
+def create_version(note_id: str, payload: schemas.VersionCreate, db: Session = Depends(get_db)):
+    note = crud.get_note_or_404(db, note_id)
+    version_id = payload.id or crud.new_version_id()
+    if db.get(models.NoteVersion, version_id) is not None:
+        raise HTTPException(status_code=409, detail=f"Version {version_id} already exists")
+
+    document = payload.document or crud.note_to_document(note)
+    version = models.NoteVersion(id=version_id, label=payload.label.strip(), document=document.model_dump())
+    if payload.created_at:
+        version.created_at = payload.created_at
+    note.versions.append(version)
+
+    db.commit()
+    return crud.version_to_summary(version)
+
+
+@router.get("/{version_id}", response_model=schemas.VersionRead)
+def read_version(note_id: str, version_id: str, db: Session = Depends(get_db)):
+    version = db.get(models.NoteVersion, version_id)
+    if version is None or version.note_id != note_id:
+        raise HTTPException(status_code=404, detail=f"Version {version_id} not found")
+    return schemas.VersionRead(
+        id=version.id,
+        label=version.label,
+        created_at=version.created_at,
+        document=schemas.NoteDocument.model_validate(version.document),
+    )
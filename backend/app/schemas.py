@@ -0,0 +1,199 @@
+"""Request and response bodies.
+
+Field names of the note document follow the JSON written by serializeNote()
+in the frontend, so a document can be passed through unchanged.
+"""
+from datetime import datetime
+from typing import Any, Literal
+
+from pydantic import BaseModel, Field
+
+Dash = Literal["solid", "dashed", "dotted"]
+
+
+class BoxStyle(BaseModel):
+    left: str = "0px"
+    top: str = "0px"
+    backgroundColor: str = ""
+
+
+class BoxDocument(BaseModel):
+    id: str
+    html: str = ""
+    style: BoxStyle = Field(default_factory=BoxStyle)
+    lines: list[str] = Field(default_factory=list)
+    # ID of the sub-note the box was promoted to, if any.
+    note: str | None = None
+    # Whether the descendants of the box are hidden on the canvas.
+    collapsed: bool = False
+
+
+class LinkCreate(BaseModel):
+    source: str
+    target: str
+    directed: bool = False
+    label: str = Field(default="", max_length=60)
+    color: str = Field(default="", pattern=r"^(#[0-9a-fA-F]{6})?$")
+    dash: Dash = "solid"
+
+
+class LinkRead(LinkCreate):
+    id: str = ""
+
+
+class LinkUpdate(BaseModel):
+    """Changes to a link. A new source reverses the direction of a directed link."""
+    source: str | None = None
+    directed: bool | None = None
+    label: str | None = Field(default=None, max_length=60)
+    color: str | None = Field(default=None, pattern=r"^(#[0-9a-fA-F]{6})?$")
+    dash: Dash | None = None
+
+
+class NoteDocument(BaseModel):
+    schemaVersion: int = 3
+    heading: str = ""
+    cueText: str = ""
+    summary: str = ""
+    boxes: list[BoxDocument] = Field(default_factory=list)
+    links: list[LinkRead] = Field(default_factory=list)
+    rejectedLinks: list[str] = Field(default_factory=list)
+
+
+class LiveOp(BaseModel):
+    """A change to one entry of a note edited live (see routers/live.py).
+
+    Keys are "heading", "cueText", "summary", "box:<id>" (the ID of the client
+    that created the box, null once it is deleted), "box:<id>:html",
+    "box:<id>:position", "box:<id>:color", "box:<id>:note", "box:<id>:collapsed"
+    and "link:<line id>".
+    The stamp is a Lamport clock value and the ID of the client that made the change.
+    The values of the text entries ("heading", "cueText", "summary" and
+    "box:<id>:html") are edits instead: {"after": <character ID or null>,
+    "text": "..."} or {"delete": [<character ID>, ...]}.
+    """
+    key: str = Field(pattern=r"^(heading|cueText|summary|box:[^:_\s]+(:(html|position|color|note|collapsed))?|link:[^:_\s]+_[^:_\s]+)$")
+    value: Any = None
+    stamp: tuple[int, str]
+
+
+class NoteSummary(BaseModel):
+    id: str
+    name: str
+    created_at: datetime
+    updated_at: datetime
+
+
+class NoteRead(NoteSummary):
+    document: NoteDocument
+
+
+class NoteCreate(BaseModel):
+    id: str | None = None
+    name: str = "Untitled note"
+    document: NoteDocument | None = None
+    created_at: datetime | None = None
+    updated_at: datetime | None = None
+
+
+class NoteUpdate(BaseModel):
+    name: str | None = None
+    document: NoteDocument | None = None
+    created_at: datetime | None = None
+    updated_at: datetime | None = None
+
+
+class VersionSummary(BaseModel):
+    id: str
+    label: str
+    created_at: datetime
+
+
+class VersionRead(VersionSummary):
+    document: NoteDocument
+
+
+class VersionCreate(BaseModel):
+    """A new version. Without a document, the note as stored on the server is saved."""
+    id: str | None = None
+    label: str = Field(default="", max_length=255)
+    document: NoteDocument | None = None
+    created_at: datetime | None = None
+
+
+class BoxCreate(BaseModel):
+    id: str | None = None
+    html: str = ""
+    style: BoxStyle = Field(default_factory=BoxStyle)
+    note: str | None = None
+    collapsed: bool = False
+
+
+class BoxUpdate(BaseModel):
+    """Changes to a box. An explicit null note turns a sub-note box back into a plain box."""
+    html: str | None = None
+    style: BoxStyle | None = None
+    note: str | None = None
+    collapsed: bool | None = None
+
+
+class BoxText(BaseModel):
+    id: str
+    text: str
+
+
+class ConceptRequest(BaseModel):
+    heading: str = ""
+    cueText: str = ""
+    summary: str = ""
+    boxes: list[BoxText] = Field(default_factory=list)
+
+
+class Concept(BaseModel):
+    id: str
+    label: str
+    description: str = ""
+
+
+class Relationship(BaseModel):
+    source: str
+    target: str
+    label: str = ""
+
+
+class ConceptResponse(BaseModel):
+    concepts: list[Concept]
+    relationships: list[Relationship]
+
+
+class LinkSuggestionRequest(BaseModel):
+    boxes: list[BoxText]
+    links: list[LinkCreate] = Field(default_factory=list)
+    rejected: list[LinkCreate] = Field(default_factory=list)
+
+
+class LinkSuggestion(BaseModel):
+    source: str
+    target: str
+    reason: str = ""
+
+
+class LinkSuggestionResponse(BaseModel):
+    suggestions: list[LinkSuggestion]
+
+
+class SearchRequest(BaseModel):
+    query: str
+    limit: int = Field(default=20, ge=1, le=100)
+
+
+class SearchResult(BaseModel):
+    note_id: str
+    note_name: str
+    box_id: str | None = None
+    text: str
+    score: float
+
+
+class SearchResponse(BaseModel):
+    results: list[SearchResult]
@@ -0,0 +1,51 @@
+"""Fixtures shared by the tests of the API endpoints."""
+import os
+
+# Importing the app creates its tables: keep them in memory instead of ./treenotes.db.
+os.environ.setdefault("DATABASE_URL", "sqlite://")
+
+import pytest
+from fastapi.testclient import TestClient
+from sqlalchemy import create_engine
+from sqlalchemy.orm import sessionmaker
+from sqlalchemy.pool import StaticPool
+
+from app.database import Base, get_db
+from app.main import app
+
+
+@pytest.fixture
+def client():
+    """A client of the API backed by an empty in-memory database."""
+    engine = create_engine("sqlite://", connect_args={"check_same_thread": False}, poolclass=StaticPool)
+    Base.metadata.create_all(bind=engine)
+    TestSession = sessionmaker(bind=engine, autoflush=False)
+
+    def get_test_db():
+        db = TestSession()
+        try:
+            yield db
+        finally:
+            db.close()
+
+    app.dependency_overrides[get_db] = get_test_db
+    with TestClient(app) as test_client:
+        yield test_client
+    app.dependency_overrides.clear()
+    engine.dispose()
+
+
+@pytest.fixture
+def note(client):
+    """A note with the boxes 1, 2 and 3, box 1 linked to 2 and 3."""
+    document = {
+        "heading": "Cells",
+        "boxes": [
+            {"id": "1", "html": "Cell", "lines": ["2", "3"]},
+            {"id": "2", "html": "Nucleus", "lines": ["1"]},
+            {"id": "3", "html": "Membrane", "lines": ["1"]},
+        ],
+    }
+    response = client.post("/api/notes", json={"id": "note-1", "name": "Biology", "document": document})
+    assert response.status_code == 201
+    return response.json()
@@ -0,0 +1,70 @@
+"""Tests of the box endpoints (app/routers/boxes.py)."""
+
+
+def test_list_boxes_with_their_lines(client, note):
+    boxes = client.get("/api/notes/note-1/boxes").json()
+
+    assert {box["id"]: box["lines"] for box in boxes} == {"1": ["2", "3"], "2": ["1"], "3": ["1"]}
+
+
+def test_create_a_box_with_the_next_id(client, note):
+    response = client.post("/api/notes/note-1/boxes", json={"html": "Ribosome", "style": {"left": "40px"}})
+
+    assert response.status_code == 201
+    assert response.json()["id"] == "4"
+    assert response.json()["style"]["left"] == "40px"
+    assert client.get("/api/notes/note-1/boxes/4").json()["html"] == "Ribosome"
+
+
+def test_create_a_box_with_an_existing_id_is_a_conflict(client, note):
+    response = client.post("/api/notes/note-1/boxes", json={"id": "2"})
+
+    assert response.status_code == 409
+
+
+def test_boxes_of_a_missing_note_are_not_found(client):
+    assert client.get("/api/notes/missing/boxes").status_code == 404
+    assert client.post("/api/notes/missing/boxes", json={}).status_code == 404
+
+
+def test_reading_a_missing_box_is_not_found(client, note):
+    assert client.get("/api/notes/note-1/boxes/9").status_code == 404
+    assert client.patch("/api/notes/note-1/boxes/9", json={"html": "x"}).status_code == 404
+    assert client.delete("/api/notes/note-1/boxes/9").status_code == 404
+
+
+def test_update_a_box(client, note):
+    response = client.patch("/api/notes/note-1/boxes/2", json={
+        "html": "Nucleus <i>(control)</i>",
+        "style": {"left": "10px", "top": "20px", "backgroundColor": "#ffeeaa"},
+    })
+
+    assert response.status_code == 200
+    box = client.get("/api/notes/note-1/boxes/2").json()
+    assert box["html"] == "Nucleus <i>(control)</i>"
+    assert box["style"] == {"left": "10px", "top": "20px", "backgroundColor": "#ffeeaa"}
+    assert box["lines"] == ["1"]
+
+
+def test_deleting_a_box_deletes_its_links(client, note):
+    assert client.delete("/api/notes/note-1/boxes/1").status_code == 204
+
+    assert [box["id"] for box in client.get("/api/notes/note-1/boxes").json()] == ["2", "3"]
+    assert client.get("/api/notes/note-1/links").json() == []
+
+
+def test_promote_a_box_to_a_sub_note_and_back(client, note):
+    created = client.post("/api/notes/note-1/boxes", json={"html": "Organelles", "note": "note-sub"})
+    assert created.json()["note"] == "note-sub"
+
+    assert client.patch("/api/notes/note-1/boxes/2", json={"note": "note-nucleus"}).json()["note"] == "note-nucleus"
+    assert client.patch("/api/notes/note-1/boxes/2", json={"html": "Nucleus"}).json()["note"] == "note-nucleus"
+    assert client.patch("/api/notes/note-1/boxes/2", json={"note": None}).json()["note"] is None
+
+
+def test_collapse_and_expand_a_box(client, note):
+    assert client.post("/api/notes/note-1/boxes", json={"collapsed": True}).json()["collapsed"] is True
+
+    assert client.patch("/api/notes/note-1/boxes/1", json={"collapsed": True}).json()["collapsed"] is True
+    assert client.patch("/api/notes/note-1/boxes/1", json={"html": "Cell"}).json()["collapsed"] is True
+    assert client.patch("/api/notes/note-1/boxes/1", json={"collapsed": False}).json()["collapsed"] is False
@@ -0,0 +1,53 @@
+"""Tests of the link endpoints (app/routers/links.py)."""
+
+
+def test_list_links(client, note):
+    assert [link["id"] for link in client.get("/api/notes/note-1/links").json()] == ["1_2", "1_3"]
+
+
+def test_create_a_link(client, note):
+    response = client.post("/api/notes/note-1/links", json={"source": "3", "target": "2", "directed": True})
+
+    assert response.status_code == 201
+    assert (response.json()["id"], response.json()["source"], response.json()["target"]) == ("2_3", "3", "2")
+
+
+def test_creating_an_existing_link_returns_it(client, note):
+    response = client.post("/api/notes/note-1/links", json={"source": "2", "target": "1", "label": "ignored"})
+
+    assert response.json() == {
+        "id": "1_2", "source": "1", "target": "2", "directed": False, "label": "", "color": "", "dash": "solid",
+    }
+    assert len(client.get("/api/notes/note-1/links").json()) == 2
+
+
+def test_links_to_missing_boxes_or_itself_are_rejected(client, note):
+    assert client.post("/api/notes/note-1/links", json={"source": "1", "target": "9"}).status_code == 404
+    assert client.post("/api/notes/note-1/links", json={"source": "2", "target": "2"}).status_code == 422
+    assert client.post("/api/notes/missing/links", json={"source": "1", "target": "2"}).status_code == 404
+
+
+def test_update_a_link(client, note):
+    response = client.patch("/api/notes/note-1/links/1_2", json={
+        "source": "2", "directed": True, "label": "contains", "color": "#00FF00", "dash": "dotted",
+    })
+
+    assert response.status_code == 200
+    assert response.json() == {
+        "id": "1_2", "source": "2", "target": "1", "directed": True, "label": "contains", "color": "#00ff00",
+        "dash": "dotted",
+    }
+
+
+def test_update_with_a_source_outside_the_link_is_rejected(client, note):
+    assert client.patch("/api/notes/note-1/links/1_2", json={"source": "3"}).status_code == 422
+
+
+def test_delete_a_link(client, note):
+    assert client.delete("/api/notes/note-1/links/1_2").status_code == 204
+    assert [link["id"] for link in client.get("/api/notes/note-1/links").json()] == ["1_3"]
+
+
+def test_missing_links_are_not_found(client, note):
+    assert client.patch("/api/notes/note-1/links/2_3", json={"label": "x"}).status_code == 404
+    assert client.delete("/api/notes/note-1/links/2_3").status_code == 404
@@ -0,0 +1,251 @@
+"""Tests of the merge and box ID conflict handling of live sessions (app/routers/live.py)."""
+import asyncio
+from itertools import permutations
+
+import pytest
+
+from app import schemas
+from app.routers import live
+
+
+class FakeSocket:
+    """Records the messages sent to a client."""
+
+    def __init__(self):
+        self.sent = []
+
+    async def send_json(self, message):
+        self.sent.append(message)
+
+
+def make_session(entries=None, clients=("alice", "bob")):
+    session = live.Session("note-1", entries or {})
+    for client_id in clients:
+        session.peers[client_id] = live.Peer(FakeSocket(), client_id, "#000000")
+    return session
+
+
+def send_ops(session, client_id, ops):
+    """Runs receive_ops without waiting for the delayed save to the database."""
+    async def run():
+        await live.receive_ops(session, client_id, session.peers[client_id], ops)
+        if session.save_task:
+            session.save_task.cancel()
+
+    asyncio.run(run())
+
+
+def op(key, value, clock, client_id):
+    return {"key": key, "value": value, "stamp": [clock, client_id]}
+
+
+def insert(key, text, clock, client_id, after=None):
+    return op(key, {"after": after, "text": text}, clock, client_id)
+
+
+def delete(key, ids, clock, client_id):
+    return op(key, {"delete": ids}, clock, client_id)
+
+
+def merged_text(text, *ops):
+    """Merges concurrent ops on the stored text in every order and returns the
+    text they all give."""
+    results = set()
+    for order in permutations(ops):
+        entries = {"heading": live.text_entry(text)}
+        live.merge(entries, list(order))
+        results.add(entries["heading"]["value"])
+    assert len(results) == 1
+    return results.pop()
+
+
+def values(session):
+    return {key: entry["value"] for key, entry in session.entries.items()}
+
+
+def test_merge_keeps_the_newest_stamp():
+    entries = {"box:1:color": {"value": "#111111", "stamp": (2, "bob")}}
+    applied = live.merge(entries, [
+        op("box:1:color", "#222222", 1, "alice"),
+        op("box:1:color", "#333333", 3, "alice"),
+        op("box:2:color", "#444444", 1, "alice"),
+    ])
+
+    assert [item["value"] for item in applied] == ["#333333", "#444444"]
+    assert entries["box:1:color"] == {"value": "#333333", "stamp": (3, "alice")}
+
+
+def test_merge_breaks_ties_by_client_id():
+    entries = {}
+    live.merge(entries, [op("box:1:color", "#bbbbbb", 4, "bob")])
+    live.merge(entries, [op("box:1:color", "#aaaaaa", 4, "alice")])
+
+    assert entries["box:1:color"]["value"] == "#bbbbbb"
+
+
+def test_stored_text_is_numbered_by_the_stored_client():
+    entries = live.document_to_entries(schemas.NoteDocument(heading="Hi", boxes=[schemas.BoxDocument(id="1")]))
+
+    assert entries["heading"] == {"value": "Hi", "stamp": (2, ""), "chars": [[1, "", "H", False], [2, "", "i", False]]}
+    assert entries["box:1:html"] == {"value": "", "stamp": (0, ""), "chars": []}
+
+
+def test_concurrent_inserts_at_one_place_keep_both():
+    text = merged_text(
+        "Cell",
+        insert("heading", " wall", 5, "alice", after=[4, ""]),
+        insert("heading", "s", 5, "bob", after=[4, ""]),
+    )
+
+    assert text == "Cells wall"
+
+
+def test_concurrent_insertions_are_not_interleaved():
+    text = merged_text(
+        "Cell",
+        insert("heading", "<b>", 7, "alice", after=[2, ""]),
+        insert("heading", "xyz", 5, "bob", after=[2, ""]),
+        insert("heading", "!", 6, "carol", after=[4, ""]),
+    )
+
+    assert text == "Ce<b>xyzll!"
+
+
+def test_insert_next_to_a_concurrently_deleted_text():
+    text = merged_text(
+        "Cell",
+        delete("heading", [[3, ""], [4, ""]], 5, "alice"),
+        insert("heading", "!", 5, "bob", after=[4, ""]),
+        insert("heading", "C", 6, "carol", after=None),
+    )
+
+    assert text == "CCe!"
+
+
+def test_text_ops_are_applied_once():
+    entries = {"heading": live.text_entry("Cell")}
+    ops = [insert("heading", "s", 5, "alice", after=[4, ""]), delete("heading", [[1, ""]], 6, "bob")]
+
+    assert live.merge(entries, ops) == ops
+    assert live.merge(entries, ops) == []
+    assert entries["heading"]["value"] == "ells"
+    assert entries["heading"]["stamp"] == (6, "bob")
+
+
+def test_insert_after_an_unknown_character_is_dropped():
+    entries = {"heading": live.text_entry("Cell")}
+
+    assert live.merge(entries, [insert("heading", "s", 5, "alice", after=[9, "bob"])]) == []
+    assert entries["heading"]["value"] == "Cell"
+
+
+def test_concurrent_typing_in_one_box_keeps_both():
+    document = schemas.NoteDocument(boxes=[schemas.BoxDocument(id="1", html="Cell")])
+    session = make_session(live.document_to_entries(document))
+
+    # Each keystroke follows the previous one of its client; both clients saw the stored text only.
+    send_ops(session, "alice", [insert("box:1:html", "A", 5, "alice", after=None)])
+    send_ops(session, "bob", [insert("box:1:html", " w", 5, "bob", after=[4, ""])])
+    send_ops(session, "alice", [insert("box:1:html", " ", 6, "alice", after=[5, "alice"])])
+    send_ops(session, "bob", [insert("box:1:html", "all", 7, "bob", after=[6, "bob"])])
+
+    assert values(session)["box:1:html"] == "A Cell wall"
+    assert [item["value"]["text"] for item in session.peers["alice"].socket.sent[-1]["ops"]] == ["all"]
+
+
+def test_text_ops_are_checked():
+    assert live.normalize_value("heading", {"after": [3, "bob"], "text": "x"}) == {"after": [3, "bob"], "text": "x"}
+    assert live.normalize_value("box:5:html", {"delete": [[1, ""]]}) == {"delete": [[1, ""]]}
+    for value in ("Whole text", {"after": None, "text": ""}, {"after": ["1", "bob"], "text": "x"}, {"delete": [1]}):
+        with pytest.raises(ValueError):
+            live.normalize_value("heading", value)
+
+
+def test_rename_op_renames_box_fields_and_links():
+    renames = {"5": "9"}
+
+    assert live.rename_op(op("box:5", "bob", 1, "bob"), renames)["key"] == "box:9"
+    assert live.rename_op(insert("box:5:html", "Text", 1, "bob"), renames)["key"] == "box:9:html"
+    assert live.rename_op(insert("box:50:html", "Text", 1, "bob"), renames)["key"] == "box:50:html"
+
+    link = live.rename_op(op("link:5_7", {"source": "5", "target": "7", "directed": True}, 1, "bob"), renames)
+    assert link["key"] == "link:7_9"
+    assert (link["value"]["source"], link["value"]["target"]) == ("9", "7")
+    assert live.rename_op(op("link:5_7", None, 1, "bob"), renames)["value"] is None
+
+
+def test_normalize_value_keeps_the_creator_of_a_box():
+    assert live.normalize_value("box:5", "alice") == "alice"
+    assert live.normalize_value("box:5", None) is None
+
+
+def test_simultaneous_box_creation_renames_the_later_box():
+    session = make_session()
+    alice = session.peers["alice"].socket
+    bob = session.peers["bob"].socket
+
+    send_ops(session, "alice", [op("box:5", "alice", 3, "alice"), insert("box:5:html", "Alice's", 3, "alice")])
+    send_ops(session, "bob", [
+        op("box:5", "bob", 3, "bob"),
+        insert("box:5:html", "Bob's", 3, "bob"),
+        op("link:1_5", {"source": "1", "target": "5"}, 3, "bob"),
+    ])
+
+    renamed = [message for message in bob.sent if message["type"] == "renamed"]
+    assert len(renamed) == 1
+    assert (renamed[0]["from"], renamed[0]["to"]) == ("5", "6")
+    assert renamed[0]["entries"]["box:5"]["value"] == "alice"
+    assert renamed[0]["entries"]["box:5:html"]["value"] == "Alice's"
+
+    assert values(session)["box:5"] == "alice"
+    assert values(session)["box:5:html"] == "Alice's"
+    assert values(session)["box:6"] == "bob"
+    assert values(session)["box:6:html"] == "Bob's"
+    assert "link:1_6" in session.entries and "link:1_5" not in session.entries
+    assert not any(message["type"] == "renamed" for message in alice.sent)
+    assert [item["key"] for item in alice.sent[-1]["ops"]] == ["box:6", "box:6:html", "link:1_6"]
+
+
+def test_changes_to_a_renamed_box_are_renamed_until_acknowledged():
+    session = make_session()
+    send_ops(session, "alice", [op("box:5", "alice", 1, "alice")])
+    send_ops(session, "bob", [op("box:5", "bob", 1, "bob")])
+
+    send_ops(session, "bob", [insert("box:5:html", "Still Bob's", 2, "bob")])
+    assert values(session)["box:6:html"] == "Still Bob's"
+    assert "box:5:html" not in session.entries
+
+    session.renames["bob"].pop("5")
+    send_ops(session, "bob", [insert("box:5:html", "Edit of Alice's box", 3, "bob")])
+    assert values(session)["box:5:html"] == "Edit of Alice's box"
+
+
+def test_editing_a_box_created_by_another_client_is_not_a_conflict():
+    session = make_session()
+    send_ops(session, "alice", [op("box:5", "alice", 1, "alice")])
+    send_ops(session, "bob", [op("box:5", "alice", 2, "bob"), op("box:5:color", "#ff0000", 2, "bob")])
+
+    assert not any(message["type"] == "renamed" for message in session.peers["bob"].socket.sent)
+    assert values(session)["box:5:color"] == "#ff0000"
+
+
+def test_recreating_a_deleted_box_is_not_a_conflict():
+    session = make_session()
+    send_ops(session, "alice", [op("box:5", "alice", 1, "alice")])
+    send_ops(session, "alice", [op("box:5", None, 2, "alice")])
+    send_ops(session, "bob", [op("box:5", "bob", 3, "bob")])
+
+    assert not any(message["type"] == "renamed" for message in session.peers["bob"].socket.sent)
+    assert values(session)["box:5"] == "bob"
+
+
+def test_box_created_offline_over_a_stored_box_is_renamed():
+    document = schemas.NoteDocument(boxes=[schemas.BoxDocument(id="1", html="Seed"), schemas.BoxDocument(id="2")])
+    session = make_session(live.document_to_entries(document), clients=("carol",))
+
+    send_ops(session, "carol", [op("box:2", "carol", 1, "carol"), insert("box:2:html", "Offline", 1, "carol")])
+
+    renamed = session.peers["carol"].socket.sent[0]
+    assert (renamed["type"], renamed["from"], renamed["to"]) == ("renamed", "2", "3")
+    assert values(session)["box:2"] == live.STORED_CREATOR
+    assert values(session)["box:3:html"] == "Offline"
@@ -0,0 +1,62 @@
+"""Tests of the startup upgrade of databases created by an earlier version (app/migrations.py)."""
+from sqlalchemy import create_engine, inspect, text
+from sqlalchemy.orm import Session
+
+from app import migrations, models
+from app.database import Base
+
+# The tables as the first version of the API created them.
+FIRST_SCHEMA = [
+    """CREATE TABLE notes (
+        id VARCHAR(64) PRIMARY KEY, name VARCHAR(255), schema_version INTEGER,
+        heading TEXT, cue_text TEXT, summary TEXT, created_at DATETIME, updated_at DATETIME)""",
+    """CREATE TABLE boxes (
+        id INTEGER PRIMARY KEY, note_id VARCHAR(64) REFERENCES notes(id), box_id VARCHAR(64),
+        html TEXT, "left" FLOAT, top FLOAT, background_color VARCHAR(64))""",
+    """CREATE TABLE links (
+        id INTEGER PRIMARY KEY, note_id VARCHAR(64) REFERENCES notes(id),
+        source_id VARCHAR(64), target_id VARCHAR(64))""",
+]
+
+
+def make_first_version_database(tmp_path):
+    engine = create_engine(f"sqlite:///{tmp_path / 'old.db'}")
+    with engine.begin() as connection:
+        for statement in FIRST_SCHEMA:
+            connection.execute(text(statement))
+        connection.execute(text("INSERT INTO notes (id, name) VALUES ('n1', 'Old note')"))
+        connection.execute(text("INSERT INTO boxes (note_id, box_id, html) VALUES ('n1', '1', 'Seed')"))
+        connection.execute(text("INSERT INTO links (note_id, source_id, target_id) VALUES ('n1', '1', '2')"))
+    return engine
+
+
+def test_upgrade_adds_the_missing_columns(tmp_path):
+    engine = make_first_version_database(tmp_path)
+    Base.metadata.create_all(bind=engine)
+    migrations.upgrade(engine)
+
+    inspector = inspect(engine)
+    for table_name, column_name, _ in migrations.ADDED_COLUMNS:
+        assert column_name in {column["name"] for column in inspector.get_columns(table_name)}
+
+
+def test_existing_rows_get_the_defaults(tmp_path):
+    engine = make_first_version_database(tmp_path)
+    migrations.upgrade(engine)
+
+    with Session(engine) as db:
+        note = db.get(models.Note, "n1")
+        assert note.rejected_links == []
+        assert (note.boxes[0].sub_note_id, note.boxes[0].collapsed) == (None, False)
+        link = note.links[0]
+        assert (link.directed, link.label, link.color, link.dash) == (False, "", "", "solid")
+
+
+def test_upgrade_leaves_a_current_database_unchanged(tmp_path):
+    engine = create_engine(f"sqlite:///{tmp_path / 'new.db'}")
+    Base.metadata.create_all(bind=engine)
+    migrations.upgrade(engine)
+    migrations.upgrade(engine)
+
+    columns = [column["name"] for column in inspect(engine).get_columns("boxes")]
+    assert columns.count("collapsed") == 1
@@ -0,0 +1,81 @@
+"""Tests of the note endpoints (app/routers/notes.py)."""
+
+DOCUMENT = {
+    "schemaVersion": 3,
+    "heading": "<b>Cells</b>",
+    "cueText": "What is a cell?",
+    "summary": "The unit of life.",
+    "boxes": [
+        {"id": "1", "html": "Cell", "style": {"left": "0px", "top": "0px", "backgroundColor": "#f1f1f1"},
+         "lines": ["2"], "note": None, "collapsed": True},
+        {"id": "2", "html": "Nucleus", "style": {"left": "120.5px", "top": "80px", "backgroundColor": ""},
+         "lines": ["1"], "note": "note-sub", "collapsed": False},
+    ],
+    "links": [
+        {"id": "1_2", "source": "2", "target": "1", "directed": True, "label": "part of", "color": "#ff0000",
+         "dash": "dashed"},
+    ],
+    "rejectedLinks": ["1_3"],
+}
+
+
+def test_create_and_read_a_note(client, note):
+    assert note["id"] == "note-1"
+    assert note["name"] == "Biology"
+
+    response = client.get("/api/notes/note-1")
+    assert response.status_code == 200
+    assert [box["id"] for box in response.json()["document"]["boxes"]] == ["1", "2", "3"]
+
+
+def test_create_note_assigns_an_id(client):
+    response = client.post("/api/notes", json={"name": "No ID"})
+
+    assert response.status_code == 201
+    assert response.json()["id"].startswith("note-")
+    assert response.json()["document"]["boxes"] == []
+
+
+def test_create_note_with_an_existing_id_is_a_conflict(client, note):
+    response = client.post("/api/notes", json={"id": "note-1"})
+
+    assert response.status_code == 409
+
+
+def test_reading_a_missing_note_is_not_found(client):
+    assert client.get("/api/notes/missing").status_code == 404
+
+
+def test_list_notes_newest_first(client):
+    client.put("/api/notes/old", json={"name": "Old", "updated_at": "2026-01-01T00:00:00Z"})
+    client.put("/api/notes/new", json={"name": "New", "updated_at": "2026-02-01T00:00:00Z"})
+
+    assert [note["id"] for note in client.get("/api/notes").json()] == ["new", "old"]
+
+
+def test_put_document_round_trip(client):
+    response = client.put("/api/notes/note-2", json={"name": "Round trip", "document": DOCUMENT})
+    assert response.status_code == 200
+
+    assert client.get("/api/notes/note-2").json()["document"] == DOCUMENT
+
+
+def test_put_updates_an_existing_note(client, note):
+    response = client.put("/api/notes/note-1", json={"name": "Renamed", "document": DOCUMENT})
+
+    assert response.json()["name"] == "Renamed"
+    assert [box["html"] for box in response.json()["document"]["boxes"]] == ["Cell", "Nucleus"]
+
+
+def test_put_without_a_document_keeps_the_content(client, note):
+    client.put("/api/notes/note-1", json={"name": "Renamed"})
+
+    document = client.get("/api/notes/note-1").json()["document"]
+    assert document["heading"] == "Cells"
+    assert len(document["boxes"]) == 3
+
+
+def test_delete_a_note(client, note):
+    assert client.delete("/api/notes/note-1").status_code == 204
+    assert client.get("/api/notes/note-1").status_code == 404
+    assert client.delete("/api/notes/note-1").status_code == 404
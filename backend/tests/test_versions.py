@@ -0,0 +1,57 @@
+"""Tests of the version history endpoints (app/routers/versions.py)."""
+
+
+def save_version(client, version_id, created_at, note_id="note-1", **fields):
+    response = client.post(f"/api/notes/{note_id}/versions", json={"id": version_id, "created_at": created_at, **fields})
+    assert response.status_code == 201
+    return response.json()
+
+
+def test_versions_are_listed_newest_first(client, note):
+    save_version(client, "version-b", "2026-01-02T00:00:00Z", label="Second")
+    save_version(client, "version-a", "2026-01-01T00:00:00Z", label="First")
+    save_version(client, "version-c", "2026-01-03T00:00:00Z", label="Third")
+
+    versions = client.get("/api/notes/note-1/versions").json()
+    assert [version["label"] for version in versions] == ["Third", "Second", "First"]
+
+
+def test_saving_a_version_with_an_existing_id_is_a_conflict(client, note):
+    save_version(client, "version-a", "2026-01-01T00:00:00Z")
+
+    response = client.post("/api/notes/note-1/versions", json={"id": "version-a"})
+    assert response.status_code == 409
+
+
+def test_version_without_a_document_snapshots_the_stored_note(client, note):
+    save_version(client, "version-a", "2026-01-01T00:00:00Z")
+    client.patch("/api/notes/note-1/boxes/1", json={"html": "Changed later"})
+
+    document = client.get("/api/notes/note-1/versions/version-a").json()["document"]
+    assert document["heading"] == "Cells"
+    assert [box["html"] for box in document["boxes"]] == ["Cell", "Nucleus", "Membrane"]
+
+
+def test_version_with_a_document_keeps_that_document(client, note):
+    save_version(client, "version-a", "2026-01-01T00:00:00Z", document={"heading": "Draft"})
+
+    document = client.get("/api/notes/note-1/versions/version-a").json()["document"]
+    assert (document["heading"], document["boxes"]) == ("Draft", [])
+
+
+def test_version_of_another_note_is_not_found(client, note):
+    client.post("/api/notes", json={"id": "note-2"})
+    save_version(client, "version-a", "2026-01-01T00:00:00Z", note_id="note-2")
+
+    assert client.get("/api/notes/note-1/versions/version-a").status_code == 404
+    assert client.get("/api/notes/note-1/versions/missing").status_code == 404
+    assert client.get("/api/notes/missing/versions").status_code == 404
+
+
+def test_deleting_a_note_deletes_its_versions(client, note):
+    save_version(client, "version-a", "2026-01-01T00:00:00Z")
+    client.delete("/api/notes/note-1")
+    client.post("/api/notes", json={"id": "note-1"})
+
+    assert client.get("/api/notes/note-1/versions").json() == []
+    assert client.get("/api/notes/note-1/versions/version-a").status_code == 404
@@ -6,7 +6,12 @@
 // containing the box element and a Map of connected lines as values.
 let boxes = new Map();
 
-// Array, currently not used for any specific functionality.
+// Direction, relationship label, color and dash style of each line, by line ID
+// ({ source, target, directed, label, color, dash }, see normalizeLinkDetails).
+const linkDetails = new Map();
+
+// Array of deleted box snapshots (see snapshotBox), newest last.
+// Used by the recycle bin panel to restore boxes and their links.
 let bin = [];
 
 // Counter for the total number of boxes created. Used to assign unique IDs.
@@ -15,6 +20,85 @@ let totalBoxes = 1;
 // Get the first DOM element with the class "box". This is likely the initial box.
 const seed = document.querySelectorAll(".box")[0];
 
+// Undo/redo stacks of recorded commands ({ label, undo, redo }), newest last.
+const undoStack = [];
+const redoStack = [];
+
+// Undo/redo stacks of the notes left earlier in this session, by note ID, with
+// the time the note was saved when it was left ({ undo, redo, updatedAt }).
+const noteHistories = new Map();
+
+// Maximum number of commands kept in the undo stack.
+const HISTORY_LIMIT = 100;
+
+// Recording state: 'paused' suppresses recording while commands are replayed,
+// 'batch' collects nested commands into a single composite entry.
+const historyState = { paused: 0, batch: null, textDepth: 0 };
+
+// Last committed innerHTML of each editable element, used to record typing.
+const textBaselines = new WeakMap();
+
+// IDs of the selected boxes (shift-click or shift-drag on empty canvas to select several).
+const selection = new Set();
+
+// Camera of the tree canvas: a canvas point p is shown at p * scale + (x, y)
+// relative to the top left corner of the tree (see screenToCanvas).
+const viewport = { x: 0, y: 0, scale: 1 };
+
+// Minimap state: the canvas area it shows ({ x, y, width, height }, set by
+// renderMinimap) and whether a redraw is already scheduled.
+const minimap = { frame: null, scheduled: false };
+
+// Math and code render libraries being loaded or loaded (see loadLibrary), by name.
+const renderLibraries = new Map();
+
+// Workspace state: the open IndexedDB connection, the ID of the open note,
+// the cached list of saved notes, the pending autosave timer and whether
+// the backend API is reachable.
+const workspace = {
+    db: null,
+    currentId: localStorage.getItem("treenotes-current"),
+    notes: [],
+    saveTimer: null,
+    online: false
+};
+
+// Live collaboration on the open note (see joinLiveSession): the WebSocket, the
+// ID of the note, this page's client ID and name, the Lamport clock stamping
+// changes, the merged entries of the note by key ({ value, stamp }, plus the
+// characters of a text entry, see mergeLiveText), the JSON of each entry as
+// last synced with the page, the IDs of boxes created here and elsewhere at
+// the same time, the other clients by ID ({ name, color, cursor, selection }),
+// this page's cursor on the canvas and the pending timers.
+const live = {
+    socket: null,
+    noteId: null,
+    connected: false,
+    clientId: Math.random().toString(36).slice(2, 10),
+    name: localStorage.getItem("treenotes-name") || "",
+    clock: 0,
+    entries: new Map(),
+    synced: new Map(),
+    contested: new Set(),
+    peers: new Map(),
+    cursor: null,
+    syncTimer: null,
+    presenceTimer: null,
+    reconnectTimer: null
+};
+
+// AI suggestions waiting for review: proposed boxes by ID ({ label }),
+// proposed lines by line ID ({ a, b, label }) and suggested links between
+// existing boxes by line ID ({ a, b, reason }). 'rejectedLinks' holds the line
+// IDs of suggestions the user rejected, which are saved with the note.
+const aiProposals = {
+    boxes: new Map(),
+    lines: new Map(),
+    suggestions: new Map(),
+    rejectedLinks: new Set(),
+    busy: false
+};
+
 // --------------------------------------------------------------------------
 // Event Listeners Attached on Initialization
 // --------------------------------------------------------------------------
@@ -22,6 +106,9 @@ const seed = document.querySelectorAll(".box")[0];
 // Attach a listener to the seed box to handle pasting images directly into it.
 listenForImagePaste(seed);
 
+// Record typing in the seed box and the Cornell sections in the undo history.
+[seed, ...document.querySelectorAll("#headingText, #cueText, #notesText")].forEach(trackTextEdits);
+
 // Make the initial seed box draggable using the makeDraggable function.
 makeDraggable(seed);
 
@@ -41,22 +128,424 @@ boxes.set(seed.id, {
 });
 
 // --------------------------------------------------------------------------
-// Zoom Functionality
+// Zoom and Pan
 // --------------------------------------------------------------------------
 
+// Limits of the canvas scale.
+const ZOOM_MIN = 0.1;
+const ZOOM_MAX = 4;
+
+// Scale change per pixel of wheel movement (a pinch on a trackpad is a wheel event with ctrlKey).
+const ZOOM_WHEEL_SPEED = 0.0015;
+
+// Largest scale used when fitting all boxes or the selection, and the screen margin kept around them.
+const ZOOM_FIT_MAX = 1;
+const ZOOM_SELECTION_MAX = 2;
+const ZOOM_FIT_MARGIN = 40;
+
+// Distance in pixels the pointer must travel before a press on empty canvas becomes a pan.
+const PAN_THRESHOLD = 4;
+
 /**
- * Zooms the canvas in or out by multiplying the current scale.
- * @param {number} times - The factor by which to zoom (e.g., 2 for 2x zoom, 0.5 for 0.5x zoom).
+ * Applies the viewport translation and scale to the canvas.
+ * @param {boolean} [animate=false] - Whether to animate the change.
  */
-function zoom(times) {
+function applyViewport(animate = false) {
     const canvas = document.getElementById("zoom");
     if (!canvas) return;
 
-    const transform = canvas.style.transform || "matrix(1, 0, 0, 1, 0, 0)";
-    const matrix = new DOMMatrix(transform);
-    const scale = matrix.a || 1;
+    canvas.classList.toggle("animated", animate);
+    canvas.style.transform = `translate(${viewport.x}px, ${viewport.y}px) scale(${viewport.scale})`;
+}
+
+/**
+ * Zooms the canvas in or out by multiplying the current scale, keeping the
+ * given screen point (by default the center of the tree) in place.
+ * @param {number} times - The factor by which to zoom (e.g., 2 for 2x zoom, 0.5 for 0.5x zoom).
+ * @param {number} [clientX] - The x coordinate of the anchor point in the window.
+ * @param {number} [clientY] - The y coordinate of the anchor point in the window.
+ */
+function zoom(times, clientX, clientY) {
+    const container = document.querySelector("#tree .container");
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    const anchored = clientX !== undefined;
+    zoomAt(
+        viewport.scale * times,
+        anchored ? clientX : rect.left + rect.width / 2,
+        anchored ? clientY : rect.top + rect.height / 2,
+        !anchored
+    );
+}
+
+/**
+ * Sets the scale of the canvas, keeping the canvas point under a screen point in place.
+ * @param {number} scale - The new scale, clamped to ZOOM_MIN..ZOOM_MAX.
+ * @param {number} clientX - The x coordinate of the anchor point in the window.
+ * @param {number} clientY - The y coordinate of the anchor point in the window.
+ * @param {boolean} [animate=false] - Whether to animate the change.
+ */
+function zoomAt(scale, clientX, clientY, animate = false) {
+    const next = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, scale));
+    const [x, y] = screenToCanvas(clientX, clientY);
+
+    viewport.x += x * (viewport.scale - next);
+    viewport.y += y * (viewport.scale - next);
+    viewport.scale = next;
+    applyViewport(animate);
+}
+
+/**
+ * Moves the canvas by a distance in screen pixels.
+ * @param {number} dx - The horizontal distance.
+ * @param {number} dy - The vertical distance.
+ */
+function panBy(dx, dy) {
+    viewport.x += dx;
+    viewport.y += dy;
+    applyViewport();
+}
+
+/**
+ * Returns the window position of the canvas origin at translation (0, 0),
+ * which is the top left corner of the content box of the tree container.
+ * @returns {number[]} The x and y coordinates in the window.
+ */
+function canvasOrigin() {
+    const container = document.querySelector("#tree .container");
+    const rect = container.getBoundingClientRect();
+    const style = getComputedStyle(container);
+    return [
+        rect.left + container.clientLeft + (parseFloat(style.paddingLeft) || 0),
+        rect.top + container.clientTop + (parseFloat(style.paddingTop) || 0)
+    ];
+}
+
+/**
+ * Converts a point of the window (e.g. a mouse position) to canvas coordinates,
+ * the coordinate space of box positions.
+ * @param {number} clientX - The x coordinate in the window.
+ * @param {number} clientY - The y coordinate in the window.
+ * @returns {number[]} The x and y coordinates on the canvas.
+ */
+function screenToCanvas(clientX, clientY) {
+    const [originX, originY] = canvasOrigin();
+    return [
+        (clientX - originX - viewport.x) / viewport.scale,
+        (clientY - originY - viewport.y) / viewport.scale
+    ];
+}
+
+/**
+ * Zooms and pans so the given boxes fill the visible part of the tree.
+ * @param {HTMLElement[]} list - The boxes to show.
+ * @param {number} [maxScale=ZOOM_FIT_MAX] - The largest scale to use.
+ */
+function fitBoxes(list, maxScale = ZOOM_FIT_MAX) {
+    const container = document.querySelector("#tree .container");
+    if (!container || !list.length) return;
+
+    const left = Math.min(...list.map(box => box.offsetLeft));
+    const top = Math.min(...list.map(box => box.offsetTop));
+    const right = Math.max(...list.map(box => box.offsetLeft + box.offsetWidth));
+    const bottom = Math.max(...list.map(box => box.offsetTop + box.offsetHeight));
+
+    const style = getComputedStyle(container);
+    const width = container.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+    const height = container.clientHeight - (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0);
+    const scale = Math.min(
+        maxScale,
+        (width - 2 * ZOOM_FIT_MARGIN) / Math.max(right - left, 1),
+        (height - 2 * ZOOM_FIT_MARGIN) / Math.max(bottom - top, 1)
+    );
+
+    viewport.scale = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, scale));
+    viewport.x = (width - (right - left) * viewport.scale) / 2 - left * viewport.scale;
+    viewport.y = (height - (bottom - top) * viewport.scale) / 2 - top * viewport.scale;
+    applyViewport(true);
+}
+
+/**
+ * Zooms and pans so every box of the note is visible.
+ */
+function fitAll() {
+    fitBoxes([...boxes.values()].map(({ box }) => box));
+}
+
+/**
+ * Zooms and pans to the selected boxes.
+ */
+function zoomToSelection() {
+    fitBoxes(getSelectedBoxes(), ZOOM_SELECTION_MAX);
+}
+
+/**
+ * Returns the selected boxes, or the box being edited if nothing is selected.
+ * @returns {HTMLElement[]} The selected boxes.
+ */
+function getSelectedBoxes() {
+    const ids = selection.size ? [...selection] : [document.activeElement?.closest?.("#boxes .box")?.id];
+    return ids.filter(id => boxes.has(id)).map(id => boxes.get(id).box);
+}
+
+/**
+ * Pans the canvas so a box is in the middle of the tree, keeping the scale.
+ * @param {HTMLElement} box - The box to center.
+ */
+function centerOn(box) {
+    const [x, y] = getBoxCoords(box);
+    centerOnPoint(x, y);
+}
+
+/**
+ * Pans the canvas so a canvas point is in the middle of the tree, keeping the scale.
+ * @param {number} x - The x coordinate on the canvas.
+ * @param {number} y - The y coordinate on the canvas.
+ * @param {boolean} [animate=true] - Whether to animate the change.
+ */
+function centerOnPoint(x, y, animate = true) {
+    const container = document.querySelector("#tree .container");
+    const [originX, originY] = canvasOrigin();
+    const rect = container.getBoundingClientRect();
+
+    viewport.x = rect.left + rect.width / 2 - originX - x * viewport.scale;
+    viewport.y = rect.top + rect.height / 2 - originY - y * viewport.scale;
+    applyViewport(animate);
+}
+
+/**
+ * Returns the part of the canvas visible in the tree, in canvas coordinates.
+ * @returns {{x: number, y: number, width: number, height: number}} The visible area.
+ */
+function visibleCanvasArea() {
+    const container = document.querySelector("#tree .container");
+    const rect = container.getBoundingClientRect();
+    const left = rect.left + container.clientLeft;
+    const top = rect.top + container.clientTop;
+    const [x1, y1] = screenToCanvas(left, top);
+    const [x2, y2] = screenToCanvas(left + container.clientWidth, top + container.clientHeight);
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+/**
+ * Attaches wheel zoom, pinch zoom and click-drag panning of empty canvas to the tree.
+ * A press that turns into a pan does not open the tree menu on release.
+ */
+function initViewport() {
+    const container = document.querySelector("#tree .container");
+    if (!container) return;
+
+    const pointers = new Map();
+    let pan = null;
+    let pinch = null;
+    let suppressClick = false;
+
+    const spread = () => {
+        const [a, b] = [...pointers.values()];
+        return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+
+    container.addEventListener("wheel", event => {
+        if (event.target.closest("#toolbarBar, #treeQuickMenu")) return;
+
+        event.preventDefault();
+        const delta = event.deltaY * (event.deltaMode === 1 ? 16 : 1);
+        zoomAt(viewport.scale * Math.exp(-delta * ZOOM_WHEEL_SPEED), event.clientX, event.clientY);
+    }, { passive: false });
 
-    canvas.style.transform = `scale(${scale * times})`;
+    container.addEventListener("pointerdown", event => {
+        // Shift-drag is left to the rubber-band selection (see initSelection).
+        if (event.button !== 0 || event.shiftKey || event.target.closest(".box, #toolbarBar, #treeQuickMenu")) return;
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        container.setPointerCapture?.(event.pointerId);
+        if (pointers.size === 1) {
+            pan = { travelled: 0, moved: false };
+        } else if (pointers.size === 2) {
+            pinch = { ...spread(), scale: viewport.scale };
+        }
+    });
+
+    container.addEventListener("pointermove", event => {
+        const last = pointers.get(event.pointerId);
+        if (!last) return;
+
+        const dx = event.clientX - last.x;
+        const dy = event.clientY - last.y;
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (pinch && pointers.size === 2) {
+            const { distance, x, y } = spread();
+            zoomAt(pinch.scale * distance / pinch.distance, x, y);
+            pan.moved = true;
+            return;
+        }
+
+        pan.travelled += Math.abs(dx) + Math.abs(dy);
+        if (!pan.moved && pan.travelled < PAN_THRESHOLD) return;
+
+        pan.moved = true;
+        container.classList.add("panning");
+        panBy(dx, dy);
+    });
+
+    const release = event => {
+        if (!pointers.delete(event.pointerId)) return;
+
+        pinch = null;
+        if (pointers.size === 0) {
+            suppressClick = pan.moved;
+            pan = null;
+            container.classList.remove("panning");
+        }
+    };
+    container.addEventListener("pointerup", release);
+    container.addEventListener("pointercancel", release);
+
+    container.addEventListener("click", event => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        event.stopImmediatePropagation();
+    }, true);
+}
+
+// --------------------------------------------------------------------------
+// Minimap
+// --------------------------------------------------------------------------
+
+// Size of the minimap in pixels (see #minimap in style.css).
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+
+// Canvas margin shown around the boxes and the visible area.
+const MINIMAP_MARGIN = 100;
+
+/**
+ * Redraws the minimap on the next animation frame, once per frame at most.
+ */
+function scheduleMinimap() {
+    if (minimap.scheduled) return;
+
+    minimap.scheduled = true;
+    requestAnimationFrame(() => {
+        minimap.scheduled = false;
+        renderMinimap();
+    });
+}
+
+/**
+ * Draws all boxes and lines in miniature with the visible area as a rectangle.
+ * The minimap shows the boxes and the visible area with a margin, stretched
+ * to its own aspect ratio so minimap and canvas coordinates map linearly.
+ */
+function renderMinimap() {
+    const svg = document.getElementById("minimap");
+    if (!svg) return;
+
+    const ns = "http://www.w3.org/2000/svg";
+    const view = visibleCanvasArea();
+    const areas = [...boxes.values()].map(({ box }) => ({
+        x: box.offsetLeft,
+        y: box.offsetTop,
+        width: box.offsetWidth,
+        height: box.offsetHeight,
+        color: box.style.backgroundColor
+    }));
+
+    const all = [...areas, view];
+    let left = Math.min(...all.map(area => area.x)) - MINIMAP_MARGIN;
+    let top = Math.min(...all.map(area => area.y)) - MINIMAP_MARGIN;
+    let width = Math.max(...all.map(area => area.x + area.width)) + MINIMAP_MARGIN - left;
+    let height = Math.max(...all.map(area => area.y + area.height)) + MINIMAP_MARGIN - top;
+
+    const ratio = MINIMAP_WIDTH / MINIMAP_HEIGHT;
+    if (width / height > ratio) {
+        top -= (width / ratio - height) / 2;
+        height = width / ratio;
+    } else {
+        left -= (height * ratio - width) / 2;
+        width = height * ratio;
+    }
+    minimap.frame = { x: left, y: top, width, height };
+    svg.setAttribute("viewBox", `${left} ${top} ${width} ${height}`);
+
+    const lines = Array.from(document.querySelectorAll("#lines .line")).map(line => {
+        const copy = document.createElementNS(ns, "line");
+        ["x1", "y1", "x2", "y2"].forEach(name => copy.setAttribute(name, line.getAttribute(name)));
+        copy.setAttribute("class", "minimap__line");
+        copy.style.stroke = line.style.stroke;
+        return copy;
+    });
+
+    const rects = [...areas, { ...view, className: "minimap__view" }].map(area => {
+        const rect = document.createElementNS(ns, "rect");
+        rect.setAttribute("x", area.x);
+        rect.setAttribute("y", area.y);
+        rect.setAttribute("width", Math.max(area.width, 1));
+        rect.setAttribute("height", Math.max(area.height, 1));
+        rect.setAttribute("class", area.className || "minimap__box");
+        if (area.color) rect.style.fill = area.color;
+        return rect;
+    });
+
+    svg.replaceChildren(...lines, ...rects);
+}
+
+/**
+ * Converts a point of the window over the minimap to canvas coordinates.
+ * @param {number} clientX - The x coordinate in the window.
+ * @param {number} clientY - The y coordinate in the window.
+ * @returns {number[]|null} The x and y coordinates on the canvas, or null before the first render.
+ */
+function minimapToCanvas(clientX, clientY) {
+    const rect = document.getElementById("minimap").getBoundingClientRect();
+    const frame = minimap.frame;
+    if (!frame || !rect.width || !rect.height) return null;
+
+    return [
+        frame.x + (clientX - rect.left) / rect.width * frame.width,
+        frame.y + (clientY - rect.top) / rect.height * frame.height
+    ];
+}
+
+/**
+ * Lets users click or drag on the minimap to move the visible area, and
+ * redraws the minimap whenever boxes, lines or the viewport change.
+ */
+function initMinimap() {
+    const svg = document.getElementById("minimap");
+    if (!svg) return;
+
+    let dragging = false;
+    const navigate = (event, animate) => {
+        const point = minimapToCanvas(event.clientX, event.clientY);
+        if (point) centerOnPoint(...point, animate);
+    };
+
+    svg.addEventListener("pointerdown", event => {
+        if (event.button !== 0) return;
+        dragging = true;
+        svg.setPointerCapture?.(event.pointerId);
+        navigate(event, true);
+    });
+    svg.addEventListener("pointermove", event => {
+        if (dragging) navigate(event, false);
+    });
+    ["pointerup", "pointercancel"].forEach(type => svg.addEventListener(type, () => {
+        dragging = false;
+    }));
+
+    // Box moves, typing, new lines and the viewport transform all mutate #zoom.
+    new MutationObserver(scheduleMinimap).observe(document.getElementById("zoom"), {
+        subtree: true,
+        childList: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ["style", "x1", "y1", "x2", "y2"]
+    });
+    window.addEventListener("resize", scheduleMinimap);
+    scheduleMinimap();
 }
 
 // --------------------------------------------------------------------------
@@ -70,18 +559,34 @@ function zoom(times) {
  */
 function makeDraggable(box) {
     let isDragging = false;
-    let offsetX, offsetY;
+    let moved = false;
+    let startX, startY;
+    let group = [];
 
     // Event listener for when the box loses focus (blur event).
-    // Resets the box height and updates connected lines.
+    // Resets the box height, renders its math and code (after committing the
+    // typing, so undo keeps the source) and updates connected lines.
     box.addEventListener("blur", () => {
         box.style.height = "7px";
+        commitTextEdit(box);
+        renderBox(box);
         updateLinesPosition(box);
     });
 
+    // Event listener for when the box gets focus: math and code are edited as source.
+    box.addEventListener("focus", () => showSource(box));
+
     // Event listener for when the box is clicked.
-    // Shows the toolbar associated with the clicked box.
-    box.addEventListener("click", () => {
+    // Updates the selection (Shift adds or removes the box, a plain click
+    // selects it alone unless it was just dragged) and shows the toolbar.
+    box.addEventListener("click", (e) => {
+        if (e.shiftKey) {
+            toggleSelection(box.id);
+        } else if (!moved) {
+            selectBoxes([box.id]);
+        }
+        moved = false;
+
         box.style.height = "fit-content";
         const toolbar = document.getElementById('toolbar');
         const rect = box.getBoundingClientRect();
@@ -91,44 +596,465 @@ function makeDraggable(box) {
         colorPicker.value = colorToHex(box.style.backgroundColor);
         toolbar.style.display = 'block';
         document.getElementById("toolbar").dataset.boxId = box.id;
+        document.getElementById("subNote").textContent = box.dataset.note ? "Open sub-note📂" : "Sub-note⤵️";
+        document.getElementById("collapseBox").textContent = box.dataset.collapsed ? "Expand⊕" : "Collapse⊖";
+        if (document.getElementById("backlinksPanel").classList.contains("visible")) showBacklinks(box.id);
     });
 
     // Event listener for when the mouse button is pressed down on the box.
-    // Initiates the dragging process.
+    // Initiates the dragging process, of all selected boxes if the box is one of them.
     box.addEventListener("mousedown", (e) => {
+        [startX, startY] = screenToCanvas(e.clientX, e.clientY);
         isDragging = true;
-        offsetX = e.clientX - box.offsetLeft;
-        offsetY = e.clientY - box.offsetTop;
+        moved = false;
+        group = (selection.has(box.id) ? getSelectedBoxes() : [box]).map(el => ({
+            el,
+            left: el.offsetLeft,
+            top: el.offsetTop,
+            start: { left: el.style.left, top: el.style.top }
+        }));
         box.style.cursor = "grabbing";
     });
 
     // Event listener for mouse movement across the window.
-    // Handles the actual dragging of the box and updates line positions.
+    // Handles the actual dragging of the boxes and updates line positions.
+    // The canvas has no edges, so boxes may be dragged to negative coordinates.
     window.addEventListener("mousemove", (e) => {
-        const container = document.getElementById("tree");
-        const limitReached = container.offsetLeft > e.clientX || container.offsetTop > e.clientY;
-        if (!isDragging || limitReached) return;
-        box.style.left = e.clientX - offsetX + "px";
-        box.style.top = e.clientY - offsetY + "px";
-        updateLinesPosition(box);
+        if (!isDragging) return;
+        const [x, y] = screenToCanvas(e.clientX, e.clientY);
+        group.forEach(({ el, left, top }) => {
+            el.style.left = left + x - startX + "px";
+            el.style.top = top + y - startY + "px";
+            updateLinesPosition(el);
+        });
+        scheduleLiveSync();
     });
 
     // Event listener for when the mouse button is released over the window.
-    // Ends the dragging process.
+    // Ends the dragging process and records the moves in the undo history.
     window.addEventListener("mouseup", () => {
+        if (!isDragging) return;
+        historyBatch("Move boxes", () => {
+            group.forEach(({ el, start }) => {
+                if (el.style.left === start.left && el.style.top === start.top) return;
+                moved = true;
+                recordMove(el.id, start, { left: el.style.left, top: el.style.top });
+            });
+        });
         isDragging = false;
+        group = [];
         box.style.cursor = "grab";
     });
 }
 
+// --------------------------------------------------------------------------
+// Multiple Selection
+// --------------------------------------------------------------------------
+
+/**
+ * Replaces the selection, or adds to it.
+ * @param {string[]} ids - The IDs of the boxes to select.
+ * @param {boolean} [add=false] - Whether to keep the boxes already selected.
+ */
+function selectBoxes(ids, add = false) {
+    if (!add) selection.clear();
+    ids.filter(id => boxes.has(id)).forEach(id => selection.add(id));
+    renderSelection();
+}
+
+/**
+ * Adds a box to the selection, or removes it if it is already selected.
+ * @param {string} id - The ID of the box.
+ */
+function toggleSelection(id) {
+    if (!selection.delete(id) && boxes.has(id)) selection.add(id);
+    renderSelection();
+}
+
+/**
+ * Empties the selection.
+ */
+function clearSelection() {
+    if (!selection.size) return;
+    selection.clear();
+    renderSelection();
+}
+
+/**
+ * Marks the selected boxes and shows the group actions of the box toolbar
+ * when more than one box is selected.
+ */
+function renderSelection() {
+    [...selection].filter(id => !boxes.has(id)).forEach(id => selection.delete(id));
+    boxes.forEach(({ box }, id) => box.classList.toggle("selected", selection.has(id)));
+
+    const group = selection.size > 1;
+    document.getElementById("groupActions").hidden = !group;
+    document.getElementById("addBox").hidden = group;
+    document.getElementById("selectionCount").textContent = group ? `${selection.size} selected` : "";
+    sendPresence();
+}
+
+/**
+ * Returns the boxes the box toolbar acts on: all selected boxes if the box
+ * it was opened for is part of a multiple selection, otherwise that box alone.
+ * @returns {HTMLElement[]} The boxes.
+ */
+function getToolbarBoxes() {
+    const id = document.getElementById("toolbar").dataset.boxId;
+    if (!boxes.has(id)) return [];
+    return selection.has(id) && selection.size > 1 ? getSelectedBoxes() : [boxes.get(id).box];
+}
+
+/**
+ * Lines up boxes on a common edge or center, or spreads them with equal gaps.
+ * @param {HTMLElement[]} list - The boxes to arrange.
+ * @param {"left"|"center"|"right"|"top"|"middle"|"bottom"|"distribute-x"|"distribute-y"} mode - How to arrange them.
+ */
+function alignBoxes(list, mode) {
+    if (list.length < 2) return;
+
+    const rects = list.map(box => ({
+        id: box.id,
+        left: box.offsetLeft,
+        top: box.offsetTop,
+        width: box.offsetWidth,
+        height: box.offsetHeight
+    }));
+    const minLeft = Math.min(...rects.map(r => r.left));
+    const maxRight = Math.max(...rects.map(r => r.left + r.width));
+    const minTop = Math.min(...rects.map(r => r.top));
+    const maxBottom = Math.max(...rects.map(r => r.top + r.height));
+    const targets = new Map(rects.map(r => [r.id, { left: r.left, top: r.top }]));
+
+    const distribute = (start, size, end) => {
+        const sorted = [...rects].sort((a, b) => a[start] - b[start]);
+        const total = sorted.reduce((sum, r) => sum + r[size], 0);
+        const gap = (end - sorted[0][start] - total) / (sorted.length - 1);
+        let position = sorted[0][start];
+        sorted.forEach(r => {
+            targets.get(r.id)[start] = Math.round(position);
+            position += r[size] + gap;
+        });
+    };
+
+    switch (mode) {
+        case "left":
+            rects.forEach(r => { targets.get(r.id).left = minLeft; });
+            break;
+        case "center":
+            rects.forEach(r => { targets.get(r.id).left = Math.round((minLeft + maxRight - r.width) / 2); });
+            break;
+        case "right":
+            rects.forEach(r => { targets.get(r.id).left = maxRight - r.width; });
+            break;
+        case "top":
+            rects.forEach(r => { targets.get(r.id).top = minTop; });
+            break;
+        case "middle":
+            rects.forEach(r => { targets.get(r.id).top = Math.round((minTop + maxBottom - r.height) / 2); });
+            break;
+        case "bottom":
+            rects.forEach(r => { targets.get(r.id).top = maxBottom - r.height; });
+            break;
+        case "distribute-x":
+            distribute("left", "width", maxRight);
+            break;
+        case "distribute-y":
+            distribute("top", "height", maxBottom);
+            break;
+        default:
+            return;
+    }
+
+    animateBoxesTo(targets, mode.startsWith("distribute") ? "Distribute boxes" : "Align boxes");
+}
+
+/**
+ * Links every box of a list to a target box. Existing links are kept as they are.
+ * @param {HTMLElement[]} list - The boxes to link.
+ * @param {string} targetId - The ID of the box to link them to.
+ */
+function linkAllTo(list, targetId) {
+    historyBatch("Link boxes", () => {
+        list.filter(box => box.id !== targetId).forEach(box => newLine(box, targetId));
+    });
+}
+
+/**
+ * Attaches shift-drag rubber-band selection to the tree, and clears the
+ * selection when empty canvas is clicked without Shift.
+ */
+function initSelection() {
+    const container = document.querySelector("#tree .container");
+    if (!container) return;
+
+    let band = null;
+    let suppressClick = false;
+
+    const bandRect = event => {
+        const containerRect = container.getBoundingClientRect();
+        return {
+            left: Math.min(band.x, event.clientX) - containerRect.left - container.clientLeft,
+            top: Math.min(band.y, event.clientY) - containerRect.top - container.clientTop,
+            width: Math.abs(event.clientX - band.x),
+            height: Math.abs(event.clientY - band.y)
+        };
+    };
+
+    container.addEventListener("pointerdown", event => {
+        if (!event.shiftKey || event.button !== 0 || event.target.closest(".box, #toolbarBar, #treeQuickMenu")) return;
+
+        const element = document.createElement("div");
+        element.className = "marquee";
+        container.appendChild(element);
+        band = { x: event.clientX, y: event.clientY, element, moved: false };
+        container.setPointerCapture?.(event.pointerId);
+    });
+
+    container.addEventListener("pointermove", event => {
+        if (!band) return;
+
+        const rect = bandRect(event);
+        band.moved = band.moved || rect.width + rect.height >= PAN_THRESHOLD;
+        Object.assign(band.element.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    });
+
+    const release = event => {
+        if (!band) return;
+
+        if (band.moved) {
+            const [x1, y1] = screenToCanvas(Math.min(band.x, event.clientX), Math.min(band.y, event.clientY));
+            const [x2, y2] = screenToCanvas(Math.max(band.x, event.clientX), Math.max(band.y, event.clientY));
+            const hits = [...boxes.values()]
+                .map(({ box }) => box)
+                .filter(box => !box.classList.contains("collapsed-hidden"))
+                .filter(box => box.offsetLeft < x2 && box.offsetLeft + box.offsetWidth > x1 &&
+                    box.offsetTop < y2 && box.offsetTop + box.offsetHeight > y1)
+                .map(box => box.id);
+            selectBoxes(hits, true);
+        }
+        suppressClick = band.moved;
+        band.element.remove();
+        band = null;
+    };
+    container.addEventListener("pointerup", release);
+    container.addEventListener("pointercancel", release);
+
+    container.addEventListener("click", event => {
+        if (!suppressClick) return;
+        suppressClick = false;
+        event.stopImmediatePropagation();
+    }, true);
+
+    container.addEventListener("click", event => {
+        if (event.shiftKey || event.target.closest(".box, #toolbarBar, #treeQuickMenu")) return;
+        clearSelection();
+    });
+
+    // Clicks outside the canvas and its toolbars end the selection too, so
+    // the keyboard shortcuts stop acting on boxes selected earlier.
+    document.addEventListener("click", event => {
+        if (event.target.closest?.("#tree, .toolbar")) return;
+        clearSelection();
+    });
+}
+
+// --------------------------------------------------------------------------
+// Keyboard Editing
+// --------------------------------------------------------------------------
+
+// Horizontal gap between a box and a child added with Tab, and vertical gap
+// between boxes stacked by Tab and Enter.
+const KEYBOARD_GAP_X = 60;
+const KEYBOARD_GAP_Y = 30;
+
+// Unit vectors of the arrow keys, used to find the neighbor in that direction.
+const ARROW_DIRECTIONS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+/**
+ * Handles the tree shortcuts. While a box is being edited: Tab adds a child,
+ * Enter a sibling (Shift+Enter is a line break), Alt+arrows move to a linked
+ * box and Escape stops editing. While boxes are selected but not edited,
+ * plain arrows, Tab and Enter work too, F2 edits the box and Delete or
+ * Backspace moves the selected boxes to the recycle bin. Only keys pressed
+ * on the canvas or with nothing focused are handled: buttons, links and
+ * fields elsewhere on the page keep their keys.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {boolean} Whether the event was handled.
+ */
+function handleTreeKey(event) {
+    if (event.ctrlKey || event.metaKey) return false;
+    if (event.target !== document.body && !event.target.closest?.("#tree")) return false;
+    if (event.target.closest?.("button, a, summary")) return false;
+
+    const editingBox = event.target.closest?.("#boxes .box");
+    if (!editingBox && event.target.closest?.("[contenteditable], input, textarea, select")) return false;
+
+    if (event.key === "?" && !editingBox) {
+        showHelp();
+        return true;
+    }
+
+    // Inside a list, Enter and Tab add and indent list items (see handleFormatKey).
+    if (editingBox && (event.key === "Enter" || event.key === "Tab") && selectionElement()?.closest("li")) return false;
+
+    const selected = editingBox ? [editingBox] : getSelectedBoxes();
+    const box = selected.length === 1 ? selected[0] : null;
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (!selected.length) return false;
+
+    if (event.key === "Tab" && !event.shiftKey && box) {
+        editBox(addChildBox(box));
+    } else if (event.key === "Enter" && !event.shiftKey && !event.altKey && box) {
+        editBox(addSiblingBox(box));
+    } else if (direction && box && (event.altKey || !editingBox)) {
+        navigateFrom(box, direction, Boolean(editingBox));
+    } else if (event.key === "Escape" && editingBox) {
+        editingBox.blur();
+    } else if (event.key === "F2" && box && !editingBox) {
+        editBox(box);
+    } else if ((event.key === "Delete" || event.key === "Backspace") && !editingBox) {
+        deleteBoxes(selected);
+    } else {
+        return false;
+    }
+
+    event.preventDefault();
+    return true;
+}
+
+/**
+ * Adds a box linked to a given box, to its right and below the boxes already linked there.
+ * @param {HTMLElement} box - The parent box.
+ * @returns {HTMLElement} The new box.
+ */
+function addChildBox(box) {
+    const children = boxes.get(box.id).lines
+        .map(id => boxes.get(id)?.box)
+        .filter(other => other && other.offsetLeft > box.offsetLeft);
+    const top = children.length
+        ? Math.max(...children.map(child => child.offsetTop + child.offsetHeight)) + KEYBOARD_GAP_Y
+        : box.offsetTop;
+    return addBlock(box, box.offsetLeft + box.offsetWidth + KEYBOARD_GAP_X, top);
+}
+
+/**
+ * Adds a box below a given box, linked to the same parent: the box it was
+ * first linked to. A box without links gets an unlinked sibling.
+ * @param {HTMLElement} box - The box to add a sibling to.
+ * @returns {HTMLElement} The new box.
+ */
+function addSiblingBox(box) {
+    const parent = boxes.get(boxes.get(box.id).lines[0])?.box;
+    const left = box.offsetLeft;
+    const top = box.offsetTop + box.offsetHeight + KEYBOARD_GAP_Y;
+    return parent ? addBlock(parent, left, top) : createNewBlock(left, top);
+}
+
+/**
+ * Selects a box and puts the caret in it with its text selected, so typing replaces it.
+ * @param {HTMLElement} box - The box to edit.
+ */
+function editBox(box) {
+    box.style.height = "fit-content";
+    selectBoxes([box.id]);
+    box.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(box);
+    const footer = box.querySelector(".boxFooter");
+    if (footer) range.setEndBefore(footer);
+    const selectionRange = window.getSelection();
+    selectionRange.removeAllRanges();
+    selectionRange.addRange(range);
+}
+
+/**
+ * Moves to the linked box closest to a direction from a box: it is selected,
+ * or edited when the box was being edited, and brought into view if needed.
+ * @param {HTMLElement} box - The box to start from.
+ * @param {number[]} direction - The unit vector of the direction (see ARROW_DIRECTIONS).
+ * @param {boolean} edit - Whether to edit the box reached.
+ */
+function navigateFrom(box, [dx, dy], edit) {
+    const [cx, cy] = getBoxCoords(box);
+    let best = null;
+    let bestScore = Infinity;
+
+    boxes.get(box.id).lines.forEach(id => {
+        const other = boxes.get(id)?.box;
+        if (!other || other.classList.contains("collapsed-hidden")) return;
+
+        const [ox, oy] = getBoxCoords(other);
+        const along = (ox - cx) * dx + (oy - cy) * dy;
+        const across = Math.abs((ox - cx) * dy) + Math.abs((oy - cy) * dx);
+        const score = along + 2 * across;
+        if (along > 0 && score < bestScore) {
+            best = other;
+            bestScore = score;
+        }
+    });
+    if (!best) return;
+
+    if (edit) {
+        editBox(best);
+    } else {
+        box.blur();
+        selectBoxes([best.id]);
+    }
+
+    const view = visibleCanvasArea();
+    const [x, y] = getBoxCoords(best);
+    if (x < view.x || y < view.y || x > view.x + view.width || y > view.y + view.height) centerOn(best);
+}
+
+/**
+ * Moves boxes to the recycle bin as one undo step and clears the selection.
+ * @param {HTMLElement[]} list - The boxes to delete.
+ */
+function deleteBoxes(list) {
+    historyBatch("Delete boxes", () => list.forEach(deleteBox));
+    clearSelection();
+}
+
+/**
+ * Opens the keyboard shortcut cheat sheet.
+ */
+function showHelp() {
+    togglePanel("helpPanel", true);
+}
+
 // --------------------------------------------------------------------------
 // Box Creation and Management
 // --------------------------------------------------------------------------
 
-function addBlock(box) {
-    const [x1, y1] = getBoxCoords(box);
-    const newBox = createNewBlock(x1, y1);
-    newLine(box, newBox);
+/**
+ * Creates a box linked to a given box, as one undo step. A collapsed box is
+ * expanded first, so the new box is not hidden.
+ * @param {HTMLElement} box - The box to link the new box to.
+ * @param {number} [x] - The left position of the new box; defaults to the center of the given box.
+ * @param {number} [y] - The top position of the new box; defaults to the center of the given box.
+ * @returns {HTMLElement} The new box.
+ */
+function addBlock(box, x, y) {
+    return historyBatch("Add box", () => {
+        if (box.dataset.collapsed) toggleCollapse(box);
+        const [x1, y1] = getBoxCoords(box);
+        const newBox = createNewBlock(x ?? x1, y ?? y1);
+        newLine(box, newBox);
+        return newBox;
+    });
 }
 
 /**
@@ -163,12 +1089,24 @@ function createNewBlock(x = 0, y = 20, content = "New Box", options = {}) {
     document.getElementById("boxes").appendChild(newBox);
     makeDraggable(newBox);
     listenForImagePaste(newBox);
+    trackTextEdits(newBox);
 
     boxes.set(newBox.id, {
         box: newBox,
         lines: []
     });
 
+    let snapshot;
+    recordHistory({
+        label: "Create box",
+        undo: () => {
+            const box = document.getElementById(resolvedId);
+            snapshot = snapshotBox(box);
+            removeBox(box);
+        },
+        redo: () => rebuildBox(snapshot)
+    });
+
     return newBox;
 }
 
@@ -178,36 +1116,307 @@ function createNewBlock(x = 0, y = 20, content = "New Box", options = {}) {
 
 /**
  * Deletes a specified box and all the lines connected to it.
+ * A snapshot of the box is pushed to the recycle bin so it can be restored.
  * @param {HTMLElement} box - The box element to be deleted.
  */
 function deleteBox(box) {
-    const lines = getLinesAttached(box);
-    lines.forEach(line => {
-        deleteLine(line);
+    const record = snapshotBox(box);
+    const moveToBin = () => {
+        bin.push(record);
+        withoutHistory(() => removeBox(document.getElementById(record.id)));
+        renderBin();
+    };
+
+    moveToBin();
+    recordHistory({
+        label: "Delete box",
+        undo: () => {
+            bin.splice(bin.indexOf(record), 1);
+            rebuildBox(record);
+            renderBin();
+        },
+        redo: moveToBin
     });
+}
+
+/**
+ * Removes a box and its lines from the canvas without keeping a copy in the bin.
+ * @param {HTMLElement} box - The box element to remove.
+ */
+function removeBox(box) {
+    const lines = getLinesAttached(box);
+    deferCollapsedUpdates(() => lines.forEach(line => deleteLine(line)));
     box.remove();
     boxes.delete(box.id);
-}
+    if (selection.delete(box.id)) renderSelection();
+    refreshCollapsed();
 
-// --------------------------------------------------------------------------
-// Line Creation and Management
-// --------------------------------------------------------------------------
+    aiProposals.suggestions.forEach(({ a, b }, lineId) => {
+        if (a === box.id || b === box.id) removeSuggestion(lineId);
+    });
+}
 
 /**
- * Creates a new SVG line element connecting two specified boxes.
- * @param {HTMLElement|string} box1 - The first box element or its ID.
- * @param {HTMLElement|string} box2 - The second box element or its ID.
+ * Rebuilds a box from a snapshot and redraws its links to boxes that still exist.
+ * If the original ID has been taken in the meantime, the box gets a new one.
+ * @param {ReturnType<typeof snapshotBox>} record - The snapshot to rebuild.
+ * @returns {HTMLElement} The rebuilt box element.
  */
-function newLine(box1, box2) {
-    const firstBox = typeof box1 === "string" ? document.getElementById(box1) : box1;
-    const secondBox = typeof box2 === "string" ? document.getElementById(box2) : box2;
+function rebuildBox(record) {
+    return withoutHistory(() => {
+        const entry = record.html === undefined ? migrateLegacyBox(record) : record;
+        const box = buildBox(entry, boxes.has(entry.id) ? {} : { id: entry.id });
+
+        // Lines are drawn once the box is back in the DOM so their end points
+        // are computed from the restored position and size. Link directions
+        // refer to the old ID of the box, which may have changed.
+        const renamed = id => (id === entry.id ? box.id : id);
+        (entry.lines || [])
+            .filter(id => boxes.has(id))
+            .forEach(id => {
+                const details = (entry.links || []).find(({ source, target }) => source === id || target === id);
+                newLine(box, id, details ? { ...details, source: renamed(details.source) } : {});
+            });
 
-    if (!firstBox || !secondBox) return;
+        return box;
+    });
+}
 
-    const sortedIds = [firstBox.id, secondBox.id].sort((a, b) => Number(a) - Number(b));
-    const lineId = sortedIds.join("_");
+/**
+ * Creates a box from its serialized form, without drawing its lines.
+ * @param {ReturnType<typeof serializeBox>} entry - The serialized box.
+ * @param {{id?: string|number}} [options={ id: entry.id }] - Passed on to createNewBlock.
+ * @returns {HTMLElement} The created box element.
+ */
+function buildBox(entry, options = { id: entry.id }) {
+    const left = parseInt(entry.style?.left, 10) || 0;
+    const top = parseInt(entry.style?.top, 10) || 0;
+    const box = createNewBlock(left, top, "", options);
+
+    setBoxHtml(box, entry.html || "");
+    if (entry.style?.backgroundColor) {
+        box.style.backgroundColor = entry.style.backgroundColor;
+    }
+    if (entry.note) box.dataset.note = entry.note;
+    if (entry.collapsed) box.dataset.collapsed = "true";
+    return box;
+}
 
-    if (document.getElementById(lineId)) return;
+/**
+ * Serializes a box losslessly: its content HTML (text, line breaks and images),
+ * position, color, the IDs of the boxes it is linked to, once promoted the
+ * ID of its sub-note and whether its subtree is collapsed.
+ * @param {HTMLElement} box - The box element to serialize.
+ * @returns {{id: string, html: string, style: {left: string, top: string, backgroundColor: string}, lines: string[], note?: string, collapsed?: boolean}}
+ */
+function serializeBox(box) {
+    const entry = boxes.get(box.id);
+    return {
+        id: box.id,
+        html: getBoxHtml(box),
+        style: {
+            left: box.style.left,
+            top: box.style.top,
+            backgroundColor: box.style.backgroundColor
+        },
+        lines: (entry?.lines || [])
+            .map(String)
+            .filter(other => !aiProposals.lines.has(getLineId(box.id, other))),
+        ...(box.dataset.note && { note: box.dataset.note }),
+        ...(box.dataset.collapsed && { collapsed: true })
+    };
+}
+
+/**
+ * Captures everything needed to rebuild a box later, including the details of its links.
+ * @param {HTMLElement} box - The box element to capture.
+ * @returns {ReturnType<typeof serializeBox> & {links: Object[], deletedAt: number}}
+ */
+function snapshotBox(box) {
+    const entry = serializeBox(box);
+    const links = entry.lines
+        .map(other => linkDetails.get(getLineId(box.id, other)))
+        .filter(Boolean);
+    return { ...entry, links, deletedAt: Date.now() };
+}
+
+/**
+ * Returns the content HTML of a box without its "#id" footer. For a box
+ * showing rendered math or code, this is its source (see renderBox).
+ * @param {HTMLElement} box - The box element to read.
+ * @returns {string} The content HTML of the box.
+ */
+function getBoxHtml(box) {
+    if (box.dataset.source !== undefined) return box.dataset.source;
+    const clone = box.cloneNode(true);
+    clone.querySelectorAll(".boxFooter").forEach(footer => footer.remove());
+    return clone.innerHTML.trim();
+}
+
+/**
+ * Replaces the content of a box with sanitized HTML, keeping its "#id" footer,
+ * and renders its math and code unless the box is being edited.
+ * @param {HTMLElement} box - The box element to fill.
+ * @param {string} html - The content HTML.
+ */
+function setBoxHtml(box, html) {
+    const footer = box.querySelector(".boxFooter");
+    delete box.dataset.source;
+    box.innerHTML = sanitizeHtml(html);
+    if (footer) box.appendChild(footer);
+    if (document.activeElement !== box) renderBox(box);
+}
+
+/**
+ * Returns the plain text of an HTML string.
+ * @param {string} html - The HTML to read.
+ * @returns {string} The trimmed text content.
+ */
+function htmlToText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html || "";
+    return template.content.textContent.replace(/\s+/g, " ").trim();
+}
+
+// --------------------------------------------------------------------------
+// Recycle Bin
+// --------------------------------------------------------------------------
+
+/**
+ * Restores a box from the recycle bin and redraws its links to boxes that still exist.
+ * @param {number} index - The index of the snapshot in the 'bin' array.
+ * @returns {HTMLElement|undefined} The restored box element.
+ */
+function restoreBox(index) {
+    const [record] = bin.splice(index, 1);
+    if (!record) return;
+
+    const box = rebuildBox(record);
+    renderBin();
+
+    const restoredId = box.id;
+    recordHistory({
+        label: "Restore box",
+        undo: () => {
+            bin.push(record);
+            removeBox(document.getElementById(restoredId));
+            renderBin();
+        },
+        redo: () => {
+            bin.splice(bin.indexOf(record), 1);
+            rebuildBox(record);
+            renderBin();
+        }
+    });
+    return box;
+}
+
+/**
+ * Permanently removes every snapshot from the recycle bin.
+ */
+function emptyBin() {
+    if (!bin.length || !confirm(`Permanently delete ${bin.length} box(es)?`)) return;
+    bin.length = 0;
+    renderBin();
+}
+
+/**
+ * Shows or hides the recycle bin panel.
+ */
+function toggleBin() {
+    if (togglePanel("binPanel")) renderBin();
+}
+
+/**
+ * Shows or hides a side panel. Showing one side panel hides the others.
+ * @param {string} id - The ID of the panel.
+ * @param {boolean} [show] - Forces the panel open (true) or closed (false).
+ * @returns {boolean} Whether the panel is now visible.
+ */
+function togglePanel(id, show) {
+    const panel = document.getElementById(id);
+    const visible = show ?? !panel.classList.contains("visible");
+
+    if (visible) {
+        document.querySelectorAll(".side-panel.visible").forEach(other => {
+            other.classList.remove("visible");
+            other.setAttribute("aria-hidden", "true");
+        });
+    }
+    panel.classList.toggle("visible", visible);
+    panel.setAttribute("aria-hidden", String(!visible));
+    return visible;
+}
+
+/**
+ * Re-renders the list of deleted boxes in the recycle bin panel, newest first.
+ */
+function renderBin() {
+    const list = document.getElementById("binList");
+    if (!list) return;
+
+    list.innerHTML = "";
+    document.getElementById("binEmpty").disabled = bin.length === 0;
+
+    if (!bin.length) {
+        const empty = document.createElement("p");
+        empty.className = "side-panel__empty";
+        empty.textContent = "The bin is empty.";
+        list.appendChild(empty);
+        return;
+    }
+
+    for (let index = bin.length - 1; index >= 0; index--) {
+        const record = bin[index];
+        const item = document.createElement("div");
+        item.className = "bin-item";
+
+        const swatch = document.createElement("span");
+        swatch.className = "bin-item__swatch";
+        swatch.style.backgroundColor = (record.style || record).backgroundColor || "#f1f1f1";
+
+        const details = document.createElement("div");
+        details.className = "bin-item__details";
+        const title = document.createElement("strong");
+        title.textContent = `Box# ${record.id}`;
+        const preview = document.createElement("small");
+        const text = htmlToText(record.html ?? record.content) || (/<img/i.test(record.html) ? "🖼️ Image" : "Empty box");
+        preview.textContent = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+        const meta = document.createElement("small");
+        meta.textContent = `${record.lines.length} link(s) · ${new Date(record.deletedAt).toLocaleTimeString()}`;
+        details.append(title, preview, meta);
+
+        const restore = document.createElement("button");
+        restore.type = "button";
+        restore.textContent = "Restore";
+        restore.addEventListener("click", () => restoreBox(index));
+
+        item.append(swatch, details, restore);
+        list.appendChild(item);
+    }
+}
+
+// --------------------------------------------------------------------------
+// Line Creation and Management
+// --------------------------------------------------------------------------
+
+/**
+ * Creates a new SVG line element connecting two specified boxes.
+ * @param {HTMLElement|string} box1 - The first box element or its ID.
+ * @param {HTMLElement|string} box2 - The second box element or its ID.
+ * @param {Object} [details={}] - Direction, label and style of the link (see normalizeLinkDetails).
+ * @returns {SVGLineElement|undefined} The new (or already existing) line, if both boxes exist.
+ */
+function newLine(box1, box2, details = {}) {
+    const firstBox = typeof box1 === "string" ? document.getElementById(box1) : box1;
+    const secondBox = typeof box2 === "string" ? document.getElementById(box2) : box2;
+
+    if (!firstBox || !secondBox) return;
+
+    const lineId = getLineId(firstBox.id, secondBox.id);
+    const existing = document.getElementById(lineId);
+
+    if (existing) return existing;
 
     const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
     line.setAttribute("id", lineId);
@@ -224,10 +1433,30 @@ function newLine(box1, box2) {
         secondEntry.lines.push(firstBox.id);
     }
 
-    const [x1, y1] = getBoxCoords(firstBox);
-    const [x2, y2] = getBoxCoords(secondBox);
-    updateLinePosition(line, x1, y1, x2, y2);
+    // A directed link without an explicit source points from the first box to the second.
+    const saved = normalizeLinkDetails(lineId, { ...details, source: details.source ?? firstBox.id });
+    linkDetails.set(lineId, saved);
     document.getElementById("lines").appendChild(line);
+    styleLine(lineId);
+    refreshCollapsed();
+
+    const [a, b] = lineId.split("_");
+    recordHistory({
+        label: "Link boxes",
+        undo: () => deleteLine(document.getElementById(lineId)),
+        redo: () => newLine(a, b, saved)
+    });
+    return line;
+}
+
+/**
+ * Builds the ID of the line between two boxes: both box IDs in ascending order, joined by "_".
+ * @param {string} a - The ID of one box.
+ * @param {string} b - The ID of the other box.
+ * @returns {string} The line ID.
+ */
+function getLineId(a, b) {
+    return [String(a), String(b)].sort((x, y) => Number(x) - Number(y)).join("_");
 }
 
 /**
@@ -235,16 +1464,17 @@ function newLine(box1, box2) {
  * @param {HTMLElement} box - The box whose connected lines need to be updated.
  */
 function updateLinesPosition(box) {
-    for (const line of document.querySelectorAll(".line")) {
-        const [startId, endId] = line.id.split("_");
-        if (box.id === startId) {
+    for (const line of document.querySelectorAll(".suggested-line")) {
+        if (line.dataset.a === box.id) {
             const [x1, y1] = getBoxCoords(box);
             updateLinePosition(line, x1, y1, false, false);
-        } else if (box.id === endId) {
+        } else if (line.dataset.b === box.id) {
             const [x2, y2] = getBoxCoords(box);
             updateLinePosition(line, false, false, x2, y2);
         }
     }
+
+    getLinesAttached(box).forEach(positionLine);
 }
 
 /**
@@ -252,7 +1482,9 @@ function updateLinesPosition(box) {
  * @param {SVGLineElement} line - The SVG line element to be deleted.
  */
 function deleteLine(line) {
+    const lineId = line.id;
     const [a, b] = line.id.split("_");
+    const details = linkDetails.get(lineId);
     const firstEntry = boxes.get(a);
     const secondEntry = boxes.get(b);
 
@@ -264,6 +1496,16 @@ function deleteLine(line) {
     }
 
     line.remove();
+    document.getElementById(`label-${lineId}`)?.remove();
+    linkDetails.delete(lineId);
+    refreshCollapsed();
+    if (document.getElementById("linkEditor").dataset.lineId === lineId) closeLinkEditor();
+
+    recordHistory({
+        label: "Unlink boxes",
+        undo: () => newLine(a, b, details),
+        redo: () => deleteLine(document.getElementById(lineId))
+    });
 }
 
 /**
@@ -306,512 +1548,6058 @@ function updateLinePosition(line, x1 = false, y1 = false, x2 = false, y2 = false
 
 
 // --------------------------------------------------------------------------
-// Image Pasting Functionality
+// Link Direction, Labels and Styles
 // --------------------------------------------------------------------------
 
+// Stroke dash patterns by link style.
+const LINK_DASHES = { solid: "", dashed: "8 5", dotted: "2 4" };
+
+// Relationship labels offered by the link editor. Any other text can be typed.
+const LINK_RELATIONS = [
+    "causes", "leads to", "is part of", "is an example of", "is a kind of",
+    "supports", "contradicts", "depends on", "defines", "see also"
+];
+
+// Maximum length of a relationship label.
+const LINK_LABEL_MAX = 60;
+
+// Distance kept between an arrowhead and the border of the box it points to.
+const LINK_ARROW_GAP = 4;
+
 /**
- * Attaches an event listener to a given HTML element to handle image pasting.
- * When an image is pasted, it creates an <img> tag and appends it to the element.
- * @param {HTMLElement} box - The HTML element to which the paste listener will be attached.
+ * Validates the details of a link. Undirected links use the ascending pair of
+ * the line ID as source and target; colors are "#rrggbb" or "" for the default.
+ * @param {string} lineId - The ID of the line.
+ * @param {Object} [details={}] - The details to validate.
+ * @returns {{source: string, target: string, directed: boolean, label: string, color: string, dash: string}}
  */
-function listenForImagePaste(box) {
-    box.addEventListener('paste', function (event) {
-        let items = (event.clipboardData || event.originalEvent.clipboardData).items;
-        for (let item of items) {
-            if (item.type.indexOf("image") === 0) {
-                event.preventDefault();
-                let blob = item.getAsFile();
-                let reader = new FileReader();
-                reader.onload = function (event) {
-                    let img = document.createElement("img");
-                    img.src = event.target.result;
-                    img.style.maxWidth = "100%";
-                    box.appendChild(img);
-                };
-                reader.readAsDataURL(blob);
-            }
-        }
-    });
+function normalizeLinkDetails(lineId, details = {}) {
+    const [a, b] = lineId.split("_");
+    const directed = Boolean(details.directed) && [a, b].includes(String(details.source));
+    const source = directed ? String(details.source) : a;
+    const color = String(details.color || "");
+
+    return {
+        source,
+        target: source === a ? b : a,
+        directed,
+        label: String(details.label || "").trim().slice(0, LINK_LABEL_MAX),
+        color: /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : "",
+        dash: Object.hasOwn(LINK_DASHES, details.dash) ? details.dash : "solid"
+    };
 }
 
-// --------------------------------------------------------------------------
-// Custom Text Context Menu and Highlighting
-// --------------------------------------------------------------------------
+/**
+ * Replaces the details of an existing line and redraws it, without recording history.
+ * @param {string} lineId - The ID of the line.
+ * @param {Object} details - The new details.
+ */
+function setLinkDetails(lineId, details) {
+    if (!document.getElementById(lineId)) return;
+
+    linkDetails.set(lineId, normalizeLinkDetails(lineId, details));
+    styleLine(lineId);
+    if (document.getElementById("linkEditor").dataset.lineId === lineId) fillLinkEditor();
+}
 
 /**
- * Checks if the current text selection is within a <span> element inside the "#text" container.
- * @param {Selection} selection - The current window text selection.
- * @returns {HTMLElement|boolean} The <span> element if selected text is within one, otherwise false.
+ * Changes some details of a link and records the change in the undo history.
+ * @param {string} lineId - The ID of the line.
+ * @param {Object} changes - The details to change.
  */
-function isSpan(selection) {
-    const range = selection.getRangeAt(0);
-    let commonAncestor = range.commonAncestorContainer;
-    if (commonAncestor.nodeType === Node.TEXT_NODE) {
-        commonAncestor = commonAncestor.parentElement;
-    }
-    if (!commonAncestor.closest('#text')) return false;
-    if (commonAncestor.tagName === "SPAN") {
-        return commonAncestor;
-    }
-    return false;
+function updateLink(lineId, changes) {
+    const before = linkDetails.get(lineId);
+    if (!before) return;
+
+    const after = normalizeLinkDetails(lineId, { ...before, ...changes });
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    setLinkDetails(lineId, after);
+    recordHistory({
+        label: "Edit link",
+        undo: () => setLinkDetails(lineId, before),
+        redo: () => setLinkDetails(lineId, after)
+    });
 }
 
 /**
- * Highlights the selected text by wrapping it in a span with the given background color.
- * If the selected text is already within a span, it updates the background color.
- * @param {string} color - The background color to apply to the highlighted text.
- * @param {HTMLElement|boolean} isSpan - The existing span element if the text is already highlighted, or false otherwise.
- * @returns {HTMLElement|boolean} The created or updated span element, or false if an error occurred.
+ * Applies the color, dash style, arrowhead and label of a link to its line.
+ * @param {string} lineId - The ID of the line.
  */
-function highlightText(color, isSpan) {
-    if (isSpan) {
-        isSpan.style.backgroundColor = color;
-        addGlow(isSpan, color);
+function styleLine(lineId) {
+    const line = document.getElementById(lineId);
+    const details = linkDetails.get(lineId);
+    if (!line || !details) return;
+
+    line.style.stroke = details.color;
+    line.style.strokeDasharray = LINK_DASHES[details.dash];
+    line.removeAttribute("marker-start");
+    line.removeAttribute("marker-end");
+    if (details.directed) {
+        // The arrowhead sits at the target end: x2/y2 for the lower ID, x1/y1 otherwise.
+        const end = details.source === lineId.split("_")[0] ? "marker-end" : "marker-start";
+        line.setAttribute(end, `url(#${ensureArrowMarker(details.color)})`);
+    }
+
+    let label = document.getElementById(`label-${lineId}`);
+    if (!details.label) {
+        label?.remove();
     } else {
-        const span = document.createElement("span");
-        span.className = "highlight";
-        span.style.backgroundColor = color;
-        try {
-            const selection = window.getSelection();
-            const range = selection.getRangeAt(0);
-            range.surroundContents(span);
-            addGlow(span, color);
-            return span;
-        } catch (error) {
-            console.warn("Erros Highlighting", error);
-            return false;
+        if (!label) {
+            label = document.createElementNS("http://www.w3.org/2000/svg", "text");
+            label.setAttribute("id", `label-${lineId}`);
+            label.setAttribute("class", "line-label");
+            label.setAttribute("text-anchor", "middle");
+            document.getElementById("lines").appendChild(label);
         }
+        label.textContent = details.label;
+        label.style.fill = details.color;
     }
+
+    positionLine(line);
 }
 
 /**
- * Removes a span element, effectively removing the highlight or link.
- * @param {HTMLElement} span - The span element to remove.
+ * Returns the ID of the arrowhead marker for a color, adding it to the SVG if needed.
+ * @param {string} color - A "#rrggbb" color, or "" for the default line color.
+ * @returns {string} The ID of the marker element.
  */
-function removeSpan(span) {
-    const content = span.textContent;
-    const textNode = document.createTextNode(content);
-    span.replaceWith(textNode);
+function ensureArrowMarker(color) {
+    const id = color ? `arrow-${color.slice(1)}` : "arrow";
+    if (document.getElementById(id)) return id;
+
+    const svg = document.getElementById("lines");
+    let defs = svg.querySelector("defs");
+    if (!defs) {
+        defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+        svg.prepend(defs);
+    }
+
+    const marker = document.createElementNS("http://www.w3.org/2000/svg", "marker");
+    marker.setAttribute("id", id);
+    marker.setAttribute("viewBox", "0 0 10 10");
+    marker.setAttribute("refX", "10");
+    marker.setAttribute("refY", "5");
+    marker.setAttribute("markerWidth", "6");
+    marker.setAttribute("markerHeight", "6");
+    marker.setAttribute("orient", "auto-start-reverse");
+
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    path.setAttribute("d", "M 0 0 L 10 5 L 0 10 z");
+    path.setAttribute("fill", color || "gray");
+    marker.appendChild(path);
+    defs.appendChild(marker);
+    return id;
 }
 
 /**
- * Updates the options in the link dropdown within the text toolbar.
- * @param {string} link - The ID of the box that should be marked as selected, if any.
+ * Moves a line and its label to the current positions of its boxes. Directed
+ * lines end at the box borders so their arrowheads are not hidden by the boxes.
+ * @param {SVGLineElement} line - The line to move.
  */
-function updateBoxList(link) {
-    const dropdown = document.getElementById("t_dropdown");
-    const boxes = document.getElementById("boxes").children;
-    dropdown.innerHTML = `<option value='none' ${link ? "" : "selected"}>--None--</option>`;
-    Array(...boxes).forEach(box => {
-        const option = document.createElement("option");
-        option.value = box.id;
-        option.selected = link == box.id ? "selected" : "";
-        option.innerHTML = "Box# " + box.id;
-        dropdown.appendChild(option);
-
-        // Add glow effect on mouseenter/mouseleave for dropdown options
-        option.addEventListener("mouseenter", e => glowBox(e));
-        option.addEventListener("mouseleave", e => noGlowBox(e));
+function positionLine(line) {
+    const [a, b] = line.id.split("_");
+    const first = document.getElementById(a);
+    const second = document.getElementById(b);
+    if (!first || !second) return;
+
+    const [ax, ay] = getBoxCoords(first);
+    const [bx, by] = getBoxCoords(second);
+    let [x1, y1, x2, y2] = [ax, ay, bx, by];
+    if (linkDetails.get(line.id)?.directed) {
+        [x1, y1] = clipToBox(first, ax, ay, bx, by);
+        [x2, y2] = clipToBox(second, bx, by, ax, ay);
+    }
+    updateLinePosition(line, x1, y1, x2, y2);
 
-        function glowBox(e) {
-            const id = e.target.value;
-            document.documentElement.style.setProperty("--glow-color", "black");
-            document.getElementById(id)?.classList.add("glow");
-        }
+    const label = document.getElementById(`label-${line.id}`);
+    if (label) {
+        label.setAttribute("x", (ax + bx) / 2);
+        label.setAttribute("y", (ay + by) / 2 - 6);
+    }
+}
 
-        function noGlowBox(e) {
-            const id = e.target.value;
-            document.getElementById(id)?.classList.remove("glow");
-        }
-    });
+/**
+ * Finds where the segment from the center of a box towards a point leaves the box.
+ * @param {HTMLElement} box - The box.
+ * @param {number} cx - The x coordinate of the center of the box.
+ * @param {number} cy - The y coordinate of the center of the box.
+ * @param {number} tx - The x coordinate of the point.
+ * @param {number} ty - The y coordinate of the point.
+ * @returns {number[]} The x and y coordinates on the border, or the center if the point is inside the box.
+ */
+function clipToBox(box, cx, cy, tx, ty) {
+    const dx = tx - cx;
+    const dy = ty - cy;
+    const halfWidth = box.offsetWidth / 2 + LINK_ARROW_GAP;
+    const halfHeight = box.offsetHeight / 2 + LINK_ARROW_GAP;
+    const scale = Math.min(
+        dx ? halfWidth / Math.abs(dx) : Infinity,
+        dy ? halfHeight / Math.abs(dy) : Infinity
+    );
+    if (scale >= 1) return [cx, cy];
+    return [cx + dx * scale, cy + dy * scale];
 }
 
 /**
- * Extracts the box ID from a string that represents setting the window location hash.
- * @param {string} e - The string containing the window.location.href assignment.
- * @returns {string|boolean} The extracted box ID, or false if no ID is found.
+ * Opens the link editor for a line, below the box toolbar.
+ * @param {string} lineId - The ID of the line.
+ * @param {string} fromId - The ID of the box whose toolbar opened the editor, listed first.
  */
-function getLink(e) {
-    let match = e.match(/window\.location\.href\s*=\s*['"]#(.*?)['"]/);
-    if (match) {
-        match = match[1];
-        console.log("ID:", match);
-        return match;
-    }
-    return false;
+function openLinkEditor(lineId, fromId) {
+    const editor = document.getElementById("linkEditor");
+    const toolbar = document.getElementById("toolbar");
+    if (!linkDetails.has(lineId)) return;
+
+    editor.dataset.lineId = lineId;
+    editor.dataset.fromId = fromId;
+    editor.style.left = toolbar.style.left;
+    editor.style.top = `${parseFloat(toolbar.style.top) + toolbar.offsetHeight + 8}px`;
+    editor.style.display = "flex";
+    fillLinkEditor();
 }
 
 /**
- * Event listener for the "text" element's context menu (right-click).
- * Prevents the default context menu and displays a custom text toolbar.
+ * Hides the link editor.
  */
-document.getElementById("text").addEventListener("contextmenu", (e) => {
-    e.preventDefault();
+function closeLinkEditor() {
+    const editor = document.getElementById("linkEditor");
+    editor.style.display = "none";
+    delete editor.dataset.lineId;
+}
 
-    // To remove all event listeners on the toolbar (for updating them)
-    const loadToolbar = document.getElementById("textToolbar");
-    loadToolbar.parentNode.replaceChild(loadToolbar.cloneNode(true), loadToolbar);
+/**
+ * Shows the details of the edited link in the link editor.
+ */
+function fillLinkEditor() {
+    const editor = document.getElementById("linkEditor");
+    const { lineId, fromId } = editor.dataset;
+    const details = linkDetails.get(lineId);
+    if (!details) return;
+
+    const [a, b] = lineId.split("_");
+    const toId = fromId === a ? b : a;
+    const direction = document.getElementById("linkDirection");
+    direction.innerHTML = "";
+    [["none", "No direction"], [fromId, `#${fromId} → #${toId}`], [toId, `#${toId} → #${fromId}`]]
+        .forEach(([value, text]) => direction.add(new Option(text, value)));
+    direction.value = details.directed ? details.source : "none";
+
+    document.getElementById("linkEditorTitle").textContent = `#${fromId} — #${toId}`;
+    document.getElementById("linkLabel").value = details.label;
+    document.getElementById("linkColor").value = details.color || "#808080";
+    document.getElementById("linkDash").value = details.dash;
+}
 
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return;
+/**
+ * Attaches the event listeners of the link editor.
+ */
+function linkEditorListeners() {
+    const editedLine = () => document.getElementById("linkEditor").dataset.lineId;
 
-    let span = isSpan(selection);
+    document.getElementById("linkRelations").replaceChildren(...LINK_RELATIONS.map(relation => new Option(relation)));
 
-    // Event listener for the text highlight color picker
-    document.getElementById("t_boxColor").addEventListener("change", e => {
-        const color = colorToHex(e.target.value);
-        highlightText(color, span);
+    document.getElementById("linkDirection").addEventListener("change", e => {
+        const source = e.target.value;
+        updateLink(editedLine(), source === "none" ? { directed: false } : { directed: true, source });
     });
 
-    // Event listener for the link dropdown
-    document.getElementById("t_dropdown").addEventListener("change", e => {
-        if (!span) {
-            span = highlightText("#FFFF00", false);
-            document.getElementById("t_boxColor").value = "#FFFF00";
-        }
-        span.dataset.boxId = e.target.value;
-        span.setAttribute("onclick", `window.location.href='#${e.target.value}'`);
+    document.getElementById("linkLabel").addEventListener("change", e => {
+        updateLink(editedLine(), { label: e.target.value });
     });
 
-    // Event listener for removing the text highlight/link
-    document.getElementById("t_remove").addEventListener("click", e => {
-        if (span) {
-            removeSpan(span);
-            removetoolbar();
-        }
+    document.getElementById("linkColor").addEventListener("change", e => {
+        updateLink(editedLine(), { color: e.target.value });
     });
 
-    // Update the color picker value and visibility of the remove button
-    document.getElementById("t_boxColor").value = span ? colorToHex(span.style.backgroundColor) : "#ffffff";
-    document.getElementById("t_remove").style.display = span ? "inline" : "none";
-    updateBoxList(span.dataset?.boxId);
-
-    const toolbar = document.getElementById("textToolbar");
-    toolbar.style.left = e.clientX + 'px';
-    toolbar.style.top = e.clientY + 'px';
+    document.getElementById("linkDash").addEventListener("change", e => {
+        updateLink(editedLine(), { dash: e.target.value });
+    });
 
-    toolbar.style.display = 'block'; // Show the toolbar
+    document.getElementById("linkDelete").addEventListener("click", () => {
+        const line = document.getElementById(editedLine());
+        if (line) deleteLine(line);
+        closeLinkEditor();
+    });
+}
 
-    // Function to hide the text toolbar and clear selection
-    function removetoolbar() {
-        selection?.removeAllRanges();
-        toolbar.style.display = 'none';
-    }
-});
 
 // --------------------------------------------------------------------------
-// Toolbar Visibility Management (General)
+// Auto Layout
 // --------------------------------------------------------------------------
 
+// Distance between the centers of neighboring boxes in the tree and radial layouts.
+const LAYOUT_SPACING_X = 260;
+const LAYOUT_SPACING_Y = 150;
+
+// Margin kept between the laid out boxes and the top left corner of the canvas.
+const LAYOUT_MARGIN = 40;
+
+// Duration of the animation moving boxes to their new positions, in milliseconds.
+const LAYOUT_ANIMATION_MS = 500;
+
 /**
- * Event listener for clicks anywhere on the document to hide the toolbars.
+ * Arranges all boxes with the given layout and animates them to their new positions.
+ * The whole arrangement is recorded as a single undo step.
+ * @param {"tree"|"radial"|"force"} kind - The layout to apply.
  */
-document.addEventListener('click', function (event) {
-    const toolbar = document.getElementById('toolbar');
-    const textToolbar = document.getElementById("textToolbar");
-    const treeMenu = document.getElementById("treeQuickMenu");
+function autoLayout(kind) {
+    if (!boxes.size) return;
 
-    if (toolbar && !event.target.closest('#boxes')) {
-        toolbar.style.display = 'none';
-    }
+    const layouts = { tree: treeLayout, radial: radialLayout, force: forceLayout };
+    const centers = layouts[kind]();
+    animateBoxesTo(normalizeLayout(centers));
+}
 
-    if (textToolbar && !event.target.closest("#textToolbar")) {
-        textToolbar.style.display = 'none';
-    }
+/**
+ * Splits the graph into spanning trees, one per connected component, walking the
+ * lines depth-first from the seed box (or the lowest ID of each component).
+ * @returns {{roots: string[], children: Map<string, string[]>}} The roots and the children of every box.
+ */
+function spanningForest() {
+    const ids = Array.from(boxes.keys()).sort((a, b) => Number(a) - Number(b));
+    if (boxes.has(seed.id)) ids.unshift(...ids.splice(ids.indexOf(seed.id), 1));
+
+    const children = new Map(ids.map(id => [id, []]));
+    const visited = new Set();
+    const roots = [];
+
+    const visit = id => {
+        // Claim all unvisited neighbors before descending, so siblings stay
+        // siblings instead of becoming descendants of a deeper path.
+        const next = (boxes.get(id)?.lines || []).filter(other => boxes.has(other) && !visited.has(other));
+        next.forEach(other => visited.add(other));
+        children.set(id, next);
+        next.forEach(visit);
+    };
 
-    if (treeMenu && !event.target.closest('#treeQuickMenu') && !event.target.closest('#tree .container')) {
-        treeMenu.classList.remove('visible');
-        treeMenu.setAttribute('aria-hidden', 'true');
-    }
-});
+    ids.forEach(id => {
+        if (visited.has(id)) return;
+        visited.add(id);
+        roots.push(id);
+        visit(id);
+    });
 
-// --------------------------------------------------------------------------
-// Box Toolbar Event Listeners
-// --------------------------------------------------------------------------
+    return { roots, children };
+}
 
 /**
- * Attaches event listeners to the buttons within the box toolbar.
+ * Layered tree layout: every depth gets its own row and parents are centered
+ * above their children. Components are placed next to each other.
+ * @returns {Map<string, {x: number, y: number}>} The center of every box.
  */
-function boxToolbarListeners() {
-    // Event listener for the box color picker
-    document.getElementById("boxColor").addEventListener("change", (e) => {
-        const box = document.getElementById(e.target.parentNode.dataset.boxId);
-        box.style.backgroundColor = colorToHex(e.target.value);
+function treeLayout() {
+    const { roots, children } = spanningForest();
+    const centers = new Map();
+    let nextColumn = 0;
+
+    const place = (id, depth) => {
+        const kids = children.get(id);
+        kids.forEach(kid => place(kid, depth + 1));
+
+        const x = kids.length
+            ? (centers.get(kids[0]).x + centers.get(kids[kids.length - 1]).x) / 2
+            : nextColumn++ * LAYOUT_SPACING_X;
+        centers.set(id, { x, y: depth * LAYOUT_SPACING_Y });
+    };
+
+    roots.forEach(root => place(root, 0));
+    return centers;
+}
+
+/**
+ * Radial layout: the seed box sits in the center and every depth forms a ring
+ * around it. Each subtree gets a slice of its ring proportional to its number of leaves.
+ * @returns {Map<string, {x: number, y: number}>} The center of every box.
+ */
+function radialLayout() {
+    const { roots, children } = spanningForest();
+    const centers = new Map();
+    const leaves = new Map();
+
+    const countLeaves = id => {
+        const kids = children.get(id);
+        const count = kids.length ? kids.reduce((sum, kid) => sum + countLeaves(kid), 0) : 1;
+        leaves.set(id, count);
+        return count;
+    };
+
+    const place = (id, depth, start, end) => {
+        const angle = (start + end) / 2;
+        const radius = depth * LAYOUT_SPACING_X;
+        centers.set(id, { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+
+        let cursor = start;
+        children.get(id).forEach(kid => {
+            const span = (end - start) * leaves.get(kid) / leaves.get(id);
+            place(kid, depth + 1, cursor, cursor + span);
+            cursor += span;
+        });
+    };
+
+    // The first root takes the center; further components share the first ring.
+    const [main, ...others] = roots;
+    children.set(main, [...children.get(main), ...others]);
+    countLeaves(main);
+    place(main, 0, 0, 2 * Math.PI);
+    return centers;
+}
+
+/**
+ * Force-directed layout (Fruchterman-Reingold): nearby boxes repel each other,
+ * lines pull their ends together, and a weak gravity keeps components close.
+ * Starts from the current positions so repeated runs refine the arrangement.
+ * @returns {Map<string, {x: number, y: number}>} The center of every box.
+ */
+function forceLayout() {
+    const ids = Array.from(boxes.keys());
+    const positions = new Map(ids.map(id => {
+        const [x, y] = getBoxCoords(boxes.get(id).box);
+        // Tiny jitter so boxes stacked on the same spot can be pushed apart.
+        return [id, { x: x + Math.random() - 0.5, y: y + Math.random() - 0.5 }];
+    }));
+    const edges = ids.flatMap(id => boxes.get(id).lines.filter(other => id < other && boxes.has(other)).map(other => [id, other]));
+
+    const k = LAYOUT_SPACING_X * 0.8;
+    const iterations = 300;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const moves = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+        const center = [...positions.values()].reduce((sum, p) => ({ x: sum.x + p.x / ids.length, y: sum.y + p.y / ids.length }), { x: 0, y: 0 });
+
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const a = positions.get(ids[i]);
+                const b = positions.get(ids[j]);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                // Far apart boxes no longer repel, so gravity can gather separate components.
+                if (distance > 3 * k) continue;
+                const force = k * k / distance;
+                moves.get(ids[i]).x += dx / distance * force;
+                moves.get(ids[i]).y += dy / distance * force;
+                moves.get(ids[j]).x -= dx / distance * force;
+                moves.get(ids[j]).y -= dy / distance * force;
+            }
+        }
+
+        edges.forEach(([u, v]) => {
+            const a = positions.get(u);
+            const b = positions.get(v);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 1);
+            const force = distance * distance / k;
+            moves.get(u).x -= dx / distance * force;
+            moves.get(u).y -= dy / distance * force;
+            moves.get(v).x += dx / distance * force;
+            moves.get(v).y += dy / distance * force;
+        });
+
+        const temperature = k * (1 - iteration / iterations) + 1;
+        ids.forEach(id => {
+            const p = positions.get(id);
+            const move = moves.get(id);
+            move.x -= (p.x - center.x) * 0.05;
+            move.y -= (p.y - center.y) * 0.05;
+            const length = Math.max(Math.hypot(move.x, move.y), 0.01);
+            p.x += move.x / length * Math.min(length, temperature);
+            p.y += move.y / length * Math.min(length, temperature);
+        });
+    }
+
+    return positions;
+}
+
+/**
+ * Converts box centers to top/left positions shifted so the layout starts
+ * at the top left corner of the canvas.
+ * @param {Map<string, {x: number, y: number}>} centers - The center of every box.
+ * @returns {Map<string, {left: number, top: number}>} The new position of every box.
+ */
+function normalizeLayout(centers) {
+    const positions = new Map();
+    centers.forEach(({ x, y }, id) => {
+        const box = boxes.get(id).box;
+        positions.set(id, { left: x - box.offsetWidth / 2, top: y - box.offsetHeight / 2 });
+    });
+
+    const minLeft = Math.min(...[...positions.values()].map(p => p.left));
+    const minTop = Math.min(...[...positions.values()].map(p => p.top));
+    positions.forEach(p => {
+        p.left = Math.round(p.left - minLeft + LAYOUT_MARGIN);
+        p.top = Math.round(p.top - minTop + LAYOUT_MARGIN);
+    });
+    return positions;
+}
+
+/**
+ * Animates boxes from their current to their target positions, keeping the
+ * lines attached on every frame, and records the moves as one undo step.
+ * @param {Map<string, {left: number, top: number}>} targets - The target position of every box.
+ * @param {string} [label="Auto layout"] - The label of the undo step.
+ */
+function animateBoxesTo(targets, label = "Auto layout") {
+    const moves = [...targets].map(([id, to]) => {
+        const box = boxes.get(id).box;
+        return { id, box, from: { left: box.offsetLeft, top: box.offsetTop }, startStyle: { left: box.style.left, top: box.style.top }, to };
+    });
+    const start = performance.now();
+
+    const frame = now => {
+        const progress = Math.min((now - start) / LAYOUT_ANIMATION_MS, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        moves.forEach(({ box, from, to }) => {
+            box.style.left = `${Math.round(from.left + (to.left - from.left) * eased)}px`;
+            box.style.top = `${Math.round(from.top + (to.top - from.top) * eased)}px`;
+            updateLinesPosition(box);
+        });
+
+        if (progress < 1) {
+            requestAnimationFrame(frame);
+            return;
+        }
+
+        historyBatch(label, () => {
+            moves.forEach(({ id, box, startStyle }) => {
+                if (box.style.left !== startStyle.left || box.style.top !== startStyle.top) {
+                    recordMove(id, startStyle, { left: box.style.left, top: box.style.top });
+                }
+            });
+        });
+    };
+
+    requestAnimationFrame(frame);
+}
+
+// --------------------------------------------------------------------------
+// Collapsing Subtrees
+// --------------------------------------------------------------------------
+
+/**
+ * Lists the descendants of a box: the boxes below it in the spanning tree
+ * grown from the seed box (see spanningForest).
+ * @param {string} id - The ID of the box.
+ * @param {Map<string, string[]>} [children] - The children of every box, from spanningForest().
+ * @returns {string[]} The IDs of the descendants.
+ */
+function descendantIds(id, children = spanningForest().children) {
+    const ids = [];
+    const stack = [...(children.get(id) || [])];
+    while (stack.length) {
+        const next = stack.pop();
+        ids.push(next);
+        stack.push(...(children.get(next) || []));
+    }
+    return ids;
+}
+
+/**
+ * Collapses a box, hiding its descendants behind a count badge, or expands
+ * it again, as one undo step.
+ * @param {HTMLElement} box - The box.
+ */
+function toggleCollapse(box) {
+    if (!box) return;
+    const id = box.id;
+    const collapsed = !box.dataset.collapsed;
+
+    setCollapsed(id, collapsed);
+    recordHistory({
+        label: collapsed ? "Collapse box" : "Expand box",
+        undo: () => setCollapsed(id, !collapsed),
+        redo: () => setCollapsed(id, collapsed)
+    });
+}
+
+/**
+ * Collapses or expands a box and deselects the boxes it hides.
+ * @param {string} id - The ID of the box.
+ * @param {boolean} collapsed - Whether the box should be collapsed.
+ */
+function setCollapsed(id, collapsed) {
+    const box = boxes.get(id)?.box;
+    if (!box) return;
+    if (collapsed) box.dataset.collapsed = "true";
+    else delete box.dataset.collapsed;
+
+    updateCollapsed();
+    const visible = [...selection].filter(other => !boxes.get(other)?.box.classList.contains("collapsed-hidden"));
+    if (visible.length !== selection.size) selectBoxes(visible);
+}
+
+/**
+ * Expands every collapsed ancestor of a box, so it is shown, as one undo step.
+ * @param {string} id - The ID of the box.
+ */
+function revealBox(id) {
+    if (!boxes.get(id)?.box.classList.contains("collapsed-hidden")) return;
+
+    const parents = new Map();
+    spanningForest().children.forEach((kids, parent) => kids.forEach(kid => parents.set(kid, parent)));
+    const ancestors = [];
+    for (let parent = parents.get(id); parent; parent = parents.get(parent)) ancestors.push(boxes.get(parent).box);
+    historyBatch("Expand boxes", () => {
+        ancestors.filter(box => box.dataset.collapsed).forEach(toggleCollapse);
+    });
+}
+
+// Depth of the open deferCollapsedUpdates() calls, and whether a change of
+// the tree is waiting for updateCollapsed() when the outermost one ends.
+const collapsedUpdates = { depth: 0, pending: false };
+
+/**
+ * Runs a function that may add or remove many boxes and lines, and updates
+ * the collapsed subtrees once at the end instead of after every change.
+ * @param {Function} fn - The function to run.
+ * @returns {*} Whatever the function returns.
+ */
+function deferCollapsedUpdates(fn) {
+    collapsedUpdates.depth++;
+    try {
+        return fn();
+    } finally {
+        collapsedUpdates.depth--;
+        if (!collapsedUpdates.depth && collapsedUpdates.pending) {
+            collapsedUpdates.pending = false;
+            updateCollapsed();
+        }
+    }
+}
+
+/**
+ * Updates the collapsed subtrees after a change of the tree, or when the
+ * open deferCollapsedUpdates() call ends.
+ */
+function refreshCollapsed() {
+    if (collapsedUpdates.depth) collapsedUpdates.pending = true;
+    else updateCollapsed();
+}
+
+/**
+ * Hides the descendants of the collapsed boxes and their lines, and shows
+ * the number of hidden boxes on the badge of each collapsed box. Only the
+ * visibility changes: the blur/click height of the boxes is left alone.
+ */
+function updateCollapsed() {
+    const collapsed = [...boxes.values()].filter(({ box }) => box.dataset.collapsed);
+    const hidden = new Set();
+    if (collapsed.length) {
+        const { children } = spanningForest();
+        collapsed.forEach(({ box }) => {
+            const ids = descendantIds(box.id, children);
+            ids.forEach(id => hidden.add(id));
+            box.dataset.hiddenCount = ids.length;
+        });
+    }
+
+    boxes.forEach(({ box }, id) => {
+        if (!box.dataset.collapsed) delete box.dataset.hiddenCount;
+        renderCollapseBadge(box);
+
+        const wasHidden = box.classList.contains("collapsed-hidden");
+        box.classList.toggle("collapsed-hidden", hidden.has(id));
+        if (wasHidden && !hidden.has(id)) updateLinesPosition(box);
+    });
+
+    document.querySelectorAll("#lines .line").forEach(line => {
+        const [a, b] = line.id.split("_");
+        const lineHidden = hidden.has(a) || hidden.has(b);
+        line.classList.toggle("collapsed-hidden", lineHidden);
+        document.getElementById(`label-${line.id}`)?.classList.toggle("collapsed-hidden", lineHidden);
+    });
+}
+
+/**
+ * Shows the "+N" badge of a collapsed box in its footer, or removes it.
+ * @param {HTMLElement} box - The box.
+ */
+function renderCollapseBadge(box) {
+    const footer = box.querySelector(".boxFooter");
+    let badge = footer?.querySelector(".collapse-badge");
+    if (!box.dataset.collapsed || !footer) {
+        badge?.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement("span");
+        badge.className = "collapse-badge";
+        badge.contentEditable = "false";
+        footer.appendChild(badge);
+    }
+    const count = Number(box.dataset.hiddenCount) || 0;
+    badge.textContent = `+${count}`;
+    badge.title = `${count} hidden box(es), click to expand`;
+}
+
+/**
+ * Makes the badge of a collapsed box expand it on click, without editing or
+ * dragging the box.
+ */
+function initCollapse() {
+    const container = document.getElementById("boxes");
+    container.addEventListener("mousedown", e => {
+        if (!e.target.closest(".collapse-badge")) return;
+        e.preventDefault();
+        e.stopPropagation();
+    }, true);
+    container.addEventListener("click", e => {
+        const badge = e.target.closest(".collapse-badge");
+        if (!badge) return;
+        e.preventDefault();
+        e.stopPropagation();
+        toggleCollapse(badge.closest(".box"));
+    }, true);
+}
+
+// --------------------------------------------------------------------------
+// Image Pasting Functionality
+// --------------------------------------------------------------------------
+
+/**
+ * Attaches an event listener to a given HTML element to handle image pasting.
+ * When an image is pasted, it creates an <img> tag and appends it to the element.
+ * @param {HTMLElement} box - The HTML element to which the paste listener will be attached.
+ */
+function listenForImagePaste(box) {
+    box.addEventListener('paste', function (event) {
+        let items = (event.clipboardData || event.originalEvent.clipboardData).items;
+        for (let item of items) {
+            if (item.type.indexOf("image") === 0) {
+                event.preventDefault();
+                let blob = item.getAsFile();
+                let reader = new FileReader();
+                reader.onload = function (event) {
+                    recordTextChange(box, "Paste image", () => appendImage(box, event.target.result));
+                };
+                reader.readAsDataURL(blob);
+            }
+        }
+    });
+}
+
+/**
+ * Appends an <img> tag with the given source to a box.
+ * @param {HTMLElement} box - The box element that receives the image.
+ * @param {string} src - The image source, usually a data URL.
+ * @returns {HTMLImageElement} The appended image element.
+ */
+function appendImage(box, src) {
+    let img = document.createElement("img");
+    img.src = src;
+    img.style.maxWidth = "100%";
+    box.appendChild(img);
+    return img;
+}
+
+// --------------------------------------------------------------------------
+// Custom Text Context Menu and Highlighting
+// --------------------------------------------------------------------------
+
+/**
+ * Checks if the current text selection is within a <span> element inside the "#text" container.
+ * @param {Selection} selection - The current window text selection.
+ * @returns {HTMLElement|boolean} The <span> element if selected text is within one, otherwise false.
+ */
+function isSpan(selection) {
+    const range = selection.getRangeAt(0);
+    let commonAncestor = range.commonAncestorContainer;
+    if (commonAncestor.nodeType === Node.TEXT_NODE) {
+        commonAncestor = commonAncestor.parentElement;
+    }
+    if (!commonAncestor.closest('#text')) return false;
+    if (commonAncestor.tagName === "SPAN") {
+        return commonAncestor;
+    }
+    return false;
+}
+
+/**
+ * Highlights the selected text by wrapping it in a span with the given background color.
+ * If the selected text is already within a span, it updates the background color.
+ * @param {string} color - The background color to apply to the highlighted text.
+ * @param {HTMLElement|boolean} isSpan - The existing span element if the text is already highlighted, or false otherwise.
+ * @returns {HTMLElement|boolean} The created or updated span element, or false if an error occurred.
+ */
+function highlightText(color, isSpan) {
+    return recordTextChange(document.getElementById("cueText"), "Highlight text", () => {
+        if (isSpan) {
+            isSpan.style.backgroundColor = color;
+            addGlow(isSpan, color);
+        } else {
+            const span = document.createElement("span");
+            span.className = "highlight";
+            span.style.backgroundColor = color;
+            try {
+                const selection = window.getSelection();
+                const range = selection.getRangeAt(0);
+                range.surroundContents(span);
+                addGlow(span, color);
+                return span;
+            } catch (error) {
+                console.warn("Erros Highlighting", error);
+                return false;
+            }
+        }
+    });
+}
+
+/**
+ * Removes a span element, effectively removing the highlight or link.
+ * @param {HTMLElement} span - The span element to remove.
+ */
+function removeSpan(span) {
+    recordTextChange(document.getElementById("cueText"), "Remove highlight", () => {
+        const content = span.textContent;
+        const textNode = document.createTextNode(content);
+        span.replaceWith(textNode);
+    });
+}
+
+/**
+ * Updates the options in the link dropdown within the text toolbar. Boxes of
+ * other saved notes are listed after those of the open note, grouped by note,
+ * with "<note ID>:<box ID>" as value.
+ * @param {string} link - The ID of the box that should be marked as selected, if any.
+ * @param {string} [noteId] - The ID of the note of that box, if it is another note.
+ */
+function updateBoxList(link, noteId) {
+    const dropdown = document.getElementById("t_dropdown");
+    const boxes = document.getElementById("boxes").children;
+    dropdown.innerHTML = `<option value='none' ${link ? "" : "selected"}>--None--</option>`;
+    Array(...boxes).forEach(box => {
+        const option = document.createElement("option");
+        option.value = box.id;
+        option.selected = !noteId && link == box.id ? "selected" : "";
+        option.innerHTML = "Box# " + box.id;
+        dropdown.appendChild(option);
+
+        // Add glow effect on mouseenter/mouseleave for dropdown options
+        option.addEventListener("mouseenter", e => glowBox(e));
+        option.addEventListener("mouseleave", e => noGlowBox(e));
+
+        function glowBox(e) {
+            const id = e.target.value;
+            document.documentElement.style.setProperty("--glow-color", "black");
+            document.getElementById(id)?.classList.add("glow");
+        }
+
+        function noGlowBox(e) {
+            const id = e.target.value;
+            document.getElementById(id)?.classList.remove("glow");
+        }
+    });
+
+    workspace.notes
+        .filter(note => note.id !== workspace.currentId && note.data?.boxes?.length)
+        .forEach(note => {
+            const group = document.createElement("optgroup");
+            group.label = note.name;
+            note.data.boxes.forEach(entry => {
+                const option = document.createElement("option");
+                option.value = `${note.id}:${entry.id}`;
+                option.selected = noteId === note.id && link == entry.id;
+                option.textContent = `Box# ${entry.id}: ${htmlToText(entry.html).slice(0, 30)}`;
+                group.appendChild(option);
+            });
+            dropdown.appendChild(group);
+        });
+}
+
+/**
+ * Extracts the box ID from a string that represents setting the window location hash.
+ * @param {string} e - The string containing the window.location.href assignment.
+ * @returns {string|boolean} The extracted box ID, or false if no ID is found.
+ */
+function getLink(e) {
+    let match = e.match(/window\.location\.href\s*=\s*['"]#(.*?)['"]/);
+    if (match) {
+        match = match[1];
+        console.log("ID:", match);
+        return match;
+    }
+    return false;
+}
+
+/**
+ * Event listener for the "text" element's context menu (right-click).
+ * Prevents the default context menu and displays a custom text toolbar.
+ */
+document.getElementById("text").addEventListener("contextmenu", (e) => {
+    e.preventDefault();
+
+    // To remove all event listeners on the toolbar (for updating them)
+    const loadToolbar = document.getElementById("textToolbar");
+    loadToolbar.parentNode.replaceChild(loadToolbar.cloneNode(true), loadToolbar);
+
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+
+    let span = isSpan(selection);
+
+    // Event listener for the text highlight color picker
+    document.getElementById("t_boxColor").addEventListener("change", e => {
+        const color = colorToHex(e.target.value);
+        highlightText(color, span);
+    });
+
+    // Event listener for the link dropdown
+    document.getElementById("t_dropdown").addEventListener("change", e => {
+        recordTextChange(document.getElementById("cueText"), "Link highlight", () => {
+            if (!span) {
+                span = highlightText("#FFFF00", false);
+                document.getElementById("t_boxColor").value = "#FFFF00";
+            }
+            if (!span) return;
+            const [boxId, noteId] = e.target.value.split(":").reverse();
+            span.dataset.boxId = boxId;
+            if (noteId) span.dataset.noteId = noteId;
+            else delete span.dataset.noteId;
+            span.removeAttribute("onclick");
+            linkHighlight(span);
+        });
+    });
+
+    // Event listener for removing the text highlight/link
+    document.getElementById("t_remove").addEventListener("click", e => {
+        if (span) {
+            removeSpan(span);
+            removetoolbar();
+        }
+    });
+
+    // Update the color picker value and visibility of the remove button
+    document.getElementById("t_boxColor").value = span ? colorToHex(span.style.backgroundColor) : "#ffffff";
+    document.getElementById("t_remove").style.display = span ? "inline" : "none";
+    updateBoxList(span.dataset?.boxId, span.dataset?.noteId);
+
+    const toolbar = document.getElementById("textToolbar");
+    toolbar.style.left = e.clientX + 'px';
+    toolbar.style.top = e.clientY + 'px';
+
+    toolbar.style.display = 'block'; // Show the toolbar
+
+    // Function to hide the text toolbar and clear selection
+    function removetoolbar() {
+        selection?.removeAllRanges();
+        toolbar.style.display = 'none';
+    }
+});
+
+// --------------------------------------------------------------------------
+// Rich Text Formatting
+// --------------------------------------------------------------------------
+
+// Editable areas whose text can be formatted.
+const FORMATTABLE = "#boxes .box, #cueText, #notesText";
+
+// Invisible character put after an element made by a Markdown shortcut so the
+// caret can be placed outside it (see applyMarkdownShortcut).
+const CARET_HOLDER = "\u200b";
+
+// Markdown typed at the start of a line, completed by a space, and the command it runs.
+const MARKDOWN_BLOCK_SHORTCUTS = [
+    { pattern: /^#$/, command: "formatBlock", value: "h1" },
+    { pattern: /^##$/, command: "formatBlock", value: "h2" },
+    { pattern: /^###$/, command: "formatBlock", value: "h3" },
+    { pattern: /^[-*+]$/, command: "insertUnorderedList" },
+    { pattern: /^1[.)]$/, command: "insertOrderedList" }
+];
+
+// Inline Markdown completed by its closing character, and the tag it becomes.
+const MARKDOWN_INLINE_SHORTCUTS = [
+    { pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, tag: "B" },
+    { pattern: /(?<![*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/, tag: "I" },
+    { pattern: /(?<![\w\\])_([^_\s](?:[^_]*[^_\s])?)_$/, tag: "I" },
+    { pattern: /~~([^~\s](?:[^~]*[^~\s])?)~~$/, tag: "S" },
+    { pattern: /`([^`]+)`$/, tag: "CODE" },
+    { pattern: /\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)$/, tag: "A" }
+];
+
+// Link addresses kept by sanitizeHtml() and accepted by the link button.
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+/**
+ * Returns the element that contains the start of the text selection.
+ * @returns {HTMLElement|null} The element, or null without a selection.
+ */
+function selectionElement() {
+    const node = window.getSelection()?.anchorNode;
+    return node?.nodeType === Node.TEXT_NODE ? node.parentElement : node || null;
+}
+
+/**
+ * Applies a formatting command of the format toolbar to the selected text,
+ * as one undo step of the editable area.
+ * @param {string} format - bold, italic, ul, ol, h1, h2, h3, code or link.
+ */
+function formatText(format) {
+    const element = selectionElement();
+    const editable = element?.closest(FORMATTABLE);
+    if (!editable) return;
+
+    recordTextChange(editable, "Format text", () => {
+        switch (format) {
+            case "bold":
+            case "italic":
+                document.execCommand(format);
+                break;
+            case "ul":
+                document.execCommand("insertUnorderedList");
+                break;
+            case "ol":
+                document.execCommand("insertOrderedList");
+                break;
+            case "h1":
+            case "h2":
+            case "h3": {
+                // The heading button of the current heading turns it back into a line.
+                const current = document.queryCommandValue("formatBlock").toLowerCase();
+                document.execCommand("formatBlock", false, current === format ? "div" : format);
+                break;
+            }
+            case "code":
+                toggleInlineCode(element);
+                break;
+            case "link":
+                toggleLink(element);
+                break;
+        }
+    });
+    updateFormatToolbar();
+}
+
+/**
+ * Wraps the selected text in a <code> element, or unwraps the code element around the selection.
+ * @param {HTMLElement} element - The element containing the selection.
+ */
+function toggleInlineCode(element) {
+    const code = element.closest("code");
+    if (code) {
+        code.replaceWith(...code.childNodes);
+        return;
+    }
+
+    const selection = window.getSelection();
+    const range = selection.getRangeAt(0);
+    if (range.collapsed) return;
+
+    const wrapper = document.createElement("code");
+    wrapper.textContent = range.toString();
+    range.deleteContents();
+    range.insertNode(wrapper);
+    selection.selectAllChildren(wrapper);
+}
+
+/**
+ * Links the selected text to an address asked for, or removes the link around the selection.
+ * @param {HTMLElement} element - The element containing the selection.
+ */
+function toggleLink(element) {
+    const link = element.closest("a");
+    if (link) {
+        link.replaceWith(...link.childNodes);
+        return;
+    }
+    if (window.getSelection().isCollapsed) return;
+
+    const address = prompt("Link address:", "https://")?.trim();
+    if (!address || address === "https://") return;
+    document.execCommand("createLink", false, SAFE_LINK.test(address) ? address : `https://${address}`);
+}
+
+/**
+ * Shows the format toolbar above a text selection in a formattable area and
+ * marks the formats of the selection, or hides it without such a selection.
+ */
+function updateFormatToolbar() {
+    const toolbar = document.getElementById("formatToolbar");
+    const selection = window.getSelection();
+    const element = selectionElement();
+    if (!toolbar || !selection?.rangeCount || selection.isCollapsed || !element?.closest(FORMATTABLE)) {
+        if (toolbar) toolbar.style.display = "none";
+        return;
+    }
+
+    const block = document.queryCommandValue("formatBlock").toLowerCase();
+    const active = {
+        bold: document.queryCommandState("bold"),
+        italic: document.queryCommandState("italic"),
+        ul: Boolean(element.closest("ul")),
+        ol: Boolean(element.closest("ol")),
+        h1: block === "h1",
+        h2: block === "h2",
+        h3: block === "h3",
+        code: Boolean(element.closest("code")),
+        link: Boolean(element.closest("a"))
+    };
+    toolbar.querySelectorAll("[data-format]").forEach(button => {
+        button.classList.toggle("active", active[button.dataset.format]);
+    });
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    toolbar.style.display = "flex";
+    toolbar.style.left = `${rect.left + window.scrollX}px`;
+    toolbar.style.top = `${Math.max(0, rect.top + window.scrollY - toolbar.offsetHeight - 8)}px`;
+}
+
+/**
+ * Tells whether a text node starts a line: nothing but empty nodes comes
+ * before it in its block, up to a line break or the start of the block.
+ * @param {Text} node - The text node.
+ * @param {HTMLElement} editable - The editable area containing it.
+ * @returns {boolean} True if the node starts a line.
+ */
+function startsLine(node, editable) {
+    for (let current = node; current && current !== editable; current = current.parentNode) {
+        for (let previous = current.previousSibling; previous; previous = previous.previousSibling) {
+            if (previous.nodeName === "BR") return true;
+            if (previous.textContent) return false;
+        }
+        if (/^(DIV|P|LI|H[1-6])$/.test(current.parentNode?.nodeName) && current.parentNode !== editable) return true;
+    }
+    return true;
+}
+
+/**
+ * Turns Markdown typed into a formattable area into formatting: "# " and
+ * "- " or "1. " at the start of a line make headings and lists, closing
+ * "**", "*", "_", "~~", "`" or a "[text](address)" link formats the text
+ * they enclose. The change is part of the typing undo step.
+ * @param {InputEvent} event - The input event of the editable area.
+ */
+function applyMarkdownShortcut(event) {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (event.inputType !== "insertText" || !selection.isCollapsed || node?.nodeType !== Node.TEXT_NODE) return;
+
+    const offset = selection.anchorOffset;
+    const before = node.data.slice(0, offset).replace(/\u00a0/g, " ");
+
+    if (event.data === " ") {
+        const shortcut = MARKDOWN_BLOCK_SHORTCUTS.find(({ pattern }) => pattern.test(before.slice(0, -1)));
+        if (shortcut && startsLine(node, event.target)) {
+            node.deleteData(0, offset);
+            selection.collapse(node, 0);
+            document.execCommand(shortcut.command, false, shortcut.value);
+            return;
+        }
+    }
+
+    for (const { pattern, tag } of MARKDOWN_INLINE_SHORTCUTS) {
+        const match = before.match(pattern);
+        if (!match) continue;
+
+        const range = document.createRange();
+        range.setStart(node, offset - match[0].length);
+        range.setEnd(node, offset);
+        range.deleteContents();
+
+        const element = document.createElement(tag);
+        element.textContent = match[1];
+        if (tag === "A") element.setAttribute("href", match[2]);
+        range.insertNode(element);
+
+        // Typing continues outside the new element; browsers keep the caret
+        // inside it unless there is text after it to hold the caret.
+        let next = element.nextSibling;
+        if (next?.nodeType !== Node.TEXT_NODE || !next.data) {
+            next = document.createTextNode(CARET_HOLDER);
+            element.after(next);
+        }
+        selection.collapse(next, next.data === CARET_HOLDER ? 1 : 0);
+        return;
+    }
+}
+
+/**
+ * Removes the caret holder from the text being typed once it holds other
+ * text, keeping the caret where it is.
+ */
+function removeTypedCaretHolder() {
+    const selection = window.getSelection();
+    const node = selection?.anchorNode;
+    if (node?.nodeType !== Node.TEXT_NODE || node.data === CARET_HOLDER || !node.data.includes(CARET_HOLDER)) return;
+
+    const offset = node.data.slice(0, selection.anchorOffset).replaceAll(CARET_HOLDER, "").length;
+    node.data = node.data.replaceAll(CARET_HOLDER, "");
+    selection.collapse(node, offset);
+}
+
+/**
+ * Removes the caret holders left in a formattable area, so they are not saved.
+ * @param {HTMLElement} el - The formattable area.
+ */
+function removeCaretHolders(el) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const holders = [];
+    while (walker.nextNode()) {
+        if (walker.currentNode.data.includes(CARET_HOLDER)) holders.push(walker.currentNode);
+    }
+    holders.forEach(node => {
+        node.data = node.data.replaceAll(CARET_HOLDER, "");
+        if (!node.data) node.remove();
+    });
+}
+
+/**
+ * Keyboard shortcuts of formattable areas: Ctrl+K links the selection, Tab
+ * and Shift+Tab indent and outdent list items. Ctrl+B and Ctrl+I are the
+ * browser's own.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleFormatKey(event) {
+    const element = selectionElement();
+    if (!element?.closest(FORMATTABLE)) return;
+
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k") {
+        event.preventDefault();
+        formatText("link");
+    } else if (event.key === "Tab" && element.closest("li")) {
+        event.preventDefault();
+        recordTextChange(element.closest(FORMATTABLE), "Format text", () => {
+            document.execCommand(event.shiftKey ? "outdent" : "indent");
+        });
+    }
+}
+
+/**
+ * Attaches the format toolbar and the Markdown shortcuts to the formattable areas.
+ */
+function initFormatting() {
+    const toolbar = document.getElementById("formatToolbar");
+    // Pressing a button must not move the focus out of the text, or the selection is lost.
+    toolbar.addEventListener("mousedown", event => event.preventDefault());
+    toolbar.addEventListener("click", event => {
+        const button = event.target.closest("[data-format]");
+        if (button) formatText(button.dataset.format);
+    });
+
+    document.addEventListener("selectionchange", updateFormatToolbar);
+    document.addEventListener("keydown", handleFormatKey);
+    document.addEventListener("input", event => {
+        if (!event.target.closest?.(FORMATTABLE)) return;
+        removeTypedCaretHolder();
+        applyMarkdownShortcut(event);
+    });
+    // Captured, so the caret holders are gone before the area commits its typing on blur.
+    document.addEventListener("blur", event => {
+        if (event.target.closest?.(FORMATTABLE)) removeCaretHolders(event.target);
+    }, true);
+
+    // Links open with Ctrl+click (Cmd+click), a plain click places the caret.
+    document.addEventListener("click", event => {
+        const link = event.target.closest?.("a[href]");
+        if (link && link.closest(FORMATTABLE) && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            window.open(link.href, "_blank", "noopener");
+        }
+    });
+}
+
+// --------------------------------------------------------------------------
+// Math and Code Blocks
+// --------------------------------------------------------------------------
+
+// Libraries loaded the first time a box needs them: KaTeX for math, highlight.js for code.
+// They are served with the app (see vendor/README.md), so math and code render offline too.
+const RENDER_LIBRARIES = {
+    katex: {
+        script: "vendor/katex/katex.min.js",
+        style: "vendor/katex/katex.min.css"
+    },
+    hljs: {
+        script: "vendor/highlight/highlight.min.js",
+        style: "vendor/highlight/github.min.css"
+    }
+};
+
+// Inline math: $...$ without spaces inside the dollars, so prices like "$5 and $10" stay text.
+const MATH_INLINE = /(?<![\\$\w])\$(?![\s$])([^$<>\n]+?)(?<!\s)\$(?![\w$])/;
+
+// A line opening a fenced code block, with its optional language.
+const CODE_FENCE = /^```\s*([\w+#.-]*)$/;
+
+// Reference to a box of a saved note, by note name or ID: [[Biology/3]].
+const NOTE_REF = /\[\[([^[\]\/|<>]+)\/([\w-]+)\]\]/g;
+
+/**
+ * Shows a box rendered: math typed as $...$ (inline) or $$...$$ (a block,
+ * on one line or between lines of "$$"), code between ``` lines and
+ * [[note/box]] references as links. The source stays the content of the box
+ * (see getBoxHtml) and is shown again while the box is edited. Boxes without
+ * math, code or references are left unchanged.
+ * Math and code are shown as source until their library has loaded.
+ * @param {HTMLElement} box - The box element.
+ */
+function renderBox(box) {
+    const source = getBoxHtml(box);
+    const { html, math, code, refs } = renderSource(source);
+    if (!math && !code && !refs) {
+        showSource(box);
+        return;
+    }
+
+    const footer = box.querySelector(".boxFooter");
+    box.innerHTML = html;
+    if (footer) box.appendChild(footer);
+    box.dataset.source = source;
+    // The rendered view is not an edit: keep typing undo from recording it.
+    textBaselines.set(box, box.innerHTML);
+
+    const missing = [math && !window.katex && "katex", code && !window.hljs && "hljs"].filter(Boolean);
+    if (missing.length) {
+        Promise.all(missing.map(loadLibrary))
+            .then(() => {
+                if (box.dataset.source === source && document.activeElement !== box) renderBox(box);
+            })
+            .catch(error => console.warn("Could not load the math and code renderers", error));
+    }
+}
+
+/**
+ * Replaces the rendered view of a box with its source, for editing.
+ * @param {HTMLElement} box - The box element.
+ */
+function showSource(box) {
+    const source = box.dataset.source;
+    if (source === undefined) return;
+
+    const footer = box.querySelector(".boxFooter");
+    delete box.dataset.source;
+    box.innerHTML = source;
+    if (footer) box.appendChild(footer);
+}
+
+/**
+ * Renders the math, code blocks and note references of box HTML. Every line becomes a div.
+ * @param {string} source - The content HTML of a box.
+ * @returns {{html: string, math: boolean, code: boolean, refs: boolean}} The rendered HTML and whether it has math, code or references.
+ */
+function renderSource(source) {
+    const lines = htmlLines(source);
+    const found = { math: false, code: false, refs: false };
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const text = lineText(lines[i]).trim();
+        const fence = text.match(CODE_FENCE);
+        const closing = fence ? "```" : "$$";
+        const end = fence || text === "$$"
+            ? lines.findIndex((line, j) => j > i && lineText(line).trim() === closing)
+            : -1;
+
+        if (end !== -1) {
+            const body = lines.slice(i + 1, end).map(lineText).join("\n");
+            output.push(fence ? renderCode(body, fence[1]) : renderMath(body, true));
+            found[fence ? "code" : "math"] = true;
+            i = end;
+            continue;
+        }
+
+        const block = text.match(/^\$\$(.+)\$\$$/);
+        if (block) {
+            output.push(renderMath(block[1], true));
+            found.math = true;
+            continue;
+        }
+
+        const line = lines[i]
+            .replace(new RegExp(MATH_INLINE.source, "g"), (_, tex) => {
+                found.math = true;
+                return renderMath(lineText(tex), false);
+            })
+            .replace(NOTE_REF, (_, ref, boxId) => {
+                found.refs = true;
+                return renderNoteRef(lineText(ref), boxId);
+            });
+        output.push(`<div>${line || "<br>"}</div>`);
+    }
+
+    return { html: output.join(""), ...found };
+}
+
+/**
+ * Splits HTML into the HTML of its lines: line breaks, divs and paragraphs end lines.
+ * @param {string} html - The HTML to split.
+ * @returns {string[]} The lines.
+ */
+function htmlLines(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    const lines = [""];
+
+    const walk = parent => parent.childNodes.forEach(node => {
+        if (node.nodeName === "BR") {
+            lines.push("");
+        } else if (node.nodeName === "DIV" || node.nodeName === "P") {
+            if (lines.at(-1)) lines.push("");
+            walk(node);
+            if (lines.at(-1)) lines.push("");
+        } else {
+            lines.push(lines.pop() + (node.nodeType === Node.TEXT_NODE ? escapeHtml(node.textContent) : node.outerHTML || ""));
+        }
+    });
+    walk(template.content);
+
+    if (lines.length > 1 && !lines.at(-1)) lines.pop();
+    return lines;
+}
+
+/**
+ * Returns the text of a line of HTML, keeping its spaces.
+ * @param {string} html - The HTML of the line.
+ * @returns {string} The text.
+ */
+function lineText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content.textContent.replace(/\u00a0/g, " ");
+}
+
+/**
+ * Renders TeX with KaTeX, or shows it as source while KaTeX is not loaded.
+ * @param {string} tex - The TeX source, without dollars.
+ * @param {boolean} display - True for a block, false for inline math.
+ * @returns {string} The HTML.
+ */
+function renderMath(tex, display) {
+    const tag = display ? "div" : "span";
+    const html = window.katex
+        ? window.katex.renderToString(tex, { displayMode: display, throwOnError: false })
+        : escapeHtml(display ? `$$${tex}$$` : `$${tex}$`);
+    return `<${tag} class="math${display ? " math--block" : ""}${window.katex ? "" : " math--source"}">${html}</${tag}>`;
+}
+
+/**
+ * Highlights code with highlight.js, or shows it plain while it is not loaded.
+ * @param {string} code - The code.
+ * @param {string} language - The language named after the opening fence, or "" to detect it.
+ * @returns {string} The HTML of the code block.
+ */
+function renderCode(code, language) {
+    const hljs = window.hljs;
+    let html = escapeHtml(code);
+    if (hljs && language && hljs.getLanguage(language)) {
+        html = hljs.highlight(code, { language }).value;
+    } else if (hljs) {
+        html = hljs.highlightAuto(code).value;
+    }
+    const label = language ? `<span class="code-block__language">${escapeHtml(language)}</span>` : "";
+    return `<pre class="code-block">${label}<code class="hljs">${html}</code></pre>`;
+}
+
+/**
+ * Loads the script and style sheet of a render library once.
+ * @param {string} name - A key of RENDER_LIBRARIES.
+ * @returns {Promise<void>} Resolves when the script has loaded.
+ */
+function loadLibrary(name) {
+    if (!renderLibraries.has(name)) {
+        const { script, style } = RENDER_LIBRARIES[name];
+        renderLibraries.set(name, new Promise((resolve, reject) => {
+            const link = document.createElement("link");
+            link.rel = "stylesheet";
+            link.href = style;
+            document.head.appendChild(link);
+
+            const element = document.createElement("script");
+            element.src = script;
+            element.onload = () => resolve();
+            element.onerror = () => reject(new Error(`Could not load ${script}`));
+            document.head.appendChild(element);
+        }));
+    }
+    return renderLibraries.get(name);
+}
+
+// --------------------------------------------------------------------------
+// Toolbar Visibility Management (General)
+// --------------------------------------------------------------------------
+
+/**
+ * Event listener for clicks anywhere on the document to hide the toolbars.
+ */
+document.addEventListener('click', function (event) {
+    const toolbar = document.getElementById('toolbar');
+    const textToolbar = document.getElementById("textToolbar");
+    const treeMenu = document.getElementById("treeQuickMenu");
+    const searchResults = document.getElementById("searchResults");
+    const linkEditor = document.getElementById("linkEditor");
+
+    if (linkEditor && !event.target.closest('#linkEditor') && !event.target.closest('.dropdown-edit')) {
+        closeLinkEditor();
+    }
+
+    if (searchResults && !event.target.closest('.search')) {
+        searchResults.hidden = true;
+    }
+
+    if (toolbar && !event.target.closest('#boxes')) {
+        toolbar.style.display = 'none';
+    }
+
+    if (textToolbar && !event.target.closest("#textToolbar")) {
+        textToolbar.style.display = 'none';
+    }
+
+    if (treeMenu && !event.target.closest('#treeQuickMenu') && !event.target.closest('#tree .container')) {
+        treeMenu.classList.remove('visible');
+        treeMenu.setAttribute('aria-hidden', 'true');
+    }
+});
+
+// --------------------------------------------------------------------------
+// Box Toolbar Event Listeners
+// --------------------------------------------------------------------------
+
+/**
+ * Attaches event listeners to the buttons within the box toolbar.
+ */
+function boxToolbarListeners() {
+    // Event listener for the box color picker
+    document.getElementById("boxColor").addEventListener("change", (e) => {
+        historyBatch("Change color", () => {
+            getToolbarBoxes().forEach(box => {
+                const previous = box.style.backgroundColor;
+                box.style.backgroundColor = colorToHex(e.target.value);
+                recordColor(box.id, previous, box.style.backgroundColor);
+            });
+        });
+    });
+
+    // Event listener for the "addBox" button
+    document.getElementById("addBox").addEventListener("click", e => {
+        const box = document.getElementById(e.target.parentNode.dataset.boxId);
+        addBlock(box);
+    });
+
+    // Event listener for the "deleteBox" button
+    document.getElementById("deleteBox").addEventListener("click", () => {
+        deleteBoxes(getToolbarBoxes());
+    });
+
+    // Event listener for the "subNote" button (promotes the box or opens its sub-note)
+    document.getElementById("subNote").addEventListener("click", e => {
+        openSubNote(document.getElementById(e.target.parentNode.dataset.boxId));
+    });
+
+    // Event listener for the "collapseBox" button
+    document.getElementById("collapseBox").addEventListener("click", e => {
+        const box = document.getElementById(e.target.parentNode.dataset.boxId);
+        toggleCollapse(box);
+        e.target.textContent = box?.dataset.collapsed ? "Expand⊕" : "Collapse⊖";
+    });
+
+    // Event listener for the "backlinks" button
+    document.getElementById("backlinks").addEventListener("click", e => {
+        showBacklinks(e.target.parentNode.dataset.boxId);
+    });
+
+    // Event listener for the align/distribute menu of a multiple selection
+    document.getElementById("alignBoxes").addEventListener("change", e => {
+        alignBoxes(getToolbarBoxes(), e.target.value);
+        e.target.value = "";
+    });
+}
+
+
+// --------------------------------------------------------------------------
+// Text Highlighting and Link Styling
+// --------------------------------------------------------------------------
+
+/**
+ * Adds mouseenter and mouseleave event listeners to a span element to apply a glow effect
+ * to the associated box. Highlights linked to a box of another note do not glow.
+ * @param {HTMLElement} span - The span element that triggers the glow.
+ * @param {string} color - The color of the glow effect.
+ */
+function addGlow(span, color) {
+    span.addEventListener("mouseenter", e => glowBox(e));
+    span.addEventListener("mouseleave", e => noGlowBox(e));
+
+    function glowBox(e) {
+        const id = e.target.dataset?.boxId;
+        if (e.target.dataset?.noteId) return;
+        document.documentElement.style.setProperty("--glow-color", color);
+        document.getElementById(id)?.classList.add("glow");
+    }
+
+    function noGlowBox(e) {
+        const id = e.target.dataset?.boxId;
+        document.getElementById(id)?.classList.remove("glow");
+    }
+}
+
+// --------------------------------------------------------------------------
+// Dropdown Menu for Connecting Boxes
+// --------------------------------------------------------------------------
+
+// Toggle the dropdown visibility when the button is hovered over
+document.querySelector(".dropdown-button").addEventListener('mouseover', e => {
+    const dropdown = e.currentTarget.closest(".dropdown");
+    const container = dropdown.querySelector(".dropdown-content");
+    const toolbar = dropdown.closest(".toolbar");
+    const boxId = toolbar?.dataset.boxId;
+
+    if (!boxId || !boxes.has(boxId)) return;
+
+    container.innerHTML = "";
+
+    // With several boxes selected the menu links all of them to the chosen box.
+    const group = getToolbarBoxes();
+    if (group.length > 1) {
+        const groupIds = new Set(group.map(box => box.id));
+        const title = document.createElement("div");
+        title.className = "dropdown-title";
+        title.textContent = `Link all ${group.length} selected to…`;
+        container.appendChild(title);
+
+        Array.from(boxes.keys())
+            .filter(id => !groupIds.has(id))
+            .sort((a, b) => Number(a) - Number(b))
+            .forEach(id => {
+                const item = document.createElement("div");
+                item.className = "dropdown-item";
+                const linked = group.every(box => boxes.get(box.id).lines.includes(id));
+                item.textContent = `Box# ${id}${linked ? " ✅" : ""}`;
+                item.addEventListener("click", () => linkAllTo(group, id));
+                container.appendChild(item);
+            });
+
+        dropdown.classList.add("show");
+        return;
+    }
+
+    const connectedIds = new Set((boxes.get(boxId)?.lines || []).map(String));
+
+    Array.from(boxes.keys())
+        .filter(id => id !== boxId)
+        .sort((a, b) => Number(a) - Number(b))
+        .forEach(id => {
+            const item = document.createElement("div");
+            item.className = "dropdown-item";
+
+            const lesser = String(Math.min(Number(boxId), Number(id)));
+            const greater = String(Math.max(Number(boxId), Number(id)));
+            const lineId = `${lesser}_${greater}`;
+            const isConnected = connectedIds.has(String(id));
+
+            item.dataset.a = lesser;
+            item.dataset.b = greater;
+            item.dataset.c = isConnected ? "1" : "0";
+            item.textContent = `Box# ${id}${isConnected ? " ✅" : ""}`;
+
+            if (isConnected) {
+                const { directed, source, label } = linkDetails.get(lineId) || {};
+                const arrow = directed ? (source === boxId ? " →" : " ←") : "";
+                item.textContent += `${arrow}${label ? ` ${label}` : ""}`;
+
+                const edit = document.createElement("span");
+                edit.className = "dropdown-edit";
+                edit.title = "Edit link";
+                edit.textContent = "✏️";
+                item.appendChild(edit);
+            }
+
+            item.addEventListener("click", evt => {
+                const { a, b, c } = evt.currentTarget.dataset;
+                if (evt.target.closest(".dropdown-edit")) {
+                    openLinkEditor(`${a}_${b}`, boxId);
+                } else if (c === "1") {
+                    const existingLine = document.getElementById(`${a}_${b}`);
+                    if (existingLine) deleteLine(existingLine);
+                } else {
+                    newLine(a, b);
+                }
+            });
+
+            container.appendChild(item);
+        });
+
+    dropdown.classList.add("show");
+});
+
+document.getElementById("link").addEventListener('mouseleave', () => {
+    document.getElementById("link").classList.remove("show");
+});
+
+
+// --------------------------------------------------------------------------
+// Color Conversion Functions
+// --------------------------------------------------------------------------
+
+/**
+ * Converts a color string (hex, rgb, or hsl) to its hexadecimal representation.
+ * Returns '#f1f1f1' for invalid color formats.
+ * @param {string} color - The color string to convert.
+ * @returns {string} The hexadecimal representation of the color.
+ */
+function colorToHex(color) {
+    if (typeof color !== "string") {
+        return "#f1f1f1";
+    }
+
+    const normalized = color.trim();
+
+    if (!normalized) {
+        return "#f1f1f1";
+    }
+
+    if (normalized.startsWith("#")) {
+        return normalized.length === 4 || normalized.length === 7 ? normalized.toUpperCase() : "#f1f1f1";
+    }
+
+    if (normalized.startsWith("rgb")) {
+        const rgb = normalized.match(/rgb\(\s*(\d+),\s*(\d+),\s*(\d+)\s*\)/);
+        if (rgb) {
+            return rgbToHex(parseInt(rgb[1], 10), parseInt(rgb[2], 10), parseInt(rgb[3], 10));
+        }
+    }
+
+    if (normalized.startsWith("hsl")) {
+        const hsl = normalized.match(/hsl\(\s*(\d+),\s*(\d+)%,\s*(\d+)%\s*\)/);
+        if (hsl) {
+            return hslToHex(parseInt(hsl[1], 10), parseInt(hsl[2], 10), parseInt(hsl[3], 10));
+        }
+    }
+
+    console.warn("Invalid Color ", color);
+    return "#f1f1f1";
+}
+
+/**
+ * Converts RGB color values to a hexadecimal color string.
+ * @param {number} r - The red color value (0-255).
+ * @param {number} g - The green color value (0-255).
+ * @param {number} b - The blue color value (0-255).
+ * @returns {string} The hexadecimal representation of the RGB color.
+ */
+function rgbToHex(r, g, b) {
+    return `#${(1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1).toUpperCase()}`;
+}
+
+/**
+ * Converts HSL color values to a hexadecimal color string.
+ * @param {number} h - The hue value (0-360).
+ * @param {number} s - The saturation value (0-100).
+ * @param {number} l - The lightness value (0-100).
+ * @returns {string} The hexadecimal representation of the HSL color.
+ */
+function hslToHex(h, s, l) {
+    s /= 100;
+    l /= 100;
+    let c = (1 - Math.abs(2 * l - 1)) * s;
+    let x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    let m = l - c / 2;
+    let r, g, b;
+    if (h >= 0 && h < 60) {
+        r = c;
+        g = x;
+        b = 0;
+    } else if (h >= 60 && h < 120) {
+        r = x;
+        g = c;
+        b = 0;
+    } else if (h >= 120 && h < 180) {
+        r = 0;
+        g = c;
+        b = x;
+    } else if (h >= 180 && h < 240) {
+        r = 0;
+        g = x;
+        b = c;
+    } else if (h >= 240 && h < 300) {
+        r = x;
+        g = 0;
+        b = c;
+    } else {
+        r = c;
+        g = 0;
+        b = x;
+    }
+    r = Math.round((r + m) * 255);
+    g = Math.round((g + m) * 255);
+    b = Math.round((b + m) * 255);
+    return `#${(1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1).toUpperCase()}`;
+}
+
+// --------------------------------------------------------------------------
+// Undo / Redo History
+// --------------------------------------------------------------------------
+
+/**
+ * Pushes a command onto the undo stack, or into the open batch if there is one.
+ * Does nothing while commands are being replayed.
+ * @param {{label: string, undo: Function, redo: Function}} command - The command to record.
+ */
+function recordHistory(command) {
+    if (historyState.paused) return;
+
+    if (historyState.batch) {
+        historyState.batch.push(command);
+        return;
+    }
+
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    scheduleAutosave();
+}
+
+/**
+ * Runs a function without recording any of the commands it triggers.
+ * @param {Function} fn - The function to run.
+ * @returns {*} Whatever the function returns.
+ */
+function withoutHistory(fn) {
+    historyState.paused++;
+    try {
+        return fn();
+    } finally {
+        historyState.paused--;
+    }
+}
+
+/**
+ * Runs a function and records every command it triggers as one undo step.
+ * @param {string} label - The label of the composite command.
+ * @param {Function} fn - The function to run.
+ * @returns {*} Whatever the function returns.
+ */
+function historyBatch(label, fn) {
+    if (historyState.batch || historyState.paused) return fn();
+
+    const commands = [];
+    historyState.batch = commands;
+    let result;
+    try {
+        result = deferCollapsedUpdates(fn);
+    } finally {
+        historyState.batch = null;
+    }
+
+    if (commands.length) {
+        recordHistory({
+            label,
+            undo: () => commands.slice().reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+    return result;
+}
+
+/**
+ * Runs a function that may replace the whole note and records it as one undo step,
+ * restoring the serialized note before or after it.
+ * @param {string} label - The label of the command.
+ * @param {Function} fn - The function to run.
+ */
+function recordSnapshot(label, fn) {
+    const before = serializeNote();
+    withoutHistory(fn);
+    const after = serializeNote();
+    recordHistory({
+        label,
+        undo: () => replaceNote(before),
+        redo: () => replaceNote(after)
+    });
+}
+
+/**
+ * Loads a document into the open note, keeping its recycle bin (loadNote()
+ * empties it, as it belongs to the note being replaced).
+ * @param {Object} data - The serialized note.
+ */
+function replaceNote(data) {
+    const kept = bin.slice();
+    loadNote(data);
+    bin.push(...kept);
+    renderBin();
+}
+
+/**
+ * Records a box move from one position to another.
+ * @param {string} id - The ID of the moved box.
+ * @param {{left: string, top: string}} from - The position before the move.
+ * @param {{left: string, top: string}} to - The position after the move.
+ */
+function recordMove(id, from, to) {
+    const moveTo = ({ left, top }) => {
+        const box = document.getElementById(id);
+        box.style.left = left;
+        box.style.top = top;
+        updateLinesPosition(box);
+    };
+    recordHistory({ label: "Move box", undo: () => moveTo(from), redo: () => moveTo(to) });
+}
+
+/**
+ * Records a box color change.
+ * @param {string} id - The ID of the recolored box.
+ * @param {string} from - The background color before the change.
+ * @param {string} to - The background color after the change.
+ */
+function recordColor(id, from, to) {
+    if (from === to) return;
+    const paint = color => {
+        document.getElementById(id).style.backgroundColor = color;
+    };
+    recordHistory({ label: "Change color", undo: () => paint(from), redo: () => paint(to) });
+}
+
+/**
+ * Runs a function that changes the content of an editable element and records
+ * the change as one undo step. Nested calls are folded into the outermost one.
+ * @param {HTMLElement} el - The editable element that is changed.
+ * @param {string} label - The label of the command.
+ * @param {Function} fn - The function that changes the element.
+ * @returns {*} Whatever the function returns.
+ */
+function recordTextChange(el, label, fn) {
+    if (historyState.textDepth) return fn();
+
+    commitTextEdit(el);
+    const before = el.innerHTML;
+    historyState.textDepth++;
+    let result;
+    try {
+        result = fn();
+    } finally {
+        historyState.textDepth--;
+    }
+    pushTextCommand(el.id, label, before, el.innerHTML);
+    textBaselines.set(el, el.innerHTML);
+    return result;
+}
+
+/**
+ * Records typing in an editable element. Consecutive keystrokes are coalesced
+ * into one undo step that is committed after a short pause or on blur.
+ * @param {HTMLElement} el - The editable element to track.
+ */
+function trackTextEdits(el) {
+    let timer = null;
+    textBaselines.set(el, el.innerHTML);
+
+    el.addEventListener("focus", () => textBaselines.set(el, el.innerHTML));
+    el.addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => commitTextEdit(el), 800);
+    });
+    el.addEventListener("blur", () => {
+        clearTimeout(timer);
+        commitTextEdit(el);
+    });
+}
+
+/**
+ * Records the pending typing of an editable element, if its content changed
+ * since the last committed baseline.
+ * @param {HTMLElement} el - The editable element.
+ */
+function commitTextEdit(el) {
+    if (!el || !textBaselines.has(el)) return;
+    const before = textBaselines.get(el);
+    textBaselines.set(el, el.innerHTML);
+    pushTextCommand(el.id, "Edit text", before, el.innerHTML);
+}
+
+/**
+ * Records a change of an element's innerHTML.
+ * @param {string} id - The ID of the changed element.
+ * @param {string} label - The label of the command.
+ * @param {string} before - The innerHTML before the change.
+ * @param {string} after - The innerHTML after the change.
+ */
+function pushTextCommand(id, label, before, after) {
+    if (before === after) return;
+    const apply = html => {
+        const el = document.getElementById(id);
+        el.innerHTML = html;
+        textBaselines.set(el, html);
+        rehydrateHighlights(el);
+        if (el.hasAttribute("data-placeholder")) {
+            el.classList.toggle("is-empty", el.textContent.trim().length === 0);
+        }
+        if (boxes.has(id)) {
+            delete el.dataset.source;
+            if (document.activeElement !== el) renderBox(el);
+            updateLinesPosition(el);
+        }
+    };
+    recordHistory({ label, undo: () => apply(before), redo: () => apply(after) });
+}
+
+/**
+ * Undoes the most recent command.
+ */
+function undo() {
+    flushTextEdits();
+    const command = undoStack.pop();
+    if (!command) return;
+    withoutHistory(() => deferCollapsedUpdates(command.undo));
+    redoStack.push(command);
+    scheduleAutosave();
+}
+
+/**
+ * Redoes the most recently undone command.
+ */
+function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+    withoutHistory(() => deferCollapsedUpdates(command.redo));
+    undoStack.push(command);
+    scheduleAutosave();
+}
+
+/**
+ * Keeps the undo history of the open note when another note is opened, so
+ * it can be used again when the note is reopened (see restoreHistory).
+ */
+function stashHistory() {
+    const record = workspace.notes.find(note => note.id === workspace.currentId);
+    if (!record) return;
+    noteHistories.set(record.id, { undo: undoStack.splice(0), redo: redoStack.splice(0), updatedAt: record.updatedAt });
+}
+
+/**
+ * Replaces the undo history with the one kept for a note, unless the note
+ * was saved since it was left (by a sync, for example): the commands were
+ * recorded against a version of the note that is no longer the one shown.
+ * @param {Object} record - The note record being opened.
+ */
+function restoreHistory(record) {
+    const saved = noteHistories.get(record.id);
+    noteHistories.delete(record.id);
+    undoStack.length = 0;
+    redoStack.length = 0;
+    if (saved && saved.updatedAt === record.updatedAt) {
+        undoStack.push(...saved.undo);
+        redoStack.push(...saved.redo);
+    }
+}
+
+/**
+ * Commits pending typing in the focused element so it can be undone right away.
+ */
+function flushTextEdits() {
+    const active = document.activeElement;
+    if (active?.isContentEditable) commitTextEdit(active.closest("[contenteditable='true']"));
+}
+
+// Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo, Ctrl+S to save a version.
+document.addEventListener("keydown", event => {
+    if (handleTreeKey(event)) return;
+
+    const editing = event.target.closest?.("[contenteditable], input, textarea, select");
+    if (!editing && event.shiftKey && !(event.ctrlKey || event.metaKey || event.altKey)) {
+        // Shift+1 and Shift+2, matched by key code as the characters depend on the keyboard layout.
+        if (event.code === "Digit1") fitAll();
+        if (event.code === "Digit2") zoomToSelection();
+        return;
+    }
+
+    if (!editing && event.key === "Escape") {
+        clearSelection();
+        return;
+    }
+
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const key = event.key.toLowerCase();
+
+    // Form fields keep their own undo.
+    if ((key === "z" || key === "y") && event.target.closest?.("input, textarea, select")) return;
+
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+    } else if (key === "s") {
+        event.preventDefault();
+        saveVersion();
+    }
+});
+
+// --------------------------------------------------------------------------
+// Note Document Schema
+// --------------------------------------------------------------------------
+
+// Version of the document written by serializeNote(). Bump it together with a
+// new entry in NOTE_MIGRATIONS whenever the shape of the document changes.
+const NOTE_SCHEMA_VERSION = 3;
+
+// Functions upgrading a document from the version given by their key to the next one.
+// Version 1 is the original treenotes.json, which had no schemaVersion field.
+const NOTE_MIGRATIONS = {
+    1: data => ({
+        schemaVersion: 2,
+        heading: textToHtml(data.heading),
+        cueText: textToHtml(data.cueText),
+        summary: textToHtml(data.summary),
+        boxes: (data.boxes || []).map(migrateLegacyBox)
+    }),
+    // Version 3 adds the direction, label and style of links. Existing links stay undirected.
+    2: data => ({ ...data, schemaVersion: 3, links: [] })
+};
+
+// Tags kept by sanitizeHtml(). Other tags are unwrapped, keeping their children.
+const ALLOWED_TAGS = new Set([
+    "B", "STRONG", "I", "EM", "U", "S", "SUB", "SUP", "BR", "DIV", "P", "SPAN", "IMG",
+    "UL", "OL", "LI", "H1", "H2", "H3", "CODE", "A"
+]);
+
+// Tags removed by sanitizeHtml() together with their content.
+const DROPPED_TAGS = new Set(["SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "LINK", "META", "TEMPLATE"]);
+
+// Attributes kept by sanitizeHtml(), per tag ("*" applies to every tag).
+const ALLOWED_ATTRIBUTES = {
+    "*": ["style", "class", "title"],
+    SPAN: ["data-box-id", "data-note-id"],
+    IMG: ["src", "alt"],
+    A: ["href"]
+};
+
+// Inline style properties kept by sanitizeHtml().
+const ALLOWED_STYLES = ["background-color", "color", "max-width", "font-weight", "font-style", "text-decoration"];
+
+/**
+ * Serializes the Cornell note and the tree into a versioned document.
+ * Sections and boxes are stored as HTML so line breaks, images, highlight
+ * colors and highlight-to-box links survive a round-trip. Links are stored
+ * with their direction, label and style.
+ * @returns {Object} The serialized note.
+ */
+function serializeNote() {
+    return {
+        schemaVersion: NOTE_SCHEMA_VERSION,
+        heading: document.getElementById("headingText").innerHTML.trim(),
+        cueText: document.getElementById("cueText").innerHTML.trim(),
+        summary: document.getElementById("notesText").innerHTML.trim(),
+        boxes: [...boxes.values()]
+            .filter(({ box }) => !aiProposals.boxes.has(box.id))
+            .map(({ box }) => serializeBox(box)),
+        links: [...linkDetails]
+            .filter(([lineId]) => !aiProposals.lines.has(lineId))
+            .map(([id, details]) => ({ id, ...details })),
+        rejectedLinks: [...aiProposals.rejectedLinks]
+    };
+}
+
+/**
+ * Upgrades a document of any known schema version to the current one.
+ * @param {Object} data - The parsed document.
+ * @returns {Object} The document in the current schema version.
+ * @throws {Error} If the document was written by a newer version of TreeNotes.
+ */
+function migrateNote(data) {
+    let note = data;
+    let version = Number(note?.schemaVersion) || 1;
+
+    if (version > NOTE_SCHEMA_VERSION) {
+        throw new Error(`This note uses schema version ${version}, but only versions up to ${NOTE_SCHEMA_VERSION} are supported.`);
+    }
+
+    while (version < NOTE_SCHEMA_VERSION) {
+        note = NOTE_MIGRATIONS[version](note);
+        version = note.schemaVersion;
+    }
+    return note;
+}
+
+/**
+ * Converts a box from the version 1 format (plain text content, pasted images
+ * as a separate list, position at the top level) to a serialized box.
+ * @param {Object} box - The legacy box.
+ * @returns {ReturnType<typeof serializeBox>} The serialized box.
+ */
+function migrateLegacyBox(box) {
+    const style = box.style || { left: box.left, top: box.top, backgroundColor: box.backgroundColor };
+    const images = (box.images || []).map(src => `<img src="${escapeHtml(src)}" style="max-width: 100%;">`);
+    return {
+        id: String(box.id),
+        html: textToHtml(box.content) + images.join(""),
+        style,
+        lines: (box.lines || []).map(String)
+    };
+}
+
+/**
+ * Escapes text for use inside HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Converts plain text to HTML, turning line breaks into <br> tags.
+ * @param {string} text - The text to convert.
+ * @returns {string} The HTML.
+ */
+function textToHtml(text) {
+    return escapeHtml(text).replace(/\n/g, "<br>");
+}
+
+/**
+ * Removes everything from an HTML string that is not needed to display a note:
+ * scripts, event handler attributes, unknown tags and unsafe URLs.
+ * @param {string} html - The HTML to clean.
+ * @returns {string} The sanitized HTML.
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html || "";
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Sanitizes the children of a node in place (see sanitizeHtml).
+ * @param {Node} parent - The node whose children are cleaned.
+ */
+function sanitizeNode(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+            node.remove();
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toUpperCase();
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeNode(node);
+
+        if (!ALLOWED_TAGS.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        const allowed = [...ALLOWED_ATTRIBUTES["*"], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+        Array.from(node.attributes).forEach(({ name }) => {
+            if (!allowed.includes(name)) node.removeAttribute(name);
+        });
+
+        if (node.hasAttribute("style")) {
+            const kept = ALLOWED_STYLES
+                .map(property => [property, node.style.getPropertyValue(property)])
+                .filter(([, value]) => value && !/url\(|expression/i.test(value))
+                .map(([property, value]) => `${property}: ${value};`);
+            kept.length ? node.setAttribute("style", kept.join(" ")) : node.removeAttribute("style");
+        }
+
+        if (tag === "IMG" && !/^(data:image\/|https?:)/i.test(node.getAttribute("src") || "")) {
+            node.remove();
+        }
+
+        if (tag === "A" && !SAFE_LINK.test(node.getAttribute("href") || "")) {
+            node.removeAttribute("href");
+        }
+    });
+}
+
+/**
+ * Restores the behavior of highlight spans loaded as HTML: the glow on hover
+ * and the jump to the linked box on click.
+ * @param {HTMLElement} container - The element containing the highlights.
+ */
+function rehydrateHighlights(container) {
+    container.querySelectorAll(".highlight").forEach(span => {
+        addGlow(span, span.style.backgroundColor);
+        linkHighlight(span);
+    });
+}
+
+/**
+ * Makes a click on a highlight jump to its linked box, opening the note of
+ * the box first when it belongs to another note (data-note-id).
+ * @param {HTMLElement} span - The highlight span.
+ */
+function linkHighlight(span) {
+    const { boxId, noteId } = span.dataset;
+    if (!/^[\w-]+$/.test(boxId || "") || boxId === "none") return;
+    span.setAttribute("onclick", /^[\w-]+$/.test(noteId || "")
+        ? `openNoteBox('${noteId}', '${boxId}')`
+        : `focusBox('${boxId}')`);
+}
+
+// --------------------------------------------------------------------------
+// Download Functionality
+// --------------------------------------------------------------------------
+
+function download() {
+    const data = serializeNote();
+    saveFile("treenotes.json", JSON.stringify(data, null, 2), "application/json");
+}
+
+/**
+ * Offers content to the user as a file download.
+ * @param {string} name - The file name.
+ * @param {BlobPart} content - The content of the file.
+ * @param {string} type - The MIME type of the file.
+ */
+function saveFile(name, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * Builds a file name from the name of the open note.
+ * @param {string} extension - The file extension, without the dot.
+ * @returns {string} The file name.
+ */
+function noteFileName(extension) {
+    const name = workspace.notes.find(note => note.id === workspace.currentId)?.name || "treenotes";
+    return `${name.replace(/[\\/:*?"<>|]+/g, "-").trim() || "treenotes"}.${extension}`;
+}
+
+// --------------------------------------------------------------------------
+// Upload Functionality
+// --------------------------------------------------------------------------
+
+// File formats upload() can open, by file extension: 'read' turns the file
+// text into a note document, 'layout' places the boxes of formats that have
+// no box positions with the tree layout (a function decides per document).
+const NOTE_IMPORTERS = {
+    json: { read: text => migrateNote(JSON.parse(text)) },
+    md: { read: text => markdownToNote(text), layout: true },
+    markdown: { read: text => markdownToNote(text), layout: true },
+    opml: { read: text => opmlToNote(text), layout: true },
+    mm: { read: text => freeMindToNote(text), layout: true },
+    graphml: { read: text => graphmlToNote(text), layout: needsLayout },
+    canvas: { read: text => canvasToNote(text), layout: needsLayout }
+};
+
+function upload() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = Object.keys(NOTE_IMPORTERS).map(extension => `.${extension}`).join(",");
+
+    input.onchange = e => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const extension = file.name.split(".").pop().toLowerCase();
+        const importer = NOTE_IMPORTERS[extension] || NOTE_IMPORTERS.json;
+
+        const reader = new FileReader();
+        reader.onload = evt => {
+            let data;
+            try {
+                data = importer.read(evt.target.result);
+            } catch (error) {
+                console.warn("Could not read note", error);
+                alert(`Could not open this file: ${error.message}`);
+                return;
+            }
+            recordSnapshot("Upload note", () => {
+                replaceNote(data);
+                const layout = typeof importer.layout === "function" ? importer.layout(data) : importer.layout;
+                if (layout) layoutImportedNote();
+            });
+        };
+
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+/**
+ * Replaces the Cornell note and the tree with a serialized note.
+ * @param {Object} data - A note as returned by serializeNote(), in any schema version.
+ */
+function loadNote(data) {
+    const note = migrateNote(data);
+
+    withoutHistory(() => {
+        document.getElementById("headingText").innerHTML = sanitizeHtml(note.heading);
+        document.getElementById("cueText").innerHTML = sanitizeHtml(note.cueText);
+        document.getElementById("notesText").innerHTML = sanitizeHtml(note.summary);
+        document.getElementById("boxes").innerHTML = '';
+        document.getElementById("lines").innerHTML = '';
+        boxes.clear();
+        selection.clear();
+        renderSelection();
+        linkDetails.clear();
+        closeLinkEditor();
+        totalBoxes = 0;
+        bin.length = 0;
+        renderBin();
+        aiProposals.boxes.clear();
+        aiProposals.lines.clear();
+        aiProposals.suggestions.clear();
+        aiProposals.rejectedLinks = new Set(note.rejectedLinks || []);
+        renderProposals();
+
+        note.boxes.forEach(entry => {
+            const newBox = buildBox(entry);
+            boxes.get(newBox.id).lines = [...new Set((entry.lines || []).map(String))];
+        });
+
+        deferCollapsedUpdates(() => {
+            (note.links || []).forEach(link => {
+                newLine(String(link.source), String(link.target), link);
+            });
+
+            note.boxes.forEach(({ id, lines }) => {
+                (lines || []).forEach(linkId => {
+                    newLine(String(id), String(linkId));
+                });
+            });
+            // Also for notes without lines: the badges of collapsed boxes are drawn here.
+            refreshCollapsed();
+        });
+        rehydrateHighlights(document.getElementById("cueText"));
+        ["headingText", "cueText", "notesText"].forEach(id => {
+            const el = document.getElementById(id);
+            textBaselines.set(el, el.innerHTML);
+            el.classList.toggle("is-empty", el.textContent.trim().length === 0);
+        });
+    });
+}
+
+// --------------------------------------------------------------------------
+// Markdown Export and Import
+// --------------------------------------------------------------------------
+
+// Block ID ending the list item of a box ("- Text ^box-3"), as in Obsidian block references.
+const MARKDOWN_BOX_REF = /(?:^|\s)\^box-([\w-]+)\s*$/;
+
+// Wiki-link to a box of the same note: [[#^box-3]] or [[#^box-3|Text]].
+const MARKDOWN_WIKI_LINK = /\[\[#\^box-([\w-]+)(?:\|([^\]]*))?\]\]/g;
+
+// Trailing "→ [[…]] [[…]]" part of a list item, listing links outside the outline.
+const MARKDOWN_CROSS_LINKS = /\s*→\s*((?:\[\[#\^box-[\w-]+(?:\|[^\]]*)?\]\]\s*)+)$/;
+
+// List item of any kind: its indentation, its marker ("-", "*", "+", "1." or "1)") and its text.
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+// Section headings of the Markdown document, by the note field they hold.
+const MARKDOWN_SECTIONS = { cueText: "Cues", tree: "Tree", summary: "Summary" };
+
+// Background color of highlights imported from wiki-links in the cue column.
+const MARKDOWN_HIGHLIGHT_COLOR = "#FFFF00";
+
+/**
+ * Downloads the note as Markdown (see noteToMarkdown).
+ */
+function exportMarkdown() {
+    saveFile(noteFileName("md"), noteToMarkdown(), "text/markdown");
+}
+
+/**
+ * Writes the note as Markdown: the heading, the cue column, the tree as a
+ * nested list following the lines from the seed box, and the summary.
+ * Every box ends with a block ID; links that are not part of the outline
+ * and highlights linked to boxes are written as wiki-links to those IDs.
+ * Boxes are "-" items, lists inside a box use "*" and "1." (see markdownToNote).
+ * @returns {string} The Markdown document.
+ */
+function noteToMarkdown() {
+    const { roots, children } = spanningForest();
+    const outline = new Set();
+    children.forEach((kids, id) => kids.forEach(kid => outline.add(getLineId(id, kid))));
+
+    const written = new Set();
+    const tree = [];
+    const writeItem = (id, depth) => {
+        if (aiProposals.boxes.has(id)) return;
+
+        const indent = "  ".repeat(depth);
+        const [first = "", ...rest] = htmlToMarkdown(getBoxHtml(boxes.get(id).box)).split("\n");
+        const crossLinks = boxes.get(id).lines.filter(other => {
+            const lineId = getLineId(id, other);
+            return boxes.has(other) && !outline.has(lineId) && !written.has(lineId) && !aiProposals.lines.has(lineId);
+        });
+        crossLinks.forEach(other => written.add(getLineId(id, other)));
+
+        const refs = crossLinks.map(other => `[[#^box-${other}|${markdownLinkText(other)}]]`).join(" ");
+        tree.push(`${indent}- ${[first, refs && `→ ${refs}`, `^box-${id}`].filter(Boolean).join(" ")}`);
+        rest.forEach(line => tree.push(`${indent}  ${line}`));
+        children.get(id).forEach(kid => writeItem(kid, depth + 1));
+    };
+    roots.forEach(id => writeItem(id, 0));
+
+    // One paragraph per line, except that the items of a list stay together.
+    const section = id => htmlToMarkdown(document.getElementById(id).innerHTML).split("\n").filter(Boolean)
+        .map((line, index, all) => (index && !(MARKDOWN_LIST_ITEM.test(line) && MARKDOWN_LIST_ITEM.test(all[index - 1])) ? `\n${line}` : line))
+        .join("\n");
+    const heading = htmlToMarkdown(document.getElementById("headingText").innerHTML).replace(/\n+/g, " ");
+
+    return [
+        `# ${heading || "Untitled note"}`,
+        `## ${MARKDOWN_SECTIONS.cueText}`,
+        section("cueText"),
+        `## ${MARKDOWN_SECTIONS.tree}`,
+        tree.join("\n"),
+        `## ${MARKDOWN_SECTIONS.summary}`,
+        section("notesText")
+    ].filter(Boolean).join("\n\n") + "\n";
+}
+
+/**
+ * Returns the text shown for a wiki-link to a box: the start of its first line.
+ * @param {string} id - The ID of the box.
+ * @returns {string} The link text.
+ */
+function markdownLinkText(id) {
+    const text = htmlToText(getBoxHtml(boxes.get(id).box)).split("\n")[0].replace(/[[\]|]/g, "").trim();
+    return text.length > 40 ? `${text.slice(0, 39)}…` : text || `#${id}`;
+}
+
+/**
+ * Converts sanitized HTML to Markdown: bold, italic, strikethrough, inline
+ * code, links, images and highlights linked to boxes (as wiki-links). Lines
+ * and blocks become lines, list items "* " and "1. " lines indented by their
+ * depth; headings become bold lines.
+ * @param {string} html - The HTML to convert.
+ * @returns {string} The Markdown text, one line per line of the HTML.
+ */
+function htmlToMarkdown(html) {
+    const LIST_LINE_MARK = "\u0001";
+    const template = document.createElement("template");
+    template.innerHTML = sanitizeHtml(html);
+
+    const wrap = (marker, text) => {
+        const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return core ? `${lead}${marker}${core}${marker}${trail}` : text;
+    };
+
+    const convert = node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeMarkdown(node.textContent.replace(/\s+/g, " "));
+        }
+        const inner = () => Array.from(node.childNodes).map(convert).join("");
+        if (node.nodeType !== Node.ELEMENT_NODE) return inner();
+
+        switch (node.tagName) {
+            case "BR":
+                return "\n";
+            case "DIV":
+            case "P":
+            case "UL":
+            case "OL":
+                return `\n${inner()}\n`;
+            case "LI": {
+                let depth = -1;
+                for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+                    if (/^(UL|OL)$/.test(parent.nodeName)) depth++;
+                }
+                const list = node.parentNode;
+                const marker = list?.nodeName === "OL" ? `${[...list.children].indexOf(node) + 1}.` : "*";
+                // Marked so that the markers and indentation are neither trimmed nor escaped below.
+                return `\n${LIST_LINE_MARK}${"  ".repeat(Math.max(depth, 0))}${marker} ${inner().trimStart()}\n`;
+            }
+            case "H1":
+            case "H2":
+            case "H3":
+                return `\n${wrap("**", inner())}\n`;
+            case "CODE":
+                return node.textContent.includes("`") ? escapeMarkdown(node.textContent) : `\`${node.textContent}\``;
+            case "A": {
+                const href = node.getAttribute("href");
+                return href ? `[${inner()}](${href.replace(/[ ()]/g, char => `%${char.charCodeAt(0).toString(16)}`)})` : inner();
+            }
+            case "B":
+            case "STRONG":
+                return wrap("**", inner());
+            case "I":
+            case "EM":
+                return wrap("*", inner());
+            case "S":
+                return wrap("~~", inner());
+            case "IMG":
+                return `![${escapeMarkdown(node.getAttribute("alt") || "")}](${(node.getAttribute("src") || "").replace(/[ ()]/g, char => `%${char.charCodeAt(0).toString(16)}`)})`;
+            case "SPAN": {
+                const boxId = node.dataset.boxId;
+                const linked = node.classList.contains("highlight") && boxId && boxId !== "none";
+                const note = workspace.notes.find(other => other.id === node.dataset.noteId);
+                const page = note ? note.name.replace(/[[\]|#^]/g, "") : "";
+                return linked ? `[[${page}#^box-${boxId}|${inner().replace(/[[\]|]/g, "")}]]` : inner();
+            }
+            default:
+                return inner();
+        }
+    };
+
+    return convert(template.content)
+        .split("\n")
+        .map(line => (line.startsWith(LIST_LINE_MARK)
+            ? line.slice(LIST_LINE_MARK.length).trimEnd()
+            : line.trim().replace(/^([#>+-])/, "\\$1").replace(/^(\d+)([.)])/, "$1\\$2")))
+        .join("\n")
+        .replace(/\n{2,}/g, "\n")
+        .trim();
+}
+
+/**
+ * Escapes the characters Markdown would read as formatting.
+ * @param {string} text - Plain text.
+ * @returns {string} The escaped text.
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]~^])/g, "\\$1");
+}
+
+/**
+ * Converts one line of Markdown to HTML: escapes, images, wiki-links to
+ * boxes, inline code, links, bold, italic and strikethrough.
+ * @param {string} text - The Markdown line.
+ * @param {function(string, string|undefined): string} [onLink] - Returns the HTML of a wiki-link to a box, given its ID and text.
+ * @returns {string} The HTML.
+ */
+function markdownInlineToHtml(text, onLink = (id, label) => escapeHtml(label || `#${id}`)) {
+    // Converted parts are held out of the text as numbered placeholders so
+    // later rules do not touch them.
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/\\([\\`*_[\]~^#>+\-.!|)])/g, (_, char) => hold(escapeHtml(char)))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) =>
+            hold(`<img src="${escapeHtml(src.replace(/%2[089]/gi, decodeURIComponent))}" alt="${escapeHtml(alt)}" style="max-width: 100%;">`))
+        .replace(MARKDOWN_WIKI_LINK, (_, id, label) => hold(onLink(id, label)))
+        .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)/g, (_, label, href) =>
+            hold(`<a href="${escapeHtml(href.replace(/%2[089]/gi, decodeURIComponent))}">${markdownInlineToHtml(label)}</a>`));
+
+    html = escapeHtml(html)
+        .replace(/\*\*(.+?)\*\*/g, "<b>$1</b>")
+        .replace(/~~(.+?)~~/g, "<s>$1</s>")
+        .replace(/\*(.+?)\*/g, "<i>$1</i>")
+        .replace(/(^|\W)_(.+?)_(?=\W|$)/g, "$1<i>$2</i>");
+
+    while (/\u0000\d+\u0000/.test(html)) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => held[index]);
+    }
+    return html;
+}
+
+/**
+ * Converts lines of Markdown to HTML separated by line breaks. Runs of list
+ * items become lists, nested by their indentation.
+ * @param {string[]} lines - The lines.
+ * @param {function(string, string|undefined): string} [onLink] - See markdownInlineToHtml.
+ * @returns {string} The HTML.
+ */
+function markdownLinesToHtml(lines, onLink) {
+    let html = "";
+    let afterText = false;
+    const open = [];
+    const closeLists = indent => {
+        while (open.length && open.at(-1).indent > indent) html += `</li></${open.pop().tag}>`;
+    };
+
+    lines.forEach(line => {
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        if (!item) {
+            closeLists(-1);
+            html += `${afterText ? "<br>" : ""}${markdownInlineToHtml(line.trim(), onLink)}`;
+            afterText = true;
+            return;
+        }
+
+        const indent = item[1].replace(/\t/g, "    ").length;
+        const tag = /\d/.test(item[2]) ? "ol" : "ul";
+        closeLists(indent);
+        if (open.at(-1)?.indent === indent && open.at(-1).tag === tag) {
+            html += "</li><li>";
+        } else {
+            closeLists(indent - 1);
+            html += `<${tag}><li>`;
+            open.push({ indent, tag });
+        }
+        html += markdownInlineToHtml(item[3].trim(), onLink);
+        afterText = false;
+    });
+    closeLists(-1);
+    return html;
+}
+
+/**
+ * Converts the lines of a Markdown section to HTML: one div per paragraph,
+ * with line breaks and lists inside a paragraph kept.
+ * @param {string[]} lines - The lines of the section.
+ * @param {function(string, string|undefined): string} [onLink] - See markdownInlineToHtml.
+ * @returns {string} The HTML.
+ */
+function markdownBlocksToHtml(lines, onLink) {
+    return lines.join("\n").trim().split(/\n\s*\n/)
+        .filter(paragraph => paragraph.trim())
+        .map(paragraph => `<div>${markdownLinesToHtml(paragraph.split("\n"), onLink)}</div>`)
+        .join("");
+}
+
+/**
+ * Reads a Markdown outline into a note document. The "Cues", "Tree" and
+ * "Summary" sections written by noteToMarkdown are read into their fields;
+ * without a "Tree" section every list of the document is read as the tree.
+ * List items become boxes linked to their parent item; in a "Tree" section
+ * only "-" items do, and "*" and "1." items are lists inside the box above
+ * (see noteToMarkdown). Wiki-links to
+ * block IDs become links (in the tree) or linked highlights (in the cues).
+ * Boxes have no position yet (see NOTE_IMPORTERS).
+ * @param {string} text - The Markdown document.
+ * @returns {Object} The note document.
+ */
+function markdownToNote(text) {
+    const lines = text.replace(/\r\n?/g, "\n").split("\n");
+    const sectionNames = Object.fromEntries(Object.entries(MARKDOWN_SECTIONS).map(([field, name]) => [name.toLowerCase(), field]));
+    const hasTree = lines.some(line => /^##\s+tree\s*$/i.test(line));
+    const sections = { cueText: [], tree: [], summary: [] };
+    let heading = null;
+    let current = hasTree ? null : "tree";
+
+    lines.forEach(line => {
+        const title = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (title && title[1] === "#" && heading === null) {
+            heading = title[2];
+        } else if (title && title[1] === "##" && hasTree) {
+            current = sectionNames[title[2].toLowerCase()] || null;
+        } else if (current) {
+            sections[current].push(line);
+        }
+    });
+
+    // Outline items: their text lines, block ID, parent item and wiki-link targets.
+    const items = [];
+    const stack = [];
+    sections.tree.forEach(line => {
+        const match = line.match(hasTree ? /^(\s*)(-)\s+(.*)$/ : MARKDOWN_LIST_ITEM);
+        if (!match) {
+            // Further lines are indented like the text of their item, lists inside them further.
+            const item = items.at(-1);
+            if (line.trim() && item) item.lines.push(line.slice(Math.min(line.search(/\S/), item.textIndent)).trimEnd());
+            return;
+        }
+
+        const indent = match[1].replace(/\t/g, "    ").length;
+        while (stack.length && stack.at(-1).indent >= indent) stack.pop();
+
+        let content = match[3];
+        const ref = content.match(MARKDOWN_BOX_REF);
+        if (ref) content = content.slice(0, ref.index);
+
+        const targets = [];
+        const crossLinks = content.match(MARKDOWN_CROSS_LINKS);
+        if (crossLinks) {
+            content = content.slice(0, crossLinks.index);
+            [...crossLinks[1].matchAll(MARKDOWN_WIKI_LINK)].forEach(([, target]) => targets.push(target));
+        }
+
+        const textIndent = line.length - match[3].length;
+        const item = { ref: ref?.[1], parent: stack.at(-1)?.item, lines: [content.trim()], targets, textIndent };
+        items.push(item);
+        stack.push({ indent, item });
+    });
+
+    // Numeric block IDs are kept when unique; other items get the next free IDs.
+    const ids = new Map();
+    const used = new Set();
+    items.forEach(item => {
+        if (/^\d+$/.test(item.ref || "") && !used.has(item.ref)) {
+            ids.set(item, item.ref);
+            used.add(item.ref);
+        }
+    });
+    let next = Math.max(0, ...[...used].map(Number));
+    items.forEach(item => {
+        if (!ids.has(item)) ids.set(item, String(++next));
+    });
+    const idByRef = new Map(items.filter(item => item.ref).map(item => [item.ref, ids.get(item)]).reverse());
+
+    const neighbors = new Map(items.map(item => [ids.get(item), new Set()]));
+    const link = (a, b) => {
+        if (!a || !b || a === b) return;
+        neighbors.get(a).add(b);
+        neighbors.get(b).add(a);
+    };
+
+    const boxEntries = items.map(item => {
+        const id = ids.get(item);
+        const html = markdownLinesToHtml(item.lines, (ref, label) => {
+            item.targets.push(ref);
+            return escapeHtml(label || `#${ref}`);
+        });
+
+        if (item.parent) link(id, ids.get(item.parent));
+        return { id, html, style: { left: "0px", top: "0px", backgroundColor: "" } };
+    });
+    items.forEach(item => item.targets.forEach(ref => link(ids.get(item), idByRef.get(ref))));
+
+    const cueLink = (ref, label) => {
+        const id = idByRef.get(ref);
+        const text = escapeHtml(label || `#${ref}`);
+        return id
+            ? `<span class="highlight" data-box-id="${id}" style="background-color: ${MARKDOWN_HIGHLIGHT_COLOR};">${text}</span>`
+            : text;
+    };
+
+    return {
+        schemaVersion: NOTE_SCHEMA_VERSION,
+        heading: markdownInlineToHtml((heading || "").trim()),
+        cueText: markdownBlocksToHtml(sections.cueText, cueLink),
+        summary: markdownBlocksToHtml(sections.summary),
+        boxes: boxEntries.map(entry => ({ ...entry, lines: [...neighbors.get(entry.id)] })),
+        links: [],
+        rejectedLinks: []
+    };
+}
+
+/**
+ * Places all boxes with the tree layout at once, without animation or history.
+ * Used for imported notes whose format has no box positions.
+ */
+function layoutImportedNote() {
+    normalizeLayout(treeLayout()).forEach(({ left, top }, id) => {
+        const box = boxes.get(id).box;
+        box.style.left = `${left}px`;
+        box.style.top = `${top}px`;
+    });
+    boxes.forEach(({ box }) => updateLinesPosition(box));
+}
+
+// --------------------------------------------------------------------------
+// Mind Map and Graph Formats
+// --------------------------------------------------------------------------
+
+// Box colors of the preset colors "1" to "6" of Obsidian canvases.
+const CANVAS_COLORS = { 1: "#fb464c", 2: "#e9973f", 3: "#e0de71", 4: "#44cf6e", 5: "#53dfdd", 6: "#a882ff" };
+
+// Size of exported canvas nodes for boxes that are not rendered.
+const CANVAS_NODE_SIZE = { width: 250, height: 60 };
+
+// Background color of new boxes, left out of exports that have their own default.
+const DEFAULT_BOX_COLOR = "#F1F1F1";
+
+// XML namespace of GraphML documents.
+const GRAPHML_NS = "http://graphml.graphdrawing.org/xmlns";
+
+/**
+ * Downloads the note as an OPML outline (see noteToOpml).
+ */
+function exportOpml() {
+    saveFile(noteFileName("opml"), noteToOpml(), "text/x-opml");
+}
+
+/**
+ * Downloads the note as a FreeMind mind map (see noteToFreeMind).
+ */
+function exportFreeMind() {
+    saveFile(noteFileName("mm"), noteToFreeMind(), "application/x-freemind");
+}
+
+/**
+ * Downloads the note as a GraphML graph (see noteToGraphml).
+ */
+function exportGraphml() {
+    saveFile(noteFileName("graphml"), noteToGraphml(), "application/graphml+xml");
+}
+
+/**
+ * Downloads the note as an Obsidian canvas (see noteToCanvas).
+ */
+function exportCanvas() {
+    saveFile(noteFileName("canvas"), noteToCanvas(), "application/json");
+}
+
+/**
+ * Builds a note document from a graph read from another format. Nodes with
+ * numeric keys keep them as box IDs when unique, the others get the next
+ * free IDs. Only the tree is filled in; the cues and summary stay empty.
+ * @param {Object} graph - The graph.
+ * @param {string} [graph.heading] - The heading as plain text.
+ * @param {{key: string, html: string, x?: number, y?: number, color?: string}[]} graph.nodes - The boxes; without x and y they are placed by upload().
+ * @param {{source: string, target: string, directed?: boolean, label?: string, color?: string}[]} graph.edges - The links, by node key.
+ * @returns {Object} The note document.
+ */
+function graphToNote({ heading = "", nodes, edges }) {
+    const ids = new Map();
+    nodes.forEach(({ key }) => {
+        if (/^[1-9]\d*$/.test(key)) ids.set(key, key);
+    });
+    let next = Math.max(0, ...[...ids.values()].map(Number));
+    nodes.forEach(({ key }) => {
+        if (!ids.has(key)) ids.set(key, String(++next));
+    });
+
+    const links = new Map();
+    edges.forEach(edge => {
+        const source = ids.get(edge.source);
+        const target = ids.get(edge.target);
+        if (!source || !target || source === target) return;
+
+        const id = getLineId(source, target);
+        if (!links.has(id)) {
+            links.set(id, { id, source, target, directed: Boolean(edge.directed), label: edge.label || "", color: edge.color || "", dash: "solid" });
+        }
+    });
+
+    const neighbors = new Map([...ids.values()].map(id => [id, []]));
+    links.forEach(({ source, target }) => {
+        neighbors.get(source).push(target);
+        neighbors.get(target).push(source);
+    });
+
+    const position = value => Number.isFinite(value) ? `${Math.round(value)}px` : "";
+    return {
+        schemaVersion: NOTE_SCHEMA_VERSION,
+        heading: escapeHtml(heading.trim()),
+        cueText: "",
+        summary: "",
+        boxes: nodes.map(node => ({
+            id: ids.get(node.key),
+            html: node.html,
+            style: { left: position(node.x), top: position(node.y), backgroundColor: node.color || "" },
+            lines: neighbors.get(ids.get(node.key))
+        })),
+        links: [...links.values()],
+        rejectedLinks: []
+    };
+}
+
+/**
+ * Tells whether an imported note has boxes without a position (see NOTE_IMPORTERS).
+ * @param {Object} note - The note document.
+ * @returns {boolean} True if the boxes need a layout.
+ */
+function needsLayout(note) {
+    return note.boxes.some(entry => !entry.style.left || !entry.style.top);
+}
+
+/**
+ * Parses an XML file and checks its root element.
+ * @param {string} text - The file contents.
+ * @param {string} root - The expected name of the root element.
+ * @param {string} format - The name of the format, for the error message.
+ * @returns {XMLDocument} The parsed document.
+ * @throws {Error} If the file is not well-formed or has another root element.
+ */
+function parseXml(text, root, format) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length || doc.documentElement.localName !== root) {
+        throw new Error(`this is not a valid ${format} file.`);
+    }
+    return doc;
+}
+
+/**
+ * Escapes text for use in XML attributes, keeping line breaks.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return escapeHtml(text).replace(/\n/g, "&#10;");
+}
+
+/**
+ * Converts the text of a node from another format to box HTML. Text that
+ * contains tags is read as HTML, which setBoxHtml() sanitizes.
+ * @param {string} text - The text of the node.
+ * @returns {string} The box HTML.
+ */
+function importedTextToHtml(text) {
+    return /<\/?[a-z][^>]*>/i.test(text) ? text : textToHtml(text.trim());
+}
+
+/**
+ * Validates a color from another format for a box or link.
+ * @param {string} color - A "#rgb" or "#rrggbb" color, or a canvas preset color.
+ * @returns {string} A "#rrggbb" color, or "" for the default.
+ */
+function importedColor(color) {
+    const value = CANVAS_COLORS[color] || String(color || "").trim();
+    if (/^#[0-9a-f]{6}$/i.test(value)) return value.toLowerCase();
+    if (/^#[0-9a-f]{3}$/i.test(value)) return `#${[...value.slice(1)].map(digit => digit + digit).join("")}`.toLowerCase();
+    return "";
+}
+
+/**
+ * Returns the boxes and links that belong to the note, without AI proposals.
+ * @returns {{list: HTMLElement[], links: Object[]}} The boxes and the details of the links.
+ */
+function exportedGraph() {
+    const list = [...boxes.values()].map(({ box }) => box).filter(box => !aiProposals.boxes.has(box.id));
+    const links = [...linkDetails]
+        .filter(([lineId]) => !aiProposals.lines.has(lineId))
+        .map(([id, details]) => ({ id, ...details }));
+    return { list, links };
+}
+
+/**
+ * Writes the tree as an OPML outline, following the lines from the seed box
+ * like noteToMarkdown(). OPML has no links, so links outside the outline are lost.
+ * @returns {string} The OPML document.
+ */
+function noteToOpml() {
+    const { roots, children } = spanningForest();
+    const title = htmlToText(document.getElementById("headingText").innerHTML);
+
+    const writeOutline = (id, depth) => {
+        if (aiProposals.boxes.has(id)) return "";
+        const indent = "    ".repeat(depth + 2);
+        const text = escapeXml(boxTextLines(boxes.get(id).box).join("\n"));
+        const kids = children.get(id).map(kid => writeOutline(kid, depth + 1)).join("");
+        return kids
+            ? `${indent}<outline text="${text}">\n${kids}${indent}</outline>\n`
+            : `${indent}<outline text="${text}"/>\n`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+    <head>
+        <title>${escapeHtml(title)}</title>
+    </head>
+    <body>
+${roots.map(id => writeOutline(id, 0)).join("")}    </body>
+</opml>
+`;
+}
+
+/**
+ * Reads an OPML outline: outlines become boxes linked to their parent outline.
+ * @param {string} text - The OPML document.
+ * @returns {Object} The note document.
+ */
+function opmlToNote(text) {
+    const doc = parseXml(text, "opml", "OPML");
+    const nodes = [];
+    const edges = [];
+
+    const read = (outline, parent) => {
+        const key = `outline-${nodes.length}`;
+        nodes.push({ key, html: importedTextToHtml(outline.getAttribute("text") || "") });
+        if (parent) edges.push({ source: parent, target: key });
+        [...outline.children].filter(child => child.localName === "outline").forEach(child => read(child, key));
+    };
+
+    const body = [...doc.documentElement.children].find(child => child.localName === "body");
+    [...(body?.children || [])].filter(child => child.localName === "outline").forEach(outline => read(outline, null));
+
+    const title = doc.querySelector("head > title")?.textContent || "";
+    return graphToNote({ heading: title, nodes, edges });
+}
+
+/**
+ * Writes the tree as a FreeMind mind map. The outline from the seed box gives
+ * the parent and child nodes (under a node named after the heading if the tree
+ * has several parts); other links become arrow links with their direction and label.
+ * @returns {string} The FreeMind document.
+ */
+function noteToFreeMind() {
+    const { roots, children } = spanningForest();
+    const { links } = exportedGraph();
+    const outline = new Set();
+    children.forEach((kids, id) => kids.forEach(kid => outline.add(getLineId(id, kid))));
+
+    const writeNode = (id, depth) => {
+        if (aiProposals.boxes.has(id)) return "";
+        const indent = "    ".repeat(depth + 1);
+        const box = boxes.get(id).box;
+        const color = colorToHex(box.style.backgroundColor);
+        const attributes = [
+            `ID="ID_${id}"`,
+            `TEXT="${escapeXml(boxTextLines(box).join("\n"))}"`,
+            color !== DEFAULT_BOX_COLOR ? `BACKGROUND_COLOR="${color.toLowerCase()}"` : ""
+        ].filter(Boolean).join(" ");
+
+        // Arrow links are written on the lower ID of the pair, pointing to the other box.
+        const arrows = links
+            .filter(link => !outline.has(link.id) && link.id.split("_")[0] === id)
+            .map(link => {
+                const other = link.id.split("_")[1];
+                const arrow = link.directed && link.source === id ? "Default" : "None";
+                const back = link.directed && link.source === other ? "Default" : "None";
+                const extra = [link.color && `COLOR="${link.color}"`, link.label && `MIDDLE_LABEL="${escapeXml(link.label)}"`].filter(Boolean).join(" ");
+                return `${indent}    <arrowlink DESTINATION="ID_${other}" ENDARROW="${arrow}" STARTARROW="${back}"${extra && ` ${extra}`}/>\n`;
+            }).join("");
+        const kids = children.get(id).map(kid => writeNode(kid, depth + 1)).join("");
+
+        return arrows || kids
+            ? `${indent}<node ${attributes}>\n${arrows}${kids}${indent}</node>\n`
+            : `${indent}<node ${attributes}/>\n`;
+    };
+
+    const heading = htmlToText(document.getElementById("headingText").innerHTML);
+    const nodes = roots.length === 1
+        ? writeNode(roots[0], 0)
+        : `    <node TEXT="${escapeXml(heading || "TreeNotes")}">\n${roots.map(id => writeNode(id, 1)).join("")}    </node>\n`;
+    return `<map version="1.0.1">\n${nodes}</map>\n`;
+}
+
+/**
+ * Reads a FreeMind or Freeplane mind map: nodes become boxes linked to their
+ * parent node, arrow links become links, and the root node names the note.
+ * @param {string} text - The mind map document.
+ * @returns {Object} The note document.
+ */
+function freeMindToNote(text) {
+    const doc = parseXml(text, "map", "FreeMind");
+    const nodes = [];
+    const edges = [];
+    const childrenNamed = (element, name) => [...element.children].filter(child => child.localName === name);
+
+    const read = (node, parent) => {
+        const key = node.getAttribute("ID") || `node-${nodes.length}`;
+        const rich = childrenNamed(node, "richcontent").find(content => content.getAttribute("TYPE") !== "NOTE");
+        const text = node.getAttribute("TEXT") ?? rich?.textContent.replace(/\s+/g, " ") ?? "";
+        nodes.push({ key, html: importedTextToHtml(text), color: importedColor(node.getAttribute("BACKGROUND_COLOR")) });
+        if (parent) edges.push({ source: parent, target: key });
+
+        childrenNamed(node, "arrowlink").forEach(link => {
+            const destination = link.getAttribute("DESTINATION");
+            const forward = (link.getAttribute("ENDARROW") ?? "Default") !== "None";
+            const backward = (link.getAttribute("STARTARROW") ?? "None") !== "None";
+            edges.push({
+                source: forward || !backward ? key : destination,
+                target: forward || !backward ? destination : key,
+                directed: forward !== backward,
+                label: link.getAttribute("MIDDLE_LABEL") || "",
+                color: importedColor(link.getAttribute("COLOR"))
+            });
+        });
+        childrenNamed(node, "node").forEach(child => read(child, key));
+    };
+
+    const root = childrenNamed(doc.documentElement, "node")[0];
+    if (root) read(root, null);
+    return graphToNote({ heading: htmlToText(nodes[0]?.html || ""), nodes, edges });
+}
+
+/**
+ * Writes the boxes and links as GraphML, with the text, color and position of
+ * the boxes and the direction, label and color of the links as data. Like the
+ * other data formats, it includes the boxes hidden in collapsed subtrees.
+ * @returns {string} The GraphML document.
+ */
+function noteToGraphml() {
+    const { list, links } = exportedGraph();
+    const data = (key, value) => `<data key="${key}">${escapeHtml(value)}</data>`;
+
+    const nodes = list.map(box => `        <node id="${box.id}">${[
+        data("label", boxTextLines(box).join("\n")),
+        data("color", colorToHex(box.style.backgroundColor).toLowerCase()),
+        data("x", box.offsetLeft),
+        data("y", box.offsetTop)
+    ].join("")}</node>\n`).join("");
+
+    const edges = links.map(link => `        <edge id="${link.id}" source="${link.source}" target="${link.target}" directed="${link.directed}">${[
+        link.label && data("edgelabel", link.label),
+        link.color && data("edgecolor", link.color)
+    ].filter(Boolean).join("")}</edge>\n`).join("");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="${GRAPHML_NS}">
+    <key id="label" for="node" attr.name="label" attr.type="string"/>
+    <key id="color" for="node" attr.name="color" attr.type="string"/>
+    <key id="x" for="node" attr.name="x" attr.type="double"/>
+    <key id="y" for="node" attr.name="y" attr.type="double"/>
+    <key id="edgelabel" for="edge" attr.name="label" attr.type="string"/>
+    <key id="edgecolor" for="edge" attr.name="color" attr.type="string"/>
+    <graph id="G" edgedefault="undirected">
+${nodes}${edges}    </graph>
+</graphml>
+`;
+}
+
+/**
+ * Reads a GraphML graph. Data keys named label, color, x and y are read, as
+ * well as the graphics written by yEd (labels, fill and line colors, geometry
+ * and arrows). Edges are directed when they or their graph say so.
+ * @param {string} text - The GraphML document.
+ * @returns {Object} The note document.
+ */
+function graphmlToNote(text) {
+    const doc = parseXml(text, "graphml", "GraphML");
+    const keyNames = new Map([...doc.documentElement.children]
+        .filter(child => child.localName === "key")
+        .map(key => [key.getAttribute("id"), (key.getAttribute("attr.name") || "").toLowerCase()]));
+
+    // The data of an element by key name, and the first yEd graphics element with a name.
+    const dataOf = element => Object.fromEntries([...element.children]
+        .filter(child => child.localName === "data")
+        .map(child => [keyNames.get(child.getAttribute("key")) || child.getAttribute("key"), child]));
+    const graphics = (data, name) => Object.values(data)
+        .map(child => child.getElementsByTagNameNS("*", name)[0])
+        .find(Boolean);
+    const number = value => value === undefined || value === null || value === "" ? undefined : Number(value);
+
+    const graph = doc.getElementsByTagNameNS("*", "graph")[0];
+    const directedGraph = graph?.getAttribute("edgedefault") === "directed";
+
+    const nodes = [...doc.getElementsByTagNameNS("*", "node")].map(node => {
+        const data = dataOf(node);
+        const geometry = graphics(data, "Geometry");
+        const label = (data.label || data.name || data.text)?.textContent ?? graphics(data, "NodeLabel")?.textContent ?? "";
+        return {
+            key: node.getAttribute("id"),
+            html: importedTextToHtml(label),
+            x: number(data.x?.textContent ?? geometry?.getAttribute("x")),
+            y: number(data.y?.textContent ?? geometry?.getAttribute("y")),
+            color: importedColor((data.color || data.fill)?.textContent ?? graphics(data, "Fill")?.getAttribute("color"))
+        };
+    });
+
+    const edges = [...doc.getElementsByTagNameNS("*", "edge")].map(edge => {
+        const data = dataOf(edge);
+        const arrows = graphics(data, "Arrows");
+        const forward = arrows ? arrows.getAttribute("target") !== "none" : true;
+        const backward = arrows ? arrows.getAttribute("source") !== "none" : false;
+        const directed = edge.hasAttribute("directed")
+            ? edge.getAttribute("directed") === "true"
+            : arrows ? forward !== backward : directedGraph;
+        const reversed = directed && arrows && backward && !forward;
+        const [source, target] = [edge.getAttribute("source"), edge.getAttribute("target")];
+        return {
+            source: reversed ? target : source,
+            target: reversed ? source : target,
+            directed,
+            label: (data.label?.textContent ?? graphics(data, "EdgeLabel")?.textContent ?? "").trim(),
+            color: importedColor(data.color?.textContent ?? graphics(data, "LineStyle")?.getAttribute("color"))
+        };
+    });
+
+    return graphToNote({ heading: "", nodes: nodes.filter(node => node.key), edges });
+}
+
+/**
+ * Writes the boxes and links as an Obsidian canvas (JSON Canvas): boxes become
+ * text nodes with their Markdown, position, size and color.
+ * @returns {string} The canvas document.
+ */
+function noteToCanvas() {
+    const { list, links } = exportedGraph();
+    const nodes = list.map(box => {
+        const color = colorToHex(box.style.backgroundColor);
+        return {
+            id: box.id,
+            type: "text",
+            text: htmlToMarkdown(getBoxHtml(box)),
+            x: box.offsetLeft,
+            y: box.offsetTop,
+            width: box.offsetWidth || CANVAS_NODE_SIZE.width,
+            height: box.offsetHeight || CANVAS_NODE_SIZE.height,
+            ...(color !== DEFAULT_BOX_COLOR && { color: color.toLowerCase() })
+        };
+    });
+
+    const edges = links.map(link => ({
+        id: link.id,
+        fromNode: link.source,
+        toNode: link.target,
+        toEnd: link.directed ? "arrow" : "none",
+        ...(link.color && { color: link.color }),
+        ...(link.label && { label: link.label })
+    }));
+
+    return JSON.stringify({ nodes, edges }, null, "\t");
+}
+
+/**
+ * Reads an Obsidian canvas (JSON Canvas). Text, file and link nodes become
+ * boxes at their positions; groups are left out.
+ * @param {string} text - The canvas document.
+ * @returns {Object} The note document.
+ */
+function canvasToNote(text) {
+    const canvas = JSON.parse(text);
+    if (!Array.isArray(canvas?.nodes)) throw new Error("this is not a valid canvas file.");
+
+    const nodes = canvas.nodes
+        .filter(node => node.type !== "group")
+        .map(node => {
+            const content = node.type === "file" ? node.file : node.type === "link" ? node.url : node.text;
+            return {
+                key: String(node.id),
+                html: String(content || "").split("\n").map(line => markdownInlineToHtml(line)).join("<br>"),
+                x: node.x,
+                y: node.y,
+                color: importedColor(node.color)
+            };
+        });
+
+    // JSON Canvas edges have an arrow at the target end unless they say otherwise.
+    const edges = (canvas.edges || []).map(edge => {
+        const forward = (edge.toEnd ?? "arrow") === "arrow";
+        const backward = edge.fromEnd === "arrow";
+        return {
+            source: String(backward && !forward ? edge.toNode : edge.fromNode),
+            target: String(backward && !forward ? edge.fromNode : edge.toNode),
+            directed: forward !== backward,
+            label: edge.label || "",
+            color: importedColor(edge.color)
+        };
+    });
+
+    return graphToNote({ nodes, edges });
+}
+
+// --------------------------------------------------------------------------
+// Image Export and Printing
+// --------------------------------------------------------------------------
+
+// Space left around the boxes in exported images, in canvas pixels.
+const EXPORT_MARGIN = 24;
+
+// Largest width or height of an exported PNG; browsers refuse larger canvases.
+const PNG_MAX_SIZE = 16384;
+
+/**
+ * Downloads the tree as a standalone SVG file.
+ */
+function exportSvg() {
+    const svg = treeToSvg();
+    if (!svg) {
+        alert("There are no visible boxes to export.");
+        return;
+    }
+    saveFile(noteFileName("svg"), new XMLSerializer().serializeToString(svg), "image/svg+xml");
+}
+
+/**
+ * Downloads the tree as a PNG file, scaled down if it would exceed PNG_MAX_SIZE.
+ * @param {number} [scale=2] - The resolution as a multiple of the canvas size.
+ */
+function exportPng(scale = 2) {
+    const svg = treeToSvg();
+    if (!svg) {
+        alert("There are no visible boxes to export.");
+        return;
+    }
+    const width = Number(svg.getAttribute("width"));
+    const height = Number(svg.getAttribute("height"));
+    const factor = Math.min(scale, PNG_MAX_SIZE / width, PNG_MAX_SIZE / height);
+    const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" }));
+
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * factor);
+        canvas.height = Math.round(height * factor);
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => saveFile(noteFileName("png"), blob));
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        alert("The tree could not be rendered as a PNG.");
+    };
+    image.src = url;
+}
+
+/**
+ * Draws the boxes and lines of the tree as they appear on the canvas into a
+ * standalone SVG, without the zoom. Box contents are written as plain text
+ * wrapped to the box width, so the file opens in slide and drawing tools that
+ * do not support HTML inside SVG. Proposed boxes and lines are left out, and
+ * so are the boxes and lines hidden in collapsed subtrees.
+ * @returns {?SVGSVGElement} The SVG element, sized to the boxes, or null if
+ *     no box is left to draw.
+ */
+function treeToSvg() {
+    const ns = "http://www.w3.org/2000/svg";
+    const list = [...boxes.values()]
+        .map(({ box }) => box)
+        .filter(box => !box.classList.contains("proposed") && !box.classList.contains("collapsed-hidden"));
+    if (!list.length) return null;
+
+    const footerHeight = 20;
+    const left = Math.min(...list.map(box => box.offsetLeft)) - EXPORT_MARGIN;
+    const top = Math.min(...list.map(box => box.offsetTop)) - footerHeight - EXPORT_MARGIN;
+    const width = Math.max(...list.map(box => box.offsetLeft + box.offsetWidth)) + EXPORT_MARGIN - left;
+    const height = Math.max(...list.map(box => box.offsetTop + box.offsetHeight)) + EXPORT_MARGIN - top;
+
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("width", Math.ceil(width));
+    svg.setAttribute("height", Math.ceil(height));
+    svg.setAttribute("viewBox", `${left} ${top} ${Math.ceil(width)} ${Math.ceil(height)}`);
+    svg.setAttribute("font-family", getComputedStyle(document.body).fontFamily || "sans-serif");
+
+    const background = document.createElementNS(ns, "rect");
+    Object.entries({ x: left, y: top, width: "100%", height: "100%", fill: "#ffffff" })
+        .forEach(([name, value]) => background.setAttribute(name, value));
+    svg.appendChild(background);
+
+    const defs = document.querySelector("#lines defs");
+    if (defs) svg.appendChild(defs.cloneNode(true));
+
+    // Lines and labels get their CSS styles as attributes, the file has no stylesheet.
+    document.querySelectorAll("#lines .line:not(.proposed):not(.collapsed-hidden)").forEach(line => {
+        const copy = line.cloneNode(false);
+        copy.removeAttribute("class");
+        copy.removeAttribute("style");
+        copy.setAttribute("stroke", line.style.stroke || "gray");
+        copy.setAttribute("stroke-width", 2);
+        if (line.style.strokeDasharray) copy.setAttribute("stroke-dasharray", line.style.strokeDasharray);
+        svg.appendChild(copy);
+
+        const label = document.getElementById(`label-${line.id}`);
+        if (!label) return;
+        const text = label.cloneNode(true);
+        text.removeAttribute("class");
+        text.removeAttribute("style");
+        Object.entries({
+            "font-size": 12, fill: label.style.fill || "#475569", stroke: "#ffffff",
+            "stroke-width": 4, "stroke-linejoin": "round", "paint-order": "stroke"
+        }).forEach(([name, value]) => text.setAttribute(name, value));
+        svg.appendChild(text);
+    });
+
+    list.forEach(box => svg.appendChild(boxToSvg(box)));
+    return svg;
+}
+
+/**
+ * Draws one box for treeToSvg(): its background, its "#id" footer and its
+ * text, clipped to the box like the collapsed boxes on the canvas.
+ * @param {HTMLElement} box - The box element.
+ * @returns {SVGGElement} The group holding the drawing.
+ */
+function boxToSvg(box) {
+    const ns = "http://www.w3.org/2000/svg";
+    const style = getComputedStyle(box);
+    const fontSize = parseFloat(style.fontSize) || 16;
+    const paddingLeft = parseFloat(style.paddingLeft) || 14;
+    const paddingTop = parseFloat(style.paddingTop) || 12;
+    const [x, y, width, height] = [box.offsetLeft, box.offsetTop, box.offsetWidth, box.offsetHeight];
+
+    const group = document.createElementNS(ns, "g");
+    const create = (name, attributes) => {
+        const element = document.createElementNS(ns, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    };
+
+    const clip = create("clipPath", { id: `clip-${box.id}` });
+    clip.appendChild(create("rect", { x, y, width, height, rx: 16 }));
+    group.appendChild(clip);
+    group.appendChild(create("rect", {
+        x, y, width, height, rx: 16, fill: colorToHex(box.style.backgroundColor)
+    }));
+
+    const footer = create("text", { x: x + 2, y: y - 8, "font-size": 11, fill: "#475569" });
+    footer.textContent = box.dataset.collapsed ? `#${box.id} +${box.dataset.hiddenCount}` : `#${box.id}`;
+    group.appendChild(footer);
+
+    const text = create("text", { x: x + paddingLeft, y: y + paddingTop, "font-size": fontSize, fill: "#1f1f1f", "clip-path": `url(#clip-${box.id})` });
+    wrapText(boxTextLines(box), width - 2 * paddingLeft, `${fontSize}px ${style.fontFamily || "sans-serif"}`)
+        .forEach(line => {
+            const span = create("tspan", { x: x + paddingLeft, dy: "1.2em" });
+            span.textContent = line;
+            text.appendChild(span);
+        });
+    group.appendChild(text);
+    return group;
+}
+
+/**
+ * Returns the text of a box split into its paragraphs and line breaks.
+ * @param {HTMLElement} box - The box element.
+ * @returns {string[]} The non-empty lines of text.
+ */
+function boxTextLines(box) {
+    const template = document.createElement("template");
+    template.innerHTML = getBoxHtml(box).replace(/<br\s*\/?>|<\/?(?:div|p|li|h[1-6])\b[^>]*>/gi, "$&\n");
+    return template.content.textContent.split("\n")
+        .map(line => line.replace(/\s+/g, " ").trim())
+        .filter(Boolean);
+}
+
+/**
+ * Breaks lines of text at spaces so that each fits a width.
+ * @param {string[]} lines - The lines to wrap.
+ * @param {number} width - The available width in pixels.
+ * @param {string} font - A CSS font used to measure the text.
+ * @returns {string[]} The wrapped lines.
+ */
+function wrapText(lines, width, font) {
+    const context = document.createElement("canvas").getContext?.("2d");
+    if (context) context.font = font;
+    // Without a canvas the width is estimated from the font size.
+    const measure = context
+        ? text => context.measureText(text).width
+        : text => text.length * parseFloat(font) * 0.55;
+
+    return lines.flatMap(line => {
+        const wrapped = [];
+        let current = "";
+        line.split(" ").forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && measure(candidate) > width) {
+                wrapped.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        return [...wrapped, current];
+    });
+}
+
+/**
+ * Opens the print dialog with the Cornell page layout.
+ */
+function printNote() {
+    window.print();
+}
+
+/**
+ * Replaces the interactive tree with a static drawing for printing, so that
+ * the whole tree fits the tree cell of the Cornell page whatever the zoom.
+ * Runs on "beforeprint", which also covers the browser's own print command.
+ */
+function preparePrint() {
+    const svg = treeToSvg();
+    if (!svg) return;
+    svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
+    document.getElementById("printTree").replaceChildren(svg);
+}
+
+/**
+ * Removes the static drawing added by preparePrint().
+ */
+function finishPrint() {
+    document.getElementById("printTree").replaceChildren();
+}
+
+// --------------------------------------------------------------------------
+// Workspace: Autosave and Multiple Notes (IndexedDB)
+// --------------------------------------------------------------------------
+
+const DB_NAME = "treenotes";
+const DB_VERSION = 3;
+const NOTES_STORE = "notes";
+const VERSIONS_STORE = "versions";
+// IDs of notes deleted here that the server may still have.
+const DELETED_STORE = "deleted";
+
+// Delay between the last change and the autosave, in milliseconds.
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Opens (and on first use creates) the IndexedDB database holding the notes.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (workspace.db) return Promise.resolve(workspace.db);
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(NOTES_STORE)) {
+                db.createObjectStore(NOTES_STORE, { keyPath: "id" });
+            }
+            if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+                db.createObjectStore(VERSIONS_STORE, { keyPath: "id" }).createIndex("noteId", "noteId");
+            }
+            if (!db.objectStoreNames.contains(DELETED_STORE)) {
+                db.createObjectStore(DELETED_STORE, { keyPath: "id" });
+            }
+        };
+        request.onsuccess = () => {
+            workspace.db = request.result;
+            resolve(workspace.db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName - The object store to use.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest} action - Builds the request from the store.
+ * @returns {Promise<*>} The result of the request.
+ */
+async function dbRequest(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Saves the open note after a short pause, so bursts of edits cause a single write.
+ */
+function scheduleAutosave() {
+    scheduleLiveSync();
+    if (!workspace.currentId) return;
+    clearTimeout(workspace.saveTimer);
+    workspace.saveTimer = setTimeout(saveCurrentNote, AUTOSAVE_DELAY);
+}
+
+/**
+ * Writes the open note to IndexedDB. Notes that were never renamed take
+ * their name from the Cornell heading.
+ * @returns {Promise<void>}
+ */
+async function saveCurrentNote() {
+    clearTimeout(workspace.saveTimer);
+    const record = workspace.notes.find(note => note.id === workspace.currentId);
+    if (!record) return;
+
+    const heading = document.getElementById("headingText").innerText.trim();
+    if (record.autoName && heading) record.name = heading;
+    record.data = serializeNote();
+    record.bin = bin.slice();
+    record.updatedAt = Date.now();
+
+    try {
+        await dbRequest(NOTES_STORE, "readwrite", store => store.put(record));
+    } catch (error) {
+        console.warn("Autosave failed", error);
+    }
+    await pushNote(record);
+    renderWorkspace();
+}
+
+/**
+ * Creates a new note record. Without data, the note starts with a single seed box.
+ * @param {Object} [data] - A serialized note as returned by serializeNote().
+ * @returns {Promise<Object>} The stored note record.
+ */
+async function createNote(data) {
+    const now = Date.now();
+    const record = {
+        id: `note-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        name: htmlToText(data?.heading) || "Untitled note",
+        autoName: true,
+        createdAt: now,
+        updatedAt: now,
+        data: data || {
+            schemaVersion: NOTE_SCHEMA_VERSION,
+            heading: "",
+            cueText: "",
+            summary: "",
+            boxes: [{ id: "1", html: "Seed", style: { backgroundColor: "#f1f1f1" }, lines: [] }]
+        },
+        bin: []
+    };
+    await dbRequest(NOTES_STORE, "readwrite", store => store.put(record));
+    workspace.notes.push(record);
+    await pushNote(record);
+    return record;
+}
+
+/**
+ * Saves the open note, then replaces the page with another saved note.
+ * The undo history belongs to a note, so it is cleared on every switch.
+ * @param {string} id - The ID of the note to open.
+ * @returns {Promise<void>}
+ */
+async function switchNote(id) {
+    const record = workspace.notes.find(note => note.id === id);
+    if (!record) return;
+    if (workspace.currentId && workspace.currentId !== id) await saveCurrentNote();
+
+    openNoteRecord(record);
+}
+
+/**
+ * Loads a note record into the page and marks it as the open note.
+ * @param {Object} record - The note record to open.
+ */
+function openNoteRecord(record) {
+    stashHistory();
+    leaveLiveSession();
+    clearVersionDiff();
+    loadNote(record.data);
+    bin.push(...(record.bin || []));
+    renderBin();
+    restoreHistory(record);
+    fitAll();
+
+    workspace.currentId = record.id;
+    localStorage.setItem("treenotes-current", record.id);
+    renderWorkspace();
+    joinLiveSession(record.id);
+    if (document.getElementById("historyPanel").classList.contains("visible")) renderHistory();
+    if (document.getElementById("backlinksPanel").classList.contains("visible")) renderBacklinks();
+}
+
+/**
+ * Creates an empty note and opens it.
+ * @returns {Promise<void>}
+ */
+async function newNote() {
+    if (workspace.currentId) await saveCurrentNote();
+    const record = await createNote();
+    openNoteRecord(record);
+}
+
+/**
+ * Asks for a new name for a saved note.
+ * @param {string} id - The ID of the note to rename.
+ * @returns {Promise<void>}
+ */
+async function renameNote(id) {
+    const record = workspace.notes.find(note => note.id === id);
+    if (!record) return;
+
+    const name = prompt("Note name", record.name)?.trim();
+    if (!name) return;
+
+    record.name = name;
+    record.autoName = false;
+    await dbRequest(NOTES_STORE, "readwrite", store => store.put(record));
+    await pushNote(record);
+    renderWorkspace();
+}
+
+/**
+ * Deletes a saved note and its versions. Deleting the open note opens another one,
+ * or a new empty note if it was the last.
+ * @param {string} id - The ID of the note to delete.
+ * @returns {Promise<void>}
+ */
+async function deleteNote(id) {
+    const record = workspace.notes.find(note => note.id === id);
+    if (!record || !confirm(`Delete "${record.name}"? This cannot be undone.`)) return;
+
+    await dbRequest(NOTES_STORE, "readwrite", store => store.delete(id));
+    const versionIds = await dbRequest(VERSIONS_STORE, "readonly", store => store.index("noteId").getAllKeys(id));
+    for (const versionId of versionIds) {
+        await dbRequest(VERSIONS_STORE, "readwrite", store => store.delete(versionId));
+    }
+    workspace.notes = workspace.notes.filter(note => note.id !== id);
+    noteHistories.delete(id);
+    await dbRequest(DELETED_STORE, "readwrite", store => store.put({ id, deletedAt: Date.now() }));
+    pushDeletion(id);
+
+    if (id === workspace.currentId) {
+        workspace.currentId = null;
+        const next = workspace.notes[0] || await createNote();
+        openNoteRecord(next);
+    } else {
+        renderWorkspace();
+    }
+}
+
+/**
+ * Re-renders the list of saved notes in the app menu, most recently modified first.
+ */
+function renderWorkspace() {
+    const list = document.getElementById("workspaceList");
+    if (!list) return;
+
+    document.getElementById("syncStatus").textContent = workspace.online
+        ? "☁️ Synced with the server"
+        : "💻 Saved in this browser only";
+
+    list.innerHTML = "";
+    workspace.notes
+        .slice()
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .forEach(note => {
+            const item = document.createElement("div");
+            item.className = "workspace-item";
+            item.classList.toggle("active", note.id === workspace.currentId);
+
+            const open = document.createElement("button");
+            open.type = "button";
+            open.className = "workspace-item__name";
+            open.textContent = note.name;
+            open.title = `Modified ${new Date(note.updatedAt).toLocaleString()}`;
+            open.addEventListener("click", () => switchNote(note.id));
+
+            const rename = document.createElement("button");
+            rename.type = "button";
+            rename.title = "Rename";
+            rename.textContent = "✏️";
+            rename.addEventListener("click", () => renameNote(note.id));
+
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.title = "Delete";
+            remove.textContent = "🗑️";
+            remove.addEventListener("click", () => deleteNote(note.id));
+
+            item.append(open, rename, remove);
+            list.appendChild(item);
+        });
+
+    renderBreadcrumbs();
+}
+
+/**
+ * Loads the saved notes and reopens the last open one. On the very first run
+ * the note currently on the page becomes the first saved note.
+ * @returns {Promise<void>}
+ */
+async function initWorkspace() {
+    if (!window.indexedDB) {
+        console.warn("IndexedDB is not available, notes will not be saved automatically.");
+        return;
+    }
+
+    try {
+        workspace.notes = await dbRequest(NOTES_STORE, "readonly", store => store.getAll());
+    } catch (error) {
+        console.warn("Could not open the notes database", error);
+        return;
+    }
+
+    workspace.online = await checkBackend();
+    if (workspace.online) {
+        try {
+            await syncWithServer();
+        } catch (error) {
+            console.warn("Could not sync notes with the server", error);
+        }
+    }
+
+    const current = workspace.notes.find(note => note.id === workspace.currentId)
+        || workspace.notes.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0]
+        || await createNote(serializeNote());
+    openNoteRecord(current);
+
+    document.addEventListener("input", scheduleAutosave);
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") saveCurrentNote();
+    });
+}
+
+// --------------------------------------------------------------------------
+// Version History
+// --------------------------------------------------------------------------
+
+// Most words compared by diffWords; longer texts are shown as replaced whole.
+const DIFF_MAX_WORDS = 2000;
+
+// Names of the Cornell sections in the version diff, by document key.
+const SECTION_NAMES = { heading: "Heading", cueText: "Cue column", summary: "Summary" };
+
+/**
+ * Saves an immutable snapshot of the open note as a new version, in the
+ * browser and on the server. Unlike the autosave, which keeps overwriting
+ * the working copy, a version is never changed afterwards.
+ * @param {string} [label=""] - An optional name for the version.
+ * @returns {Promise<Object|undefined>} The version record, or undefined if it
+ *     could not be saved.
+ */
+async function saveVersion(label = "") {
+    if (!workspace.currentId) return;
+    flushTextEdits();
+    await saveCurrentNote();
+
+    const now = Date.now();
+    const version = {
+        id: `version-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        noteId: workspace.currentId,
+        label,
+        createdAt: now,
+        data: serializeNote()
+    };
+    try {
+        await dbRequest(VERSIONS_STORE, "readwrite", store => store.put(version));
+    } catch (error) {
+        console.warn("Could not save the version", error);
+        alert(`Could not save the version: ${error.message}`);
+        return;
+    }
+    await pushVersion(version);
+
+    const button = document.getElementById("saveButton");
+    button.textContent = "✅";
+    setTimeout(() => { button.textContent = "💾"; }, 1000);
+    if (document.getElementById("historyPanel").classList.contains("visible")) renderHistory();
+    return version;
+}
+
+/**
+ * Asks for a name and saves a version with it.
+ * @returns {Promise<void>}
+ */
+async function saveNamedVersion() {
+    const label = prompt("Version name")?.trim();
+    if (label) await saveVersion(label);
+}
+
+/**
+ * Uploads a version to the backend. Failures are logged; the version is
+ * uploaded again the next time the history is listed.
+ * @param {Object} version - The version record.
+ * @returns {Promise<boolean>} Whether the server has the version.
+ */
+async function pushVersion(version) {
+    if (!workspace.online) return false;
+    try {
+        await apiRequest(`/notes/${encodeURIComponent(version.noteId)}/versions`, {
+            method: "POST",
+            body: {
+                id: version.id,
+                label: version.label,
+                document: version.data,
+                created_at: new Date(version.createdAt).toISOString()
+            }
+        });
+        return true;
+    } catch (error) {
+        console.warn("Could not save the version on the server", error);
+        return false;
+    }
+}
+
+/**
+ * Lists the versions of a note, newest first: those saved in this browser and,
+ * when the server is reachable, those saved from other browsers. Versions the
+ * server does not have yet are uploaded. Versions only on the server have no
+ * 'data' until loaded (see loadVersion).
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Object[]>} The version records.
+ */
+async function listVersions(noteId) {
+    const versions = await dbRequest(VERSIONS_STORE, "readonly", store => store.index("noteId").getAll(noteId));
+
+    if (workspace.online) {
+        try {
+            const remote = await apiRequest(`/notes/${encodeURIComponent(noteId)}/versions`);
+            const remoteIds = new Set(remote.map(({ id }) => id));
+            for (const version of versions.filter(({ id }) => !remoteIds.has(id))) {
+                await pushVersion(version);
+            }
+            remote
+                .filter(({ id }) => !versions.some(version => version.id === id))
+                .forEach(({ id, label, created_at }) => {
+                    versions.push({ id, noteId, label, createdAt: Date.parse(created_at), data: null });
+                });
+        } catch (error) {
+            console.warn("Could not list the versions on the server", error);
+        }
+    }
+    return versions.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Returns the document of a version, downloading it (and keeping a copy in
+ * the browser) if it was saved from another browser.
+ * @param {Object} version - The version record.
+ * @returns {Promise<Object>} The note document.
+ */
+async function loadVersion(version) {
+    if (!version.data) {
+        const remote = await apiRequest(`/notes/${encodeURIComponent(version.noteId)}/versions/${encodeURIComponent(version.id)}`);
+        version.data = remote.document;
+        await dbRequest(VERSIONS_STORE, "readwrite", store => store.put(version));
+    }
+    return migrateNote(version.data);
+}
+
+/**
+ * Replaces the open note with a version, as one undo step. The recycle bin is kept.
+ * @param {Object} version - The version record.
+ * @returns {Promise<void>}
+ */
+async function restoreVersion(version) {
+    const data = await loadVersion(version);
+    clearVersionDiff();
+    recordSnapshot("Restore version", () => replaceNote(data));
+    renderHistory();
+}
+
+/**
+ * Copies a version into a new note and opens it, leaving the open note as it is.
+ * @param {Object} version - The version record.
+ * @returns {Promise<void>}
+ */
+async function forkVersion(version) {
+    const data = await loadVersion(version);
+    const source = workspace.notes.find(note => note.id === version.noteId);
+    await saveCurrentNote();
+
+    const record = await createNote(data);
+    record.name = `${source?.name || record.name} (${versionTitle(version)})`;
+    record.autoName = false;
+    await dbRequest(NOTES_STORE, "readwrite", store => store.put(record));
+    await pushNote(record);
+    openNoteRecord(record);
+    renderHistory();
+}
+
+/**
+ * Returns the title of a version in the history: its name or its date.
+ * @param {Object} version - The version record.
+ * @returns {string} The title.
+ */
+function versionTitle(version) {
+    return version.label || new Date(version.createdAt).toLocaleString();
+}
+
+/**
+ * Shows or hides the version history panel.
+ */
+function toggleHistory() {
+    if (togglePanel("historyPanel")) renderHistory();
+    else clearVersionDiff();
+}
+
+/**
+ * Re-renders the list of versions of the open note in the history panel.
+ * @returns {Promise<void>}
+ */
+async function renderHistory() {
+    const list = document.getElementById("historyList");
+    if (!list || !workspace.currentId) return;
+
+    const versions = await listVersions(workspace.currentId);
+    list.innerHTML = "";
+
+    if (!versions.length) {
+        const empty = document.createElement("p");
+        empty.className = "side-panel__empty";
+        empty.textContent = "No saved versions yet. Press 💾 or Ctrl+S to save one.";
+        list.appendChild(empty);
+        return;
+    }
+
+    versions.forEach(version => {
+        const item = document.createElement("div");
+        item.className = "version-item";
+        item.classList.toggle("active", list.dataset.compared === version.id);
+
+        const title = document.createElement("strong");
+        title.textContent = versionTitle(version);
+        const meta = document.createElement("small");
+        meta.textContent = version.data
+            ? `${version.data.boxes.length} box(es) · ${version.label ? new Date(version.createdAt).toLocaleString() : "Unnamed"}`
+            : `Saved from another browser${version.label ? ` · ${new Date(version.createdAt).toLocaleString()}` : ""}`;
+
+        const actions = document.createElement("div");
+        actions.className = "version-item__actions";
+        [
+            ["Compare", () => compareVersion(version)],
+            ["Restore", () => restoreVersion(version)],
+            ["Fork", () => forkVersion(version)]
+        ].forEach(([label, action]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = label;
+            button.addEventListener("click", () => action().catch(error => alert(`Could not open this version: ${error.message}`)));
+            actions.appendChild(button);
+        });
+
+        item.append(title, meta, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Shows what changed between a version and the open note: on the canvas,
+ * and as a list of changes with the text differences in the history panel.
+ * Comparing the version already compared hides the differences.
+ * @param {Object} version - The version record.
+ * @returns {Promise<void>}
+ */
+async function compareVersion(version) {
+    const list = document.getElementById("historyList");
+    if (list.dataset.compared === version.id) {
+        clearVersionDiff();
+        renderHistory();
+        return;
+    }
+
+    const diff = diffNotes(await loadVersion(version), serializeNote());
+    clearVersionDiff();
+    showVersionDiff(diff);
+    list.dataset.compared = version.id;
+    await renderHistory();
+    list.querySelector(".version-item.active")?.appendChild(renderVersionDiff(diff));
+}
+
+/**
+ * Compares two notes: boxes added, removed, moved or edited, links added,
+ * removed or restyled and edited Cornell sections. Boxes and links are matched by ID.
+ * @param {Object} before - The older note, as returned by serializeNote().
+ * @param {Object} after - The newer note.
+ * @returns {{boxes: Object, links: Object, sections: Object[]}} The changes.
+ */
+function diffNotes(before, after) {
+    const oldBoxes = new Map(before.boxes.map(box => [String(box.id), box]));
+    const newBoxes = new Map(after.boxes.map(box => [String(box.id), box]));
+    const boxes = { added: [], removed: [], moved: [], edited: [] };
+
+    newBoxes.forEach((box, id) => {
+        const old = oldBoxes.get(id);
+        if (!old) {
+            boxes.added.push(box);
+            return;
+        }
+        const distance = ["left", "top"].map(side => (parseFloat(box.style[side]) || 0) - (parseFloat(old.style?.[side]) || 0));
+        if (distance.some(delta => Math.abs(delta) >= 1)) boxes.moved.push({ before: old, after: box });
+        if (old.html !== box.html || colorToHex(old.style?.backgroundColor) !== colorToHex(box.style.backgroundColor)) {
+            boxes.edited.push({ before: old, after: box });
+        }
+    });
+    oldBoxes.forEach((box, id) => {
+        if (!newBoxes.has(id)) boxes.removed.push(box);
+    });
+
+    const oldLinks = noteLinks(before);
+    const newLinks = noteLinks(after);
+    const links = { added: [], removed: [], changed: [] };
+    newLinks.forEach((link, id) => {
+        const old = oldLinks.get(id);
+        if (!old) links.added.push(link);
+        else if (JSON.stringify(old) !== JSON.stringify(link)) links.changed.push(link);
+    });
+    oldLinks.forEach((link, id) => {
+        if (!newLinks.has(id)) links.removed.push(link);
+    });
+
+    const sections = Object.keys(SECTION_NAMES)
+        .filter(key => htmlToText(before[key]) !== htmlToText(after[key]))
+        .map(key => ({ key, before: before[key], after: after[key] }));
+
+    return { boxes, links, sections };
+}
+
+/**
+ * Returns the links of a note by line ID, including bare pairs listed only in box.lines.
+ * @param {Object} note - A note as returned by serializeNote().
+ * @returns {Map<string, Object>} The details of each link, with its ID.
+ */
+function noteLinks(note) {
+    const links = new Map();
+    note.boxes.forEach(box => (box.lines || []).forEach(other => {
+        const id = getLineId(box.id, other);
+        links.set(id, normalizeLinkDetails(id, {}));
+    }));
+    (note.links || []).forEach(link => {
+        const id = getLineId(link.source, link.target);
+        links.set(id, normalizeLinkDetails(id, link));
+    });
+    links.forEach((link, id) => links.set(id, { id, ...link }));
+    return links;
+}
+
+/**
+ * Marks the changes of a version diff on the canvas: added, moved and edited
+ * boxes are outlined, removed boxes and the old place of moved boxes are shown
+ * as ghosts, added and restyled links are colored and removed links are dashed.
+ * @param {ReturnType<typeof diffNotes>} diff - The changes.
+ */
+function showVersionDiff(diff) {
+    const mark = (id, className) => boxes.get(String(id))?.box.classList.add(className);
+    diff.boxes.added.forEach(({ id }) => mark(id, "diff-added"));
+    diff.boxes.edited.forEach(({ after }) => mark(after.id, "diff-edited"));
+    diff.boxes.moved.forEach(({ before, after }) => {
+        mark(after.id, "diff-moved");
+        addDiffGhost(before, "moved");
+    });
+    diff.boxes.removed.forEach(box => addDiffGhost(box, "removed"));
+
+    diff.links.added.forEach(({ id }) => document.getElementById(id)?.classList.add("diff-added"));
+    diff.links.changed.forEach(({ id }) => document.getElementById(id)?.classList.add("diff-edited"));
+    diff.links.removed.forEach(({ id }) => {
+        const ghosts = [...document.querySelectorAll(".diff-ghost--removed")];
+        const ends = id.split("_").map(end => ghosts.find(ghost => ghost.dataset.id === end) || boxes.get(end)?.box);
+        if (ends.some(end => !end)) return;
+
+        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("class", "diff-removed-line");
+        const [x1, y1] = getBoxCoords(ends[0]);
+        const [x2, y2] = getBoxCoords(ends[1]);
+        updateLinePosition(line, x1, y1, x2, y2);
+        document.getElementById("lines").appendChild(line);
+    });
+}
+
+/**
+ * Adds a ghost of a box of a version to the canvas, at its old position.
+ * @param {Object} box - The serialized box of the version.
+ * @param {"moved"|"removed"} kind - Why the ghost is shown.
+ */
+function addDiffGhost(box, kind) {
+    const ghost = document.createElement("div");
+    ghost.className = `diff-ghost diff-ghost--${kind}`;
+    ghost.dataset.id = box.id;
+    ghost.style.left = box.style?.left || "0px";
+    ghost.style.top = box.style?.top || "0px";
+    ghost.textContent = htmlToText(box.html) || `#${box.id}`;
+    ghost.title = kind === "moved" ? `Box #${box.id} was here` : `Box #${box.id} was removed`;
+    document.getElementById("boxes").appendChild(ghost);
+}
+
+/**
+ * Removes the marks of showVersionDiff() from the canvas.
+ */
+function clearVersionDiff() {
+    document.querySelectorAll(".diff-ghost, .diff-removed-line").forEach(el => el.remove());
+    document.querySelectorAll(".diff-added, .diff-edited, .diff-moved").forEach(el => {
+        el.classList.remove("diff-added", "diff-edited", "diff-moved");
+    });
+    const list = document.getElementById("historyList");
+    if (list) delete list.dataset.compared;
+}
+
+/**
+ * Builds the list of changes of a version diff for the history panel,
+ * with the word differences of the edited sections and boxes.
+ * @param {ReturnType<typeof diffNotes>} diff - The changes.
+ * @returns {HTMLElement} The list of changes.
+ */
+function renderVersionDiff(diff) {
+    const container = document.createElement("div");
+    container.className = "version-diff";
+
+    const counts = [
+        [diff.boxes.added.length, "box(es) added"],
+        [diff.boxes.removed.length, "box(es) removed"],
+        [diff.boxes.moved.length, "box(es) moved"],
+        [diff.boxes.edited.length, "box(es) edited"],
+        [diff.links.added.length, "link(s) added"],
+        [diff.links.removed.length, "link(s) removed"],
+        [diff.links.changed.length, "link(s) restyled"]
+    ].filter(([count]) => count);
+    const summary = document.createElement("p");
+    summary.textContent = counts.length || diff.sections.length
+        ? counts.map(([count, label]) => `${count} ${label}`).join(" · ")
+        : "No differences with the open note.";
+    container.appendChild(summary);
+
+    const addChange = (title, before, after) => {
+        const heading = document.createElement("strong");
+        heading.textContent = title;
+        const text = document.createElement("div");
+        text.className = "version-diff__text";
+        diffWords(htmlToText(before), htmlToText(after)).forEach(({ type, text: words }) => {
+            const part = document.createElement(type === "added" ? "ins" : type === "removed" ? "del" : "span");
+            part.textContent = words;
+            text.appendChild(part);
+        });
+        container.append(heading, text);
+    };
+    diff.sections.forEach(({ key, before, after }) => addChange(SECTION_NAMES[key], before, after));
+    diff.boxes.edited
+        .filter(({ before, after }) => htmlToText(before.html) !== htmlToText(after.html))
+        .forEach(({ before, after }) => addChange(`Box #${after.id}`, before.html, after.html));
+    return container;
+}
+
+/**
+ * Computes the word differences between two texts (longest common subsequence).
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>} The parts of the texts, in order.
+ */
+function diffWords(before, after) {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+    if (a.length > DIFF_MAX_WORDS || b.length > DIFF_MAX_WORDS) {
+        return [{ type: "removed", text: before }, { type: "added", text: after }].filter(({ text }) => text);
+    }
+
+    // lengths[i][j]: length of the longest common subsequence of a[i..] and b[j..].
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        if (parts.at(-1)?.type === type) parts.at(-1).text += text;
+        else parts.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            push("same", a[i]);
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            push("removed", a[i++]);
+        } else {
+            push("added", b[j++]);
+        }
+    }
+    return parts;
+}
+
+// --------------------------------------------------------------------------
+// Sub-notes and Breadcrumbs
+// --------------------------------------------------------------------------
+
+/**
+ * Opens the sub-note of a box. A box without one (or whose sub-note was
+ * deleted) is promoted first: a new note is created with the box text as
+ * heading and a copy of the box as seed, and the box keeps its ID. The
+ * promotion can be undone in the note of the box.
+ * @param {HTMLElement} box - The box.
+ * @returns {Promise<void>}
+ */
+async function openSubNote(box) {
+    if (!box || !workspace.currentId) return;
+
+    const exists = () => workspace.notes.some(note => note.id === box.dataset.note);
+    if (box.dataset.note && !exists() && workspace.online) await syncWithServer();
+    if (!box.dataset.note || !exists()) {
+        const html = getBoxHtml(box);
+        const record = await createNote({
+            schemaVersion: NOTE_SCHEMA_VERSION,
+            heading: escapeHtml(htmlToText(html)),
+            cueText: "",
+            summary: "",
+            boxes: [{ id: "1", html, style: { backgroundColor: box.style.backgroundColor || "#f1f1f1" }, lines: [] }]
+        });
+
+        // Undoing unlinks the box; the new note is kept, like any other note.
+        const id = box.id;
+        const previous = box.dataset.note;
+        const link = noteId => {
+            const target = document.getElementById(id);
+            if (noteId) target.dataset.note = noteId;
+            else delete target.dataset.note;
+        };
+        link(record.id);
+        recordHistory({
+            label: "Make sub-note",
+            undo: () => link(previous),
+            redo: () => link(record.id)
+        });
+    }
+    await switchNote(box.dataset.note);
+}
+
+/**
+ * Finds the saved note containing the box promoted to a note.
+ * @param {string} noteId - The ID of the sub-note.
+ * @returns {{note: Object, boxId: string}|null} The parent note record and the ID of the box, if any.
+ */
+function parentNote(noteId) {
+    for (const note of workspace.notes) {
+        const entry = (note.data?.boxes || []).find(box => box.note === noteId);
+        if (entry) return { note, boxId: entry.id };
+    }
+    return null;
+}
+
+/**
+ * Lists the ancestors of a note, the root first. Stops at a cycle.
+ * @param {string} noteId - The ID of the note.
+ * @returns {{note: Object, boxId: string}[]} Each ancestor and the box leading down from it.
+ */
+function noteAncestors(noteId) {
+    const ancestors = [];
+    const seen = new Set([noteId]);
+    let parent = parentNote(noteId);
+    while (parent && !seen.has(parent.note.id)) {
+        seen.add(parent.note.id);
+        ancestors.unshift(parent);
+        parent = parentNote(parent.note.id);
+    }
+    return ancestors;
+}
+
+/**
+ * Re-renders the breadcrumbs above the heading: the ancestors of the open
+ * note (each opening its note at the promoted box), its name and a menu of
+ * its sub-notes. Hidden for a note that has neither.
+ */
+function renderBreadcrumbs() {
+    const nav = document.getElementById("breadcrumbs");
+    if (!nav) return;
+
+    const ancestors = noteAncestors(workspace.currentId);
+    const children = Array.from(boxes.values())
+        .map(({ box }) => box)
+        .filter(box => workspace.notes.some(note => note.id === box.dataset.note));
+    nav.hidden = !ancestors.length && !children.length;
+    nav.innerHTML = "";
+
+    ancestors.forEach(({ note, boxId }) => {
+        const crumb = document.createElement("button");
+        crumb.type = "button";
+        crumb.textContent = note.name;
+        crumb.title = `Open “${note.name}” at Box# ${boxId}`;
+        crumb.addEventListener("click", () => openNoteBox(note.id, boxId));
+        nav.append(crumb, " › ");
+    });
+
+    const current = document.createElement("span");
+    current.className = "breadcrumbs__current";
+    current.textContent = workspace.notes.find(note => note.id === workspace.currentId)?.name || "";
+    nav.appendChild(current);
+
+    if (children.length) {
+        const menu = document.createElement("select");
+        menu.setAttribute("aria-label", "Open a sub-note");
+        menu.innerHTML = "<option value=''>Sub-notes ⤵️</option>";
+        children.forEach(box => {
+            const option = document.createElement("option");
+            option.value = box.dataset.note;
+            option.textContent = workspace.notes.find(note => note.id === box.dataset.note).name;
+            menu.appendChild(option);
+        });
+        menu.addEventListener("change", () => menu.value && switchNote(menu.value));
+        nav.append(" › ", menu);
+    }
+}
+
+/**
+ * Opens a saved note, fetching it from the server if it is not known yet,
+ * and jumps to one of its boxes.
+ * @param {string|null} noteId - The ID of the note, null for the open note.
+ * @param {string|null} boxId - The ID of the box, if any.
+ * @returns {Promise<void>}
+ */
+async function openNoteBox(noteId, boxId) {
+    if (noteId && noteId !== workspace.currentId) {
+        if (!workspace.notes.some(note => note.id === noteId) && workspace.online) {
+            await syncWithServer();
+        }
+        await switchNote(noteId);
+    }
+    if (boxId) focusBox(boxId);
+}
+
+// --------------------------------------------------------------------------
+// Backlinks and Note References
+// --------------------------------------------------------------------------
+
+/**
+ * Finds the saved note a [[note/box]] reference names, by ID or else by name
+ * (ignoring case).
+ * @param {string} ref - The note part of the reference.
+ * @returns {Object|null} The note record, if any.
+ */
+function findNoteRef(ref) {
+    const name = ref.trim().toLowerCase();
+    return workspace.notes.find(note => note.id === ref.trim())
+        || workspace.notes.find(note => note.name.trim().toLowerCase() === name)
+        || null;
+}
+
+/**
+ * Renders a [[note/box]] reference as a link showing the note name and the
+ * start of the box text. Unknown notes and boxes are shown as typed.
+ * @param {string} ref - The note part of the reference.
+ * @param {string} boxId - The ID of the box.
+ * @returns {string} The HTML of the link.
+ */
+function renderNoteRef(ref, boxId) {
+    const note = findNoteRef(ref);
+    const entry = note?.data?.boxes?.find(box => box.id === boxId);
+    const text = entry && htmlToText(entry.html).slice(0, 30);
+    const label = `${note ? note.name : ref} › ${text || `#${boxId}`}`;
+    return `<a class="note-ref${note ? "" : " note-ref--missing"}" data-note-ref="${escapeHtml(ref)}" data-box-id="${boxId}" title="Open ${escapeHtml(label)}">🔗 ${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Opens the note and box a [[note/box]] reference points to.
+ * @param {string} ref - The note part of the reference.
+ * @param {string} boxId - The ID of the box.
+ * @returns {Promise<void>}
+ */
+async function openNoteRef(ref, boxId) {
+    if (!findNoteRef(ref) && workspace.online) await syncWithServer();
+    const note = findNoteRef(ref);
+    if (!note) {
+        alert(`There is no note named “${ref}”.`);
+        return;
+    }
+    await openNoteBox(note.id, boxId);
+}
+
+/**
+ * Makes the rendered [[note/box]] references in boxes clickable. The events
+ * are caught before the box sees them, so a click neither edits nor drags it.
+ */
+function initNoteRefs() {
+    const container = document.getElementById("boxes");
+    container.addEventListener("mousedown", e => {
+        if (!e.target.closest(".note-ref")) return;
+        e.preventDefault();
+        e.stopPropagation();
+    }, true);
+    container.addEventListener("click", e => {
+        const link = e.target.closest(".note-ref");
+        if (!link) return;
+        e.preventDefault();
+        e.stopPropagation();
+        openNoteRef(link.dataset.noteRef, link.dataset.boxId);
+    }, true);
+}
+
+/**
+ * Returns the cue column and boxes of every note, the open one as shown on the page.
+ * @returns {{id: string|null, name: string, cueText: string, boxes: {id: string, html: string}[]}[]} The notes.
+ */
+function noteSources() {
+    const current = workspace.notes.find(note => note.id === workspace.currentId);
+    const others = workspace.notes
+        .filter(note => note !== current)
+        .map(note => ({ id: note.id, name: note.name, cueText: note.data?.cueText || "", boxes: note.data?.boxes || [] }));
+    return [{
+        id: workspace.currentId,
+        name: current?.name || "This note",
+        cueText: document.getElementById("cueText").innerHTML,
+        boxes: Array.from(boxes.values()).map(({ box }) => ({ id: box.id, html: getBoxHtml(box) }))
+    }, ...others];
+}
+
+/**
+ * Finds everything that links to a box of the open note: cue column
+ * highlights of any note (by their position among the highlights of that
+ * note) and boxes of any note with a [[note/box]] reference to it.
+ * @param {string} boxId - The ID of the box.
+ * @returns {{noteId: string|null, noteName: string, text: string, highlight?: number, box?: string}[]} The backlinks.
+ */
+function findBacklinks(boxId) {
+    const backlinks = [];
+    noteSources().forEach(source => {
+        const template = document.createElement("template");
+        template.innerHTML = source.cueText;
+        template.content.querySelectorAll(".highlight").forEach((span, index) => {
+            if (span.dataset.boxId === boxId && (span.dataset.noteId || source.id) === workspace.currentId) {
+                backlinks.push({ noteId: source.id, noteName: source.name, text: span.textContent.trim(), highlight: index });
+            }
+        });
+
+        source.boxes.forEach(entry => {
+            const text = htmlToText(entry.html);
+            const linked = [...text.matchAll(NOTE_REF)]
+                .some(([, ref, target]) => target === boxId && findNoteRef(ref)?.id === workspace.currentId);
+            if (linked) backlinks.push({ noteId: source.id, noteName: source.name, text, box: entry.id });
+        });
+    });
+    return backlinks;
+}
+
+/**
+ * Shows the backlinks panel for a box.
+ * @param {string} boxId - The ID of the box.
+ */
+function showBacklinks(boxId) {
+    document.getElementById("backlinksList").dataset.boxId = boxId;
+    if (togglePanel("backlinksPanel", true)) renderBacklinks();
+}
+
+/**
+ * Re-renders the backlinks panel for its box, if it is in the open note.
+ */
+function renderBacklinks() {
+    const list = document.getElementById("backlinksList");
+    const boxId = boxes.has(list.dataset.boxId) ? list.dataset.boxId : null;
+    const backlinks = boxId ? findBacklinks(boxId) : [];
+    document.getElementById("backlinksBox").textContent = boxId ? `Box# ${boxId}` : "";
+    list.innerHTML = "";
+
+    if (!backlinks.length) {
+        const empty = document.createElement("p");
+        empty.className = "side-panel__empty";
+        empty.textContent = boxId
+            ? "Nothing links to this box yet. Link a highlight to it, or type [[note/box]] in another box."
+            : "Click a box to see what links to it.";
+        list.appendChild(empty);
+        return;
+    }
+
+    backlinks.forEach(backlink => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "backlink-item";
+
+        const title = document.createElement("strong");
+        title.textContent = backlink.noteName;
+        const where = document.createElement("small");
+        where.textContent = backlink.box ? `Box# ${backlink.box}` : "Cue column";
+        const text = document.createElement("span");
+        text.textContent = `“${backlink.text}”`;
+
+        item.append(title, where, text);
+        item.addEventListener("click", () => openBacklink(backlink));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Opens the note of a backlink and shows the referencing highlight (selected)
+ * or box (glowing).
+ * @param {ReturnType<typeof findBacklinks>[number]} backlink - The backlink.
+ * @returns {Promise<void>}
+ */
+async function openBacklink({ noteId, highlight, box }) {
+    await openNoteBox(noteId, box ?? null);
+    if (highlight === undefined) return;
+
+    const span = document.querySelectorAll("#cueText .highlight")[highlight];
+    if (!span) return;
+    span.scrollIntoView({ behavior: "smooth", block: "center" });
+    const range = document.createRange();
+    range.selectNodeContents(span);
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+}
+
+// --------------------------------------------------------------------------
+// Backend API
+// --------------------------------------------------------------------------
+
+// Base URL of the TreeNotes API. Defaults to the backend port published by
+// docker-compose on the same host; can be overridden with the
+// "treenotes-api" localStorage key.
+const API_BASE = localStorage.getItem("treenotes-api")
+    || (location.hostname ? `${location.protocol}//${location.hostname}:8000/api` : "");
+
+/**
+ * Sends a JSON request to the backend API.
+ * @param {string} path - The path below API_BASE, e.g. "/notes".
+ * @param {{method?: string, body?: Object, timeout?: number}} [options={}] - Request options.
+ * @returns {Promise<*>} The parsed JSON response, or null for empty responses.
+ * @throws {Error} If the request fails or the server answers with an error status,
+ *     which is then set as the status property of the error.
+ */
+async function apiRequest(path, { method = "GET", body, timeout = 10000 } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(`${API_BASE}${path}`, {
+            method,
+            headers: body ? { "Content-Type": "application/json" } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            const detail = await response.json().catch(() => null);
+            const error = new Error(detail?.detail || `${method} ${path} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.status === 204 ? null : response.json();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Checks whether the backend API is reachable.
+ * @returns {Promise<boolean>} True if the health check succeeds.
+ */
+async function checkBackend() {
+    if (!API_BASE || !window.fetch) return false;
+    try {
+        await apiRequest("/health", { timeout: 3000 });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Uploads a note record to the backend, creating or replacing it there.
+ * The content of a note edited live is saved by its live session instead.
+ * Failures are logged and leave the note saved in the browser only.
+ * @param {Object} record - The note record to upload.
+ * @returns {Promise<void>}
+ */
+async function pushNote(record) {
+    if (!workspace.online) return;
+    try {
+        await apiRequest(`/notes/${encodeURIComponent(record.id)}`, {
+            method: "PUT",
+            body: {
+                name: record.name,
+                document: live.connected && live.noteId === record.id ? undefined : record.data,
+                created_at: new Date(record.createdAt).toISOString(),
+                updated_at: new Date(record.updatedAt).toISOString()
+            }
+        });
+    } catch (error) {
+        console.warn("Could not save the note on the server", error);
+    }
+}
+
+/**
+ * Deletes a note on the server. Its tombstone in the deleted store is kept
+ * until the server no longer has the note, so a deletion made offline or
+ * during a failed request is pushed again by the next sync.
+ * @param {string} id - The ID of the deleted note.
+ * @returns {Promise<void>}
+ */
+async function pushDeletion(id) {
+    if (!workspace.online) return;
+    try {
+        await apiRequest(`/notes/${encodeURIComponent(id)}`, { method: "DELETE" });
+    } catch (error) {
+        if (error.status !== 404) {
+            console.warn("Could not delete the note on the server", error);
+            return;
+        }
+    }
+    await dbRequest(DELETED_STORE, "readwrite", store => store.delete(id));
+}
+
+/**
+ * Brings the browser and the server up to date with each other: notes deleted
+ * here are deleted there, notes that are newer on the server are downloaded,
+ * notes that are newer here are uploaded.
+ * @returns {Promise<void>}
+ */
+async function syncWithServer() {
+    const deletedIds = new Set(await dbRequest(DELETED_STORE, "readonly", store => store.getAllKeys()));
+    for (const id of deletedIds) await pushDeletion(id);
+
+    const remoteNotes = await apiRequest("/notes");
+    const remoteIds = new Set();
+
+    for (const summary of remoteNotes) {
+        remoteIds.add(summary.id);
+        if (deletedIds.has(summary.id)) continue;
+        const local = workspace.notes.find(note => note.id === summary.id);
+        const remoteUpdatedAt = Date.parse(summary.updated_at);
+
+        if (local && local.updatedAt >= remoteUpdatedAt) {
+            if (local.updatedAt > remoteUpdatedAt) await pushNote(local);
+            continue;
+        }
+
+        const remote = await apiRequest(`/notes/${encodeURIComponent(summary.id)}`);
+        const record = {
+            id: remote.id,
+            name: remote.name,
+            autoName: local?.autoName ?? false,
+            createdAt: Date.parse(remote.created_at),
+            updatedAt: remoteUpdatedAt,
+            data: remote.document,
+            bin: local?.bin || []
+        };
+        await dbRequest(NOTES_STORE, "readwrite", store => store.put(record));
+        workspace.notes = workspace.notes.filter(note => note.id !== record.id).concat(record);
+    }
+
+    for (const local of workspace.notes.filter(note => !remoteIds.has(note.id))) {
+        await pushNote(local);
+    }
+}
+
+// --------------------------------------------------------------------------
+// Live Collaboration
+// --------------------------------------------------------------------------
+
+// Delay between a local change and sending it to the other clients, and
+// between two cursor updates, in milliseconds.
+const LIVE_SYNC_DELAY = 150;
+const LIVE_PRESENCE_DELAY = 80;
+
+// Delay before reconnecting after the connection to the live session broke.
+const LIVE_RECONNECT_DELAY = 3000;
+
+// Elements of the Cornell sections, by entry key.
+const LIVE_SECTIONS = { heading: "headingText", cueText: "cueText", summary: "notesText" };
+
+/**
+ * Tells whether an entry holds text (a Cornell section or the HTML of a box),
+ * which is merged character by character rather than replaced whole.
+ * @param {string} key - The entry key.
+ * @returns {boolean} True for a text entry.
+ */
+function isLiveText(key) {
+    return Boolean(LIVE_SECTIONS[key]) || /^box:[^:]+:html$/.test(key);
+}
+
+/**
+ * Joins the live session of a note on the backend, so that every browser
+ * with the note open sees the changes of the others as they are made.
+ * Leaves the session of the previously open note.
+ * @param {string} noteId - The ID of the note.
+ */
+function joinLiveSession(noteId) {
+    leaveLiveSession();
+    if (!workspace.online || !window.WebSocket) return;
+
+    live.noteId = noteId;
+    connectLive();
+}
+
+/**
+ * Sends the changes not sent yet and closes the connection to the live session.
+ */
+function leaveLiveSession() {
+    sendLiveChanges();
+    clearTimeout(live.reconnectTimer);
+    const socket = live.socket;
+    Object.assign(live, { socket: null, noteId: null, connected: false });
+    socket?.close();
+
+    live.entries.clear();
+    live.synced.clear();
+    live.contested.clear();
+    live.peers.clear();
+    renderPeers();
+}
+
+/**
+ * Opens the WebSocket of the live session of the open note. A broken
+ * connection is retried; changes made meanwhile are sent on reconnection.
+ */
+function connectLive() {
+    const params = new URLSearchParams({ client: live.clientId, name: liveName() });
+    const url = `${API_BASE.replace(/^http/, "ws")}/notes/${encodeURIComponent(live.noteId)}/live?${params}`;
+    const socket = new WebSocket(url);
+    live.socket = socket;
+
+    socket.addEventListener("message", event => {
+        if (socket === live.socket) handleLiveMessage(JSON.parse(event.data));
+    });
+    socket.addEventListener("close", () => {
+        if (socket !== live.socket) return;
+        live.connected = false;
+        live.contested.clear();
+        live.peers.clear();
+        renderPeers();
+        live.reconnectTimer = setTimeout(connectLive, LIVE_RECONNECT_DELAY);
+    });
+}
+
+/**
+ * Handles a message of the live session (see routers/live.py in the backend).
+ * @param {Object} message - The parsed message.
+ */
+function handleLiveMessage(message) {
+    switch (message.type) {
+        case "welcome":
+            welcomeLive(message);
+            break;
+        case "ops":
+            receiveLiveOps(message.ops);
+            break;
+        case "renamed":
+            renameLiveBox(message);
+            break;
+        case "presence":
+            live.peers.set(message.client, message);
+            renderPeers();
+            break;
+        case "leave":
+            live.peers.delete(message.client);
+            renderPeers();
+            break;
+    }
+}
+
+/**
+ * Takes over the state of the note on the server when joining its session.
+ * After a reconnection, the changes made while disconnected win over it.
+ * The server answers with no state for a note it has never seen, which is
+ * then sent whole.
+ * @param {{state: Object|null, peers: Object[]}} message - The welcome message.
+ */
+function welcomeLive({ state, peers }) {
+    const offline = new Set(live.synced.size ? liveChanges().map(([key]) => key) : []);
+    live.connected = true;
+    live.peers = new Map(peers.map(peer => [peer.client, peer]));
+    live.entries = new Map(Object.entries(state || {}));
+    live.entries.forEach(({ stamp }) => { live.clock = Math.max(live.clock, stamp[0]); });
+
+    if (state) {
+        const local = liveEntries();
+        applyLiveEntries([...new Set([...live.entries.keys(), ...local.keys()])]
+            .filter(key => !offline.has(key))
+            .filter(key => liveJson(live.entries.get(key)?.value) !== liveJson(local.get(key))));
+        offline.forEach(key => live.synced.set(key, liveJson(live.entries.get(key)?.value)));
+    } else {
+        live.synced.clear();
+    }
+    sendLiveChanges();
+    sendPresence();
+    renderPeers();
+}
+
+/**
+ * Returns the entries of the open note by key: "heading", "cueText", "summary",
+ * "box:<id>" (the ID of the client that created the box), "box:<id>:html",
+ * "box:<id>:position", "box:<id>:color", "box:<id>:note", "box:<id>:collapsed"
+ * and "link:<line id>". AI proposals are only shared once accepted.
+ * @returns {Map<string, *>} The value of each entry.
+ */
+function liveEntries() {
+    const note = serializeNote();
+    const entries = new Map(Object.keys(LIVE_SECTIONS).map(key => [key, note[key]]));
+    note.boxes.forEach(box => {
+        entries.set(`box:${box.id}`, live.entries.get(`box:${box.id}`)?.value || live.clientId);
+        entries.set(`box:${box.id}:html`, box.html);
+        entries.set(`box:${box.id}:position`, [box.style.left, box.style.top]);
+        entries.set(`box:${box.id}:color`, box.style.backgroundColor);
+        entries.set(`box:${box.id}:note`, box.note || null);
+        entries.set(`box:${box.id}:collapsed`, Boolean(box.collapsed));
+    });
+    note.links.forEach(({ id, ...details }) => entries.set(`link:${id}`, details));
+    return entries;
+}
+
+/**
+ * Returns the entries whose value changed since they were last synced. The
+ * fields of a deleted box are left alone, so it can be restored with them.
+ * @returns {Array<[string, *]>} The changed keys and their new value (null when removed).
+ */
+function liveChanges() {
+    const local = liveEntries();
+    const removable = [...live.synced.keys()].filter(key => !/^box:[^:]+:/.test(key));
+    return [...new Set([...local.keys(), ...removable])]
+        .map(key => [key, local.get(key) ?? null])
+        .filter(([key, value]) => liveJson(value) !== live.synced.get(key));
+}
+
+/**
+ * Serializes the value of an entry for comparison, a missing value being null.
+ * @param {*} value - The value.
+ * @returns {string} The JSON of the value.
+ */
+function liveJson(value) {
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Sends the local changes to the other clients shortly, at most once per LIVE_SYNC_DELAY.
+ * Called on every autosave and while dragging boxes.
+ */
+function scheduleLiveSync() {
+    if (!live.connected || live.syncTimer) return;
+    live.syncTimer = setTimeout(sendLiveChanges, LIVE_SYNC_DELAY);
+}
+
+/**
+ * Stamps the local changes with the next value of the Lamport clock and sends
+ * them. Changed text is sent as the characters deleted and inserted (see liveTextOps).
+ */
+function sendLiveChanges() {
+    clearTimeout(live.syncTimer);
+    live.syncTimer = null;
+    if (!live.connected) return;
+
+    const ops = liveChanges().flatMap(([key, value]) => {
+        live.synced.set(key, liveJson(value));
+        if (isLiveText(key)) return liveTextOps(key, value ?? "");
+
+        const stamp = [++live.clock, live.clientId];
+        live.entries.set(key, { value, stamp });
+        return [{ key, value, stamp }];
+    });
+    if (ops.length) live.socket.send(JSON.stringify({ type: "ops", ops }));
+}
+
+/**
+ * Returns a text entry, created empty if missing.
+ * @param {string} key - The entry key.
+ * @returns {{value: string, stamp: [number, string], chars: Array}} The entry.
+ */
+function liveTextEntry(key) {
+    if (!live.entries.has(key)) live.entries.set(key, { value: "", stamp: [0, ""], chars: [] });
+    return live.entries.get(key);
+}
+
+/**
+ * Turns a change of a text entry into ops and applies them to the entry: the
+ * characters between the unchanged start and end of the text are deleted, and
+ * the new ones inserted after the character before them.
+ * @param {string} key - The key of the text entry.
+ * @param {string} text - The new text.
+ * @returns {Array<{key: string, value: Object, stamp: [number, string]}>} The ops.
+ */
+function liveTextOps(key, text) {
+    const entry = liveTextEntry(key);
+    const visible = entry.chars.filter(char => !char[3]);
+    const next = Array.from(text);
+    let start = 0;
+    while (start < visible.length && start < next.length && visible[start][2] === next[start]) start++;
+    let end = 0;
+    while (end < visible.length - start && end < next.length - start
+        && visible[visible.length - 1 - end][2] === next[next.length - 1 - end]) end++;
+
+    const ops = [];
+    const deleted = visible.slice(start, visible.length - end);
+    if (deleted.length) {
+        ops.push({ key, value: { delete: deleted.map(char => char.slice(0, 2)) }, stamp: [++live.clock, live.clientId] });
+    }
+    const inserted = next.slice(start, next.length - end);
+    if (inserted.length) {
+        const after = start ? visible[start - 1].slice(0, 2) : null;
+        ops.push({ key, value: { after, text: inserted.join("") }, stamp: [live.clock + 1, live.clientId] });
+        live.clock += inserted.length;
+    }
+    ops.forEach(op => mergeLiveText(entry, op));
+    return ops;
+}
+
+/**
+ * Applies a text op to a text entry, like merge_text in routers/live.py. Each
+ * character is kept as [clock, client ID, character, deleted]; the characters
+ * of an insertion get the IDs [clock, client], [clock + 1, client], ... from
+ * its stamp. They are placed after the character they follow, but after the
+ * characters with a higher ID following it too, so every client orders
+ * insertions made at the same place the same way.
+ * @param {{value: string, stamp: [number, string], chars: Array}} entry - The text entry.
+ * @param {{value: Object, stamp: [number, string]}} op - The insertion or deletion.
+ * @returns {boolean} Whether the op changed the text.
+ */
+function mergeLiveText(entry, { value, stamp }) {
+    const { chars } = entry;
+    const hasId = id => char => char[0] === id[0] && char[1] === id[1];
+    let [clock, client] = stamp;
+
+    if (value.delete) {
+        const ids = new Set(value.delete.map(liveJson));
+        const deleted = chars.filter(char => !char[3] && ids.has(liveJson(char.slice(0, 2))));
+        if (!deleted.length) return false;
+        deleted.forEach(char => { char[3] = true; });
+    } else {
+        let index = value.after ? chars.findIndex(hasId(value.after)) + 1 : 0;
+        if (chars.some(hasId(stamp)) || (value.after && !index)) return false;
+
+        const characters = Array.from(value.text);
+        characters.forEach((character, offset) => {
+            const id = [clock + offset, client];
+            while (index < chars.length && compareStamps(chars[index], id) > 0) index++;
+            chars.splice(index++, 0, [...id, character, false]);
+        });
+        clock += characters.length - 1;
+    }
+
+    entry.value = chars.filter(char => !char[3]).map(char => char[2]).join("");
+    if (compareStamps([clock, client], entry.stamp) > 0) entry.stamp = [clock, client];
+    return true;
+}
+
+/**
+ * Compares two stamps: the higher clock wins, then the higher client ID.
+ * @param {[number, string]} a - The first stamp.
+ * @param {[number, string]} b - The second stamp.
+ * @returns {number} A positive number if a wins, a negative one if b wins, 0 if equal.
+ */
+function compareStamps(a, b) {
+    return a[0] - b[0] || (a[1] > b[1]) - (a[1] < b[1]);
+}
+
+/**
+ * Returns the IDs of the boxes an entry belongs to: one for a box field, two for a link.
+ * @param {string} key - The entry key.
+ * @returns {string[]} The box IDs.
+ */
+function liveBoxIds(key) {
+    const [kind, id] = key.split(":");
+    if (kind === "box") return [id];
+    return kind === "link" ? id.split("_") : [];
+}
+
+/**
+ * Merges changes of another client into the open note. Local changes are sent
+ * first, so nothing typed meanwhile is lost: text is merged character by
+ * character, the other entries keep the change with the highest stamp. A box
+ * created here with the same ID as a box created elsewhere first is about to
+ * get a new ID from the server (see renameLiveBox); until then, changes to the
+ * other box are ignored.
+ * @param {Array<{key: string, value: *, stamp: [number, string]}>} ops - The changes.
+ */
+function receiveLiveOps(ops) {
+    sendLiveChanges();
+
+    ops.forEach(({ key, value }) => {
+        const [id] = liveBoxIds(key);
+        if (/^box:[^:]+$/.test(key) && value && value !== live.clientId
+            && live.entries.get(key)?.value === live.clientId && boxes.has(id)) {
+            live.contested.add(id);
+        }
+    });
+
+    const applied = ops.filter(({ key, value, stamp }) => {
+        if (liveBoxIds(key).some(id => live.contested.has(id))) return false;
+
+        live.clock = Math.max(live.clock, stamp[0] + (value?.text ? Array.from(value.text).length - 1 : 0));
+        if (isLiveText(key)) return mergeLiveText(liveTextEntry(key), { value, stamp });
+        const current = live.entries.get(key);
+        if (current && compareStamps(stamp, current.stamp) <= 0) return false;
+        live.entries.set(key, { value, stamp });
+        return true;
     });
+    applyLiveEntries(applied.map(({ key }) => key));
+}
+
+/**
+ * Moves a box created here to the ID the server gave it because another
+ * client created a box with the same ID first, then merges the box of that
+ * client, which the server sends along, taking over its text entries whole.
+ * @param {{from: string, to: string, entries: Object}} message - The renamed message.
+ */
+function renameLiveBox({ from, to, entries }) {
+    const renamed = id => (id === from ? to : id);
+    const renameKey = key => {
+        if (!liveBoxIds(key).includes(from)) return key;
+        const [kind, id, field] = key.split(":");
+        if (kind === "link") return `link:${getLineId(...id.split("_").map(renamed))}`;
+        return ["box", to, field].filter(Boolean).join(":");
+    };
+    const renameLink = details => details && { ...details, source: renamed(details.source), target: renamed(details.target) };
+
+    const box = boxes.get(from)?.box;
+    if (box) {
+        const snapshot = snapshotBox(box);
+        withoutHistory(() => removeBox(box));
+        rebuildBox({ ...snapshot, id: to, links: snapshot.links.map(renameLink) });
+    }
+
+    [...live.entries].filter(([key]) => renameKey(key) !== key).forEach(([key, entry]) => {
+        live.entries.delete(key);
+        live.entries.set(renameKey(key), key.startsWith("link:") ? { ...entry, value: renameLink(entry.value) } : entry);
+    });
+    [...live.synced].filter(([key]) => renameKey(key) !== key).forEach(([key, json]) => {
+        live.synced.delete(key);
+        live.synced.set(renameKey(key), key.startsWith("link:") ? liveJson(renameLink(JSON.parse(json))) : json);
+    });
+
+    live.socket.send(JSON.stringify({ type: "renamed", from }));
+    live.contested.delete(from);
+    const texts = Object.keys(entries).filter(isLiveText);
+    texts.forEach(key => live.entries.set(key, entries[key]));
+    receiveLiveOps(Object.entries(entries)
+        .filter(([key]) => !isLiveText(key))
+        .map(([key, { value, stamp }]) => ({ key, value, stamp })));
+    applyLiveEntries(texts);
+}
+
+/**
+ * Shows the merged value of some entries on the page, without recording
+ * history, then marks the page as synced with them.
+ * @param {string[]} keys - The keys of the entries to show.
+ */
+function applyLiveEntries(keys) {
+    const order = key => (/^box:[^:]+$/.test(key) ? 0 : key.startsWith("link:") ? 2 : 1);
+    withoutHistory(() => deferCollapsedUpdates(() => {
+        keys.slice()
+            .sort((a, b) => order(a) - order(b))
+            .forEach(key => applyLiveEntry(key, live.entries.get(key)?.value ?? null));
+
+        // Links whose boxes were created after them.
+        live.entries.forEach(({ value }, key) => {
+            if (key.startsWith("link:") && value && !document.getElementById(key.slice(5))) {
+                newLine(value.source, value.target, value);
+            }
+        });
+    }));
+
+    const local = liveEntries();
+    live.synced.forEach((json, key) => {
+        if (!local.has(key) && !/^box:[^:]+:/.test(key)) live.synced.set(key, "null");
+    });
+    local.forEach((value, key) => live.synced.set(key, liveJson(value)));
+    if (keys.length) {
+        renderPeers();
+        scheduleMinimap();
+        scheduleAutosave();
+    }
+}
+
+/**
+ * Shows the value of an entry on the page.
+ * @param {string} key - The entry key.
+ * @param {*} value - The value, null for a deleted box or link.
+ */
+function applyLiveEntry(key, value) {
+    const [kind, id, field] = key.split(":");
+    if (LIVE_SECTIONS[kind]) {
+        setLiveHtml(document.getElementById(LIVE_SECTIONS[kind]), value || "");
+        return;
+    }
+    if (kind === "link") {
+        const line = document.getElementById(id);
+        if (!value) {
+            if (line) deleteLine(line);
+        } else if (line) {
+            setLinkDetails(id, value);
+        } else {
+            newLine(value.source, value.target, value);
+        }
+        return;
+    }
+
+    const box = boxes.get(id)?.box;
+    if (!field) {
+        if (!value && box) removeBox(box);
+        if (value && !box) {
+            const fieldValue = name => live.entries.get(`${key}:${name}`)?.value;
+            const [left, top] = fieldValue("position") || [];
+            buildBox({ id, html: fieldValue("html") || "", style: { left, top, backgroundColor: fieldValue("color") }, note: fieldValue("note"), collapsed: fieldValue("collapsed") });
+        }
+        return;
+    }
+    if (box && field === "note") {
+        if (value) box.dataset.note = value;
+        else delete box.dataset.note;
+    }
+    if (!box || value === null) return;
+
+    if (field === "html") setLiveHtml(box, value);
+    if (field === "color") box.style.backgroundColor = value;
+    if (field === "collapsed") {
+        if (value) box.dataset.collapsed = "true";
+        else delete box.dataset.collapsed;
+        refreshCollapsed();
+    }
+    if (field === "position") {
+        [box.style.left, box.style.top] = value;
+        updateLinesPosition(box);
+    }
+}
+
+/**
+ * Replaces the content of a box or Cornell section, keeping the caret in
+ * place if it is being edited: it moves along with text inserted or deleted
+ * before it.
+ * @param {HTMLElement} el - The box or section.
+ * @param {string} html - The new content HTML.
+ */
+function setLiveHtml(el, html) {
+    const editing = document.activeElement === el;
+    const caret = editing ? caretOffset(el) : null;
+    const text = el.textContent;
+
+    if (el.classList.contains("box")) {
+        setBoxHtml(el, html);
+        updateLinesPosition(el);
+    } else {
+        el.innerHTML = sanitizeHtml(html);
+        rehydrateHighlights(el);
+        el.classList.toggle("is-empty", !el.textContent.trim());
+    }
+    textBaselines.set(el, el.innerHTML);
+    if (!editing) return;
+
+    let same = 0;
+    while (same < caret && text[same] === el.textContent[same]) same++;
+    placeCaret(el, same < caret ? Math.max(same, caret + el.textContent.length - text.length) : caret);
+}
+
+/**
+ * Returns the position of the caret in an element, counted in characters.
+ * @param {HTMLElement} el - The element holding the caret.
+ * @returns {number} The number of characters before the caret.
+ */
+function caretOffset(el) {
+    const range = window.getSelection()?.rangeCount ? window.getSelection().getRangeAt(0) : null;
+    if (!range || !el.contains(range.startContainer)) return 0;
+
+    const before = document.createRange();
+    before.selectNodeContents(el);
+    before.setEnd(range.startContainer, range.startOffset);
+    return before.toString().length;
+}
+
+/**
+ * Puts the caret at a character position in an element.
+ * @param {HTMLElement} el - The element.
+ * @param {number} offset - The number of characters before the caret.
+ */
+function placeCaret(el, offset) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+
+    let remaining = offset;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (remaining <= node.length) {
+            range.setStart(node, remaining);
+            range.collapse(true);
+            break;
+        }
+        remaining -= node.length;
+    }
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+}
+
+/**
+ * Returns the name shown to the other clients next to this page's cursor.
+ * @returns {string} The chosen name, or a guest name.
+ */
+function liveName() {
+    return live.name || `Guest ${live.clientId.slice(0, 4)}`;
+}
+
+/**
+ * Asks for the name shown to the other clients and remembers it.
+ */
+function setLiveName() {
+    const name = prompt("Your name, shown to the people editing with you", liveName())?.trim();
+    if (!name) return;
+
+    live.name = name.slice(0, 40);
+    localStorage.setItem("treenotes-name", live.name);
+    sendPresence();
+}
+
+/**
+ * Sends the position of the cursor on the canvas and the selected and edited
+ * boxes to the other clients, at most once per LIVE_PRESENCE_DELAY.
+ */
+function sendPresence() {
+    if (!live.connected || live.presenceTimer) return;
+
+    live.presenceTimer = setTimeout(() => {
+        live.presenceTimer = null;
+        if (!live.connected) return;
+
+        const editing = document.activeElement?.closest?.("#boxes .box");
+        live.socket.send(JSON.stringify({
+            type: "presence",
+            name: liveName(),
+            cursor: live.cursor,
+            selection: [...new Set([...selection, ...(editing ? [editing.id] : [])])]
+        }));
+    }, LIVE_PRESENCE_DELAY);
+}
+
+/**
+ * Draws the cursors of the other clients on the canvas, outlines the boxes
+ * they select or edit in their color and lists them in the tree toolbar.
+ */
+function renderPeers() {
+    const peers = [...live.peers.values()];
+
+    document.getElementById("liveCursors").replaceChildren(...peers
+        .filter(peer => peer.cursor)
+        .map(peer => {
+            const cursor = document.createElement("div");
+            cursor.className = "live-cursor";
+            cursor.dataset.name = peer.name;
+            cursor.style.left = `${peer.cursor[0]}px`;
+            cursor.style.top = `${peer.cursor[1]}px`;
+            cursor.style.setProperty("--peer-color", peer.color);
+            return cursor;
+        }));
+
+    boxes.forEach(({ box }, id) => {
+        const peer = peers.find(({ selection }) => selection?.includes(id));
+        box.classList.toggle("remote-selected", Boolean(peer));
+        if (peer) box.style.setProperty("--peer-color", peer.color);
+        else box.style.removeProperty("--peer-color");
+    });
+
+    const list = document.getElementById("livePeers");
+    list.hidden = !live.connected;
+    list.title = peers.length ? `Editing with ${peers.map(peer => peer.name).join(", ")}` : "Nobody else has this note open";
+    list.replaceChildren(...peers.map(peer => {
+        const badge = document.createElement("span");
+        badge.className = "live-peers__peer";
+        badge.textContent = peer.name.trim().charAt(0).toUpperCase();
+        badge.title = peer.name;
+        badge.style.backgroundColor = peer.color;
+        return badge;
+    }));
+}
+
+/**
+ * Shares the cursor position and the edited box with the other clients.
+ */
+function initLive() {
+    const tree = document.querySelector("#tree .container");
+    tree.addEventListener("pointermove", event => {
+        live.cursor = screenToCanvas(event.clientX, event.clientY).map(Math.round);
+        sendPresence();
+    });
+    tree.addEventListener("pointerleave", () => {
+        live.cursor = null;
+        sendPresence();
+    });
+    document.addEventListener("focusin", sendPresence);
+    document.addEventListener("focusout", sendPresence);
+}
+
+// --------------------------------------------------------------------------
+// AI Concept Extraction
+// --------------------------------------------------------------------------
+
+/**
+ * Sends the heading, cue column and summary to the backend, which asks a local
+ * Ollama model for key concepts and their relationships. The answer is added to
+ * the tree as proposed boxes and lines that can be accepted or rejected one by one.
+ * @returns {Promise<void>}
+ */
+async function ai() {
+    togglePanel("aiPanel", true);
+
+    if (!workspace.online) {
+        setAiStatus("The AI tools need the TreeNotes server, which is not reachable.");
+        return;
+    }
+    if (aiProposals.busy) return;
+
+    aiProposals.busy = true;
+    setAiStatus("✨ Looking for key concepts…");
+    try {
+        const result = await apiRequest("/ai/concepts", {
+            method: "POST",
+            body: {
+                heading: document.getElementById("headingText").innerText.trim(),
+                cueText: document.getElementById("cueText").innerText.trim(),
+                summary: document.getElementById("notesText").innerText.trim(),
+                boxes: [...boxes.values()]
+                    .filter(({ box }) => !aiProposals.boxes.has(box.id))
+                    .map(({ box }) => ({ id: box.id, text: htmlToText(getBoxHtml(box)) }))
+            },
+            timeout: 180000
+        });
+        proposeConcepts(result);
+        setAiStatus(result.concepts.length ? "" : "No new concepts found.");
+    } catch (error) {
+        console.warn("AI concept extraction failed", error);
+        setAiStatus(`Could not get suggestions: ${error.message}`);
+    } finally {
+        aiProposals.busy = false;
+    }
+}
+
+/**
+ * Asks the backend to analyze the text of all boxes and suggest missing links.
+ * Suggestions are drawn as dashed lines that can be accepted or rejected;
+ * rejected pairs are never suggested again for this note.
+ * @returns {Promise<void>}
+ */
+async function suggestLinks() {
+    togglePanel("aiPanel", true);
+
+    if (!workspace.online) {
+        setAiStatus("The AI tools need the TreeNotes server, which is not reachable.");
+        return;
+    }
+    if (aiProposals.busy) return;
+
+    const regularBoxes = [...boxes.values()].filter(({ box }) => !aiProposals.boxes.has(box.id));
+    const toPair = lineId => {
+        const [source, target] = lineId.split("_");
+        return { source, target };
+    };
+
+    aiProposals.busy = true;
+    setAiStatus("🔗 Looking for missing links…");
+    try {
+        const result = await apiRequest("/ai/links", {
+            method: "POST",
+            body: {
+                boxes: regularBoxes.map(({ box }) => ({ id: box.id, text: htmlToText(getBoxHtml(box)) })),
+                links: Array.from(document.querySelectorAll(".line"))
+                    .filter(line => !aiProposals.lines.has(line.id))
+                    .map(line => toPair(line.id)),
+                rejected: [...aiProposals.rejectedLinks].map(toPair)
+            },
+            timeout: 180000
+        });
+        result.suggestions.forEach(showSuggestion);
+        renderProposals();
+        setAiStatus(result.suggestions.length ? "" : "No missing links found.");
+    } catch (error) {
+        console.warn("AI link suggestions failed", error);
+        setAiStatus(`Could not get suggestions: ${error.message}`);
+    } finally {
+        aiProposals.busy = false;
+    }
+}
+
+/**
+ * Draws a suggested link as a dashed line with the reason as its tooltip.
+ * Pairs that are already linked, already suggested or rejected are skipped.
+ * @param {{source: string, target: string, reason: string}} suggestion - The suggested link.
+ */
+function showSuggestion({ source, target, reason }) {
+    const lineId = getLineId(source, target);
+    const [a, b] = lineId.split("_");
+    if (!boxes.has(a) || !boxes.has(b)) return;
+    if (document.getElementById(lineId) || aiProposals.suggestions.has(lineId) || aiProposals.rejectedLinks.has(lineId)) return;
+
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    line.setAttribute("id", `suggested-${lineId}`);
+    line.setAttribute("class", "suggested-line");
+    line.dataset.a = a;
+    line.dataset.b = b;
+
+    const title = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    title.textContent = reason || "Suggested link";
+    line.appendChild(title);
+
+    const [x1, y1] = getBoxCoords(boxes.get(a).box);
+    const [x2, y2] = getBoxCoords(boxes.get(b).box);
+    updateLinePosition(line, x1, y1, x2, y2);
+    document.getElementById("lines").appendChild(line);
+
+    aiProposals.suggestions.set(lineId, { a, b, reason });
+}
+
+/**
+ * Removes a suggested link from the canvas and from the pending suggestions.
+ * @param {string} lineId - The line ID of the suggestion.
+ */
+function removeSuggestion(lineId) {
+    document.getElementById(`suggested-${lineId}`)?.remove();
+    aiProposals.suggestions.delete(lineId);
+}
+
+/**
+ * Accepts a suggested link: it becomes a real line.
+ * @param {string} lineId - The line ID of the suggestion.
+ */
+function acceptSuggestion(lineId) {
+    const suggestion = aiProposals.suggestions.get(lineId);
+    if (!suggestion) return;
+
+    removeSuggestion(lineId);
+    newLine(suggestion.a, suggestion.b);
+    renderProposals();
+}
+
+/**
+ * Rejects a suggested link and remembers not to suggest it again for this note.
+ * @param {string} lineId - The line ID of the suggestion.
+ */
+function rejectSuggestion(lineId) {
+    if (!aiProposals.suggestions.has(lineId)) return;
+
+    removeSuggestion(lineId);
+    aiProposals.rejectedLinks.add(lineId);
+    scheduleAutosave();
+    renderProposals();
+}
+
+/**
+ * Adds concepts and relationships returned by the AI as proposed boxes and lines.
+ * New boxes are stacked in a column to the right of the existing tree.
+ * Proposals are not part of the undo history or the saved note until accepted.
+ * @param {{concepts: {id: string, label: string, description: string}[], relationships: {source: string, target: string, label: string}[]}} result
+ */
+function proposeConcepts(result) {
+    const right = Math.max(0, ...[...boxes.values()].map(({ box }) => box.offsetLeft + box.offsetWidth));
+    const idsByConcept = new Map();
+
+    withoutHistory(() => {
+        result.concepts.forEach((concept, index) => {
+            const box = createNewBlock(right + 80, LAYOUT_MARGIN + index * 90, "");
+            const description = concept.description ? `<br>${escapeHtml(concept.description)}` : "";
+            setBoxHtml(box, `<b>${escapeHtml(concept.label)}</b>${description}`);
+            box.classList.add("proposed");
+            idsByConcept.set(concept.id, box.id);
+            aiProposals.boxes.set(box.id, { label: concept.label });
+        });
 
-    // Event listener for the "addBox" button
-    document.getElementById("addBox").addEventListener("click", e => {
-        const box = document.getElementById(e.target.parentNode.dataset.boxId);
-        addBlock(box);
-    });
+        result.relationships.forEach(({ source, target, label }) => {
+            const a = idsByConcept.get(source) || source;
+            const b = idsByConcept.get(target) || target;
+            if (!boxes.has(a) || !boxes.has(b) || document.getElementById(getLineId(a, b))) return;
 
-    // Event listener for the "deleteBox" button
-    document.getElementById("deleteBox").addEventListener("click", e => {
-        const box = document.getElementById(e.target.parentNode.dataset.boxId);
-        deleteBox(box);
+            const line = newLine(a, b, { directed: true, label });
+            line.classList.add("proposed");
+            aiProposals.lines.set(line.id, { a, b, label });
+        });
     });
-}
 
+    renderProposals();
+}
 
-// --------------------------------------------------------------------------
-// Text Highlighting and Link Styling
-// --------------------------------------------------------------------------
+/**
+ * Accepts a proposed box: it becomes a regular box of the note.
+ * @param {string} id - The ID of the proposed box.
+ */
+function acceptProposedBox(id) {
+    const box = document.getElementById(id);
+    if (!aiProposals.boxes.delete(id) || !box) return;
+
+    box.classList.remove("proposed");
+    let snapshot;
+    recordHistory({
+        label: "Accept suggestion",
+        undo: () => {
+            const accepted = document.getElementById(id);
+            snapshot = snapshotBox(accepted);
+            removeBox(accepted);
+        },
+        redo: () => rebuildBox(snapshot)
+    });
+    renderProposals();
+}
 
 /**
- * Adds mouseenter and mouseleave event listeners to a span element to apply a glow effect
- * to the associated box.
- * @param {HTMLElement} span - The span element that triggers the glow.
- * @param {string} color - The color of the glow effect.
+ * Accepts a proposed line, accepting its proposed end boxes first.
+ * @param {string} lineId - The ID of the proposed line.
  */
-function addGlow(span, color) {
-    span.addEventListener("mouseenter", e => glowBox(e));
-    span.addEventListener("mouseleave", e => noGlowBox(e));
+function acceptProposedLine(lineId) {
+    const proposal = aiProposals.lines.get(lineId);
+    if (!proposal) return;
 
-    function glowBox(e) {
-        const id = e.target.dataset?.boxId;
-        document.documentElement.style.setProperty("--glow-color", color);
-        document.getElementById(id)?.classList.add("glow");
-    }
+    historyBatch("Accept suggestion", () => {
+        [proposal.a, proposal.b].forEach(id => {
+            if (aiProposals.boxes.has(id)) acceptProposedBox(id);
+        });
 
-    function noGlowBox(e) {
-        const id = e.target.dataset?.boxId;
-        document.getElementById(id)?.classList.remove("glow");
-    }
+        aiProposals.lines.delete(lineId);
+        document.getElementById(lineId)?.classList.remove("proposed");
+        recordHistory({
+            label: "Link boxes",
+            undo: () => deleteLine(document.getElementById(lineId)),
+            redo: () => newLine(proposal.a, proposal.b, { directed: true, label: proposal.label })
+        });
+    });
+    renderProposals();
 }
 
-// --------------------------------------------------------------------------
-// Dropdown Menu for Connecting Boxes
-// --------------------------------------------------------------------------
+/**
+ * Rejects a proposed box and the proposed lines attached to it.
+ * @param {string} id - The ID of the proposed box.
+ */
+function rejectProposedBox(id) {
+    if (!aiProposals.boxes.delete(id)) return;
 
-// Toggle the dropdown visibility when the button is hovered over
-document.querySelector(".dropdown-button").addEventListener('mouseover', e => {
-    const dropdown = e.currentTarget.closest(".dropdown");
-    const container = dropdown.querySelector(".dropdown-content");
-    const toolbar = dropdown.closest(".toolbar");
-    const boxId = toolbar?.dataset.boxId;
+    aiProposals.lines.forEach(({ a, b }, lineId) => {
+        if (a === id || b === id) aiProposals.lines.delete(lineId);
+    });
+    const box = document.getElementById(id);
+    if (box) withoutHistory(() => removeBox(box));
+    renderProposals();
+}
 
-    if (!boxId || !boxes.has(boxId)) return;
+/**
+ * Rejects a proposed line.
+ * @param {string} lineId - The ID of the proposed line.
+ */
+function rejectProposedLine(lineId) {
+    if (!aiProposals.lines.delete(lineId)) return;
 
-    container.innerHTML = "";
+    const line = document.getElementById(lineId);
+    if (line) withoutHistory(() => deleteLine(line));
+    renderProposals();
+}
 
-    const connectedIds = new Set((boxes.get(boxId)?.lines || []).map(String));
+/**
+ * Accepts every pending proposal as a single undo step.
+ */
+function acceptAllProposals() {
+    historyBatch("Accept suggestions", () => {
+        [...aiProposals.boxes.keys()].forEach(acceptProposedBox);
+        [...aiProposals.lines.keys()].forEach(acceptProposedLine);
+        [...aiProposals.suggestions.keys()].forEach(acceptSuggestion);
+    });
+}
 
-    Array.from(boxes.keys())
-        .filter(id => id !== boxId)
-        .sort((a, b) => Number(a) - Number(b))
-        .forEach(id => {
-            const item = document.createElement("div");
-            item.className = "dropdown-item";
+/**
+ * Rejects every pending proposal.
+ */
+function rejectAllProposals() {
+    [...aiProposals.lines.keys()].forEach(rejectProposedLine);
+    [...aiProposals.boxes.keys()].forEach(rejectProposedBox);
+    [...aiProposals.suggestions.keys()].forEach(rejectSuggestion);
+}
 
-            const lesser = String(Math.min(Number(boxId), Number(id)));
-            const greater = String(Math.max(Number(boxId), Number(id)));
-            const lineId = `${lesser}_${greater}`;
-            const isConnected = connectedIds.has(String(id));
+/**
+ * Shows a status message above the list of proposals.
+ * @param {string} message - The message, or an empty string to hide it.
+ */
+function setAiStatus(message) {
+    const status = document.getElementById("aiStatus");
+    status.textContent = message;
+    status.hidden = !message;
+}
 
-            item.dataset.a = lesser;
-            item.dataset.b = greater;
-            item.dataset.c = isConnected ? "1" : "0";
-            item.textContent = `Box# ${id}${isConnected ? " ✅" : ""}`;
+/**
+ * Re-renders the list of pending proposals in the AI panel. Proposals whose
+ * box or line was removed in the meantime are dropped.
+ */
+function renderProposals() {
+    const list = document.getElementById("aiList");
+    if (!list) return;
 
-            item.addEventListener("click", evt => {
-                const { a, b, c } = evt.currentTarget.dataset;
-                if (c === "1") {
-                    const existingLine = document.getElementById(`${a}_${b}`);
-                    if (existingLine) deleteLine(existingLine);
-                } else {
-                    newLine(a, b);
-                }
-            });
+    aiProposals.boxes.forEach((_, id) => {
+        if (!boxes.has(id)) aiProposals.boxes.delete(id);
+    });
+    aiProposals.lines.forEach((_, lineId) => {
+        if (!document.getElementById(lineId)) aiProposals.lines.delete(lineId);
+    });
+    aiProposals.suggestions.forEach(({ a, b }, lineId) => {
+        if (!boxes.has(a) || !boxes.has(b) || document.getElementById(lineId)) removeSuggestion(lineId);
+    });
 
-            container.appendChild(item);
+    list.innerHTML = "";
+    const hasProposals = aiProposals.boxes.size + aiProposals.lines.size + aiProposals.suggestions.size > 0;
+    document.getElementById("aiAcceptAll").disabled = !hasProposals;
+    document.getElementById("aiRejectAll").disabled = !hasProposals;
+
+    const boxLabel = id => aiProposals.boxes.get(id)?.label || htmlToText(getBoxHtml(boxes.get(id).box)) || `Box# ${id}`;
+    const addItem = (text, detail, onAccept, onReject, glowIds) => {
+        const item = document.createElement("div");
+        item.className = "bin-item";
+
+        const details = document.createElement("div");
+        details.className = "bin-item__details";
+        const title = document.createElement("strong");
+        title.textContent = text;
+        const meta = document.createElement("small");
+        meta.textContent = detail;
+        details.append(title, meta);
+
+        const accept = document.createElement("button");
+        accept.type = "button";
+        accept.title = "Accept";
+        accept.textContent = "✔";
+        accept.addEventListener("click", onAccept);
+
+        const reject = document.createElement("button");
+        reject.type = "button";
+        reject.title = "Reject";
+        reject.textContent = "✖";
+        reject.addEventListener("click", onReject);
+
+        item.addEventListener("mouseenter", () => {
+            document.documentElement.style.setProperty("--glow-color", "#6366f1");
+            glowIds.forEach(id => document.getElementById(id)?.classList.add("glow"));
+        });
+        item.addEventListener("mouseleave", () => {
+            glowIds.forEach(id => document.getElementById(id)?.classList.remove("glow"));
         });
 
-    dropdown.classList.add("show");
-});
+        item.append(details, accept, reject);
+        list.appendChild(item);
+    };
 
-document.getElementById("link").addEventListener('mouseleave', () => {
-    document.getElementById("link").classList.remove("show");
-});
+    aiProposals.boxes.forEach(({ label }, id) => {
+        addItem(`📦 ${label}`, `New box #${id}`, () => acceptProposedBox(id), () => rejectProposedBox(id), [id]);
+    });
+    aiProposals.lines.forEach(({ a, b, label }, lineId) => {
+        addItem(`🖇️ ${boxLabel(a)} — ${boxLabel(b)}`, label || "New link", () => acceptProposedLine(lineId), () => rejectProposedLine(lineId), [a, b]);
+    });
+    aiProposals.suggestions.forEach(({ a, b, reason }, lineId) => {
+        addItem(`🔗 ${boxLabel(a)} — ${boxLabel(b)}`, reason || "Suggested link", () => acceptSuggestion(lineId), () => rejectSuggestion(lineId), [a, b]);
+    });
 
+    if (!hasProposals) {
+        const empty = document.createElement("p");
+        empty.className = "side-panel__empty";
+        empty.textContent = "No suggestions to review.";
+        list.appendChild(empty);
+    }
+}
 
 // --------------------------------------------------------------------------
-// Color Conversion Functions
+// Search
 // --------------------------------------------------------------------------
 
+// How long a box found by search keeps glowing, in milliseconds.
+const SEARCH_GLOW_MS = 2500;
+
 /**
- * Converts a color string (hex, rgb, or hsl) to its hexadecimal representation.
- * Returns '#f1f1f1' for invalid color formats.
- * @param {string} color - The color string to convert.
- * @returns {string} The hexadecimal representation of the color.
+ * Searches every saved note. Uses the backend's semantic search (embeddings from
+ * a local model) when available and falls back to keyword search otherwise.
+ * @param {string} query - The search query.
+ * @returns {Promise<{mode: "semantic"|"keyword", results: {noteId: string, noteName: string, boxId: string|null, text: string, score: number}[]}>}
  */
-function colorToHex(color) {
-    if (typeof color !== "string") {
-        return "#f1f1f1";
-    }
+async function searchNotes(query) {
+    if (workspace.currentId) await saveCurrentNote();
 
-    const normalized = color.trim();
-
-    if (!normalized) {
-        return "#f1f1f1";
+    if (workspace.online) {
+        try {
+            const { results } = await apiRequest("/search", { method: "POST", body: { query, limit: 20 }, timeout: 60000 });
+            return {
+                mode: "semantic",
+                results: results.map(result => ({
+                    noteId: result.note_id,
+                    noteName: result.note_name,
+                    boxId: result.box_id,
+                    text: result.text,
+                    score: result.score
+                }))
+            };
+        } catch (error) {
+            console.warn("Semantic search is not available, using keyword search", error);
+        }
     }
 
-    if (normalized.startsWith("#")) {
-        return normalized.length === 4 || normalized.length === 7 ? normalized.toUpperCase() : "#f1f1f1";
-    }
+    return { mode: "keyword", results: keywordSearch(query) };
+}
 
-    if (normalized.startsWith("rgb")) {
-        const rgb = normalized.match(/rgb\(\s*(\d+),\s*(\d+),\s*(\d+)\s*\)/);
-        if (rgb) {
-            return rgbToHex(parseInt(rgb[1], 10), parseInt(rgb[2], 10), parseInt(rgb[3], 10));
+/**
+ * Ranks the sections and boxes of every saved note by how many of the query's
+ * words they contain. The open note is searched in its current state.
+ * @param {string} query - The search query.
+ * @returns {{noteId: string, noteName: string, boxId: string|null, text: string, score: number}[]} The matches, best first.
+ */
+function keywordSearch(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+
+    const notes = workspace.notes.length
+        ? workspace.notes.map(note => note.id === workspace.currentId ? { ...note, data: serializeNote() } : note)
+        : [{ id: null, name: "This note", data: serializeNote() }];
+
+    const results = [];
+    const consider = (note, boxId, text) => {
+        const lower = text.toLowerCase();
+        const matched = terms.filter(term => lower.includes(term)).length;
+        if (matched) {
+            results.push({ noteId: note.id, noteName: note.name, boxId, text: text.slice(0, 200), score: matched / terms.length });
         }
+    };
+
+    notes.forEach(note => {
+        const data = migrateNote(note.data);
+        consider(note, null, [data.heading, data.cueText, data.summary].map(htmlToText).join(" ").trim());
+        data.boxes.forEach(box => consider(note, box.id, htmlToText(box.html)));
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, 20);
+}
+
+/**
+ * Runs a search for the text in the search bar and lists the results below it.
+ * @returns {Promise<void>}
+ */
+async function runSearch() {
+    const query = document.getElementById("searchInput").value.trim();
+    const list = document.getElementById("searchResults");
+    if (!query) {
+        list.hidden = true;
+        return;
     }
 
-    if (normalized.startsWith("hsl")) {
-        const hsl = normalized.match(/hsl\(\s*(\d+),\s*(\d+)%,\s*(\d+)%\s*\)/);
-        if (hsl) {
-            return hslToHex(parseInt(hsl[1], 10), parseInt(hsl[2], 10), parseInt(hsl[3], 10));
-        }
+    list.hidden = false;
+    list.textContent = "Searching…";
+    const { mode, results } = await searchNotes(query);
+
+    list.innerHTML = "";
+    const header = document.createElement("small");
+    header.className = "search-results__mode";
+    header.textContent = mode === "semantic" ? "🧠 Results by meaning" : "🔤 Keyword results";
+    list.appendChild(header);
+
+    if (!results.length) {
+        const empty = document.createElement("p");
+        empty.className = "side-panel__empty";
+        empty.textContent = "Nothing found.";
+        list.appendChild(empty);
+        return;
     }
 
-    console.warn("Invalid Color ", color);
-    return "#f1f1f1";
+    results.forEach(result => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "search-results__item";
+
+        const title = document.createElement("strong");
+        title.textContent = result.boxId ? `${result.noteName} · Box# ${result.boxId}` : result.noteName;
+        const snippet = document.createElement("small");
+        snippet.textContent = result.text.length > 90 ? `${result.text.slice(0, 90)}…` : result.text;
+        item.append(title, snippet);
+
+        item.addEventListener("click", () => openSearchResult(result));
+        list.appendChild(item);
+    });
 }
 
 /**
- * Converts RGB color values to a hexadecimal color string.
- * @param {number} r - The red color value (0-255).
- * @param {number} g - The green color value (0-255).
- * @param {number} b - The blue color value (0-255).
- * @returns {string} The hexadecimal representation of the RGB color.
+ * Opens the note of a search result and jumps to the matching box.
+ * @param {{noteId: string|null, boxId: string|null}} result - The search result.
+ * @returns {Promise<void>}
  */
-function rgbToHex(r, g, b) {
-    return `#${(1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1).toUpperCase()}`;
+async function openSearchResult({ noteId, boxId }) {
+    document.getElementById("searchResults").hidden = true;
+    await openNoteBox(noteId, boxId);
 }
 
 /**
- * Converts HSL color values to a hexadecimal color string.
- * @param {number} h - The hue value (0-360).
- * @param {number} s - The saturation value (0-100).
- * @param {number} l - The lightness value (0-100).
- * @returns {string} The hexadecimal representation of the HSL color.
+ * Scrolls a box into view and makes it glow for a moment.
+ * @param {string} id - The ID of the box.
+ * @param {string} [color="#facc15"] - The glow color.
  */
-function hslToHex(h, s, l) {
-    s /= 100;
-    l /= 100;
-    let c = (1 - Math.abs(2 * l - 1)) * s;
-    let x = c * (1 - Math.abs(((h / 60) % 2) - 1));
-    let m = l - c / 2;
-    let r, g, b;
-    if (h >= 0 && h < 60) {
-        r = c;
-        g = x;
-        b = 0;
-    } else if (h >= 60 && h < 120) {
-        r = x;
-        g = c;
-        b = 0;
-    } else if (h >= 120 && h < 180) {
-        r = 0;
-        g = c;
-        b = x;
-    } else if (h >= 180 && h < 240) {
-        r = 0;
-        g = x;
-        b = c;
-    } else if (h >= 240 && h < 300) {
-        r = x;
-        g = 0;
-        b = c;
-    } else {
-        r = c;
-        g = 0;
-        b = x;
-    }
-    r = Math.round((r + m) * 255);
-    g = Math.round((g + m) * 255);
-    b = Math.round((b + m) * 255);
-    return `#${(1 << 24 | r << 16 | g << 8 | b).toString(16).slice(1).toUpperCase()}`;
+function focusBox(id, color = "#facc15") {
+    const box = document.getElementById(id);
+    if (!box || !boxes.has(id)) return;
+
+    revealBox(id);
+    centerOn(box);
+    document.documentElement.style.setProperty("--glow-color", color);
+    box.classList.add("glow");
+    setTimeout(() => box.classList.remove("glow"), SEARCH_GLOW_MS);
 }
 
 // --------------------------------------------------------------------------
-// new additions
-// --------------------------------------------------------------------------
-
- // --------------------------------------------------------------------------
-// Download Functionality
+// Note Info and Graph Statistics
 // --------------------------------------------------------------------------
-function download() {
-    const data = {
-        heading: document.getElementById("heading").innerText.trim(),
-        cueText: document.getElementById("text").innerText.trim(),
-        summary: document.getElementById("notesText").innerText.trim(),
-        boxes: [...boxes.entries()].map(([id, { box, lines }]) => ({
-            id,
-            content: box.childNodes[0]?.textContent?.trim() || "",
-            style: {
-                left: box.style.left,
-                top: box.style.top,
-                backgroundColor: box.style.backgroundColor
-            },
-            lines: lines.map(String)
-        }))
-    };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = "treenotes.json";
-    a.click();
+/**
+ * Shows the note info panel with statistics about the open note.
+ */
+function noteInfo() {
+    if (togglePanel("infoPanel", true)) renderNoteInfo();
 }
 
-// --------------------------------------------------------------------------
-// Upload Functionality
-// --------------------------------------------------------------------------
-function upload() {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = "application/json";
-
-    input.onchange = e => {
-        const file = e.target.files[0];
-        if (!file) return;
+/**
+ * Counts the words of a text.
+ * @param {string} text - The text to count.
+ * @returns {number} The number of words.
+ */
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
 
-        const reader = new FileReader();
-        reader.onload = evt => {
-            const data = JSON.parse(evt.target.result);
-
-            document.getElementById("heading").innerText = data.heading || "";
-            document.getElementById("text").innerText = data.cueText || "";
-            document.getElementById("notesText").innerText = data.summary || "";
-            document.getElementById("boxes").innerHTML = '';
-            document.getElementById("lines").innerHTML = '';
-            boxes.clear();
-            totalBoxes = 0;
-
-            (data.boxes || []).forEach(({ id, content, style, lines }) => {
-                const left = parseInt(style?.left, 10) || 0;
-                const top = parseInt(style?.top, 10) || 0;
-                const newBox = createNewBlock(left, top, content, { id });
-
-                if (style?.backgroundColor) {
-                    newBox.style.backgroundColor = style.backgroundColor;
+/**
+ * Collects statistics about the open note and its graph. Boxes and lines
+ * proposed by the AI are not counted until accepted.
+ * @returns {{createdAt: number|null, updatedAt: number|null, boxCount: number, linkCount: number, orphans: string[], components: string[][], mostLinked: {id: string, links: number}[], words: Object<string, number>, brokenHighlights: HTMLElement[]}}
+ */
+function computeNoteStats() {
+    const record = workspace.notes.find(note => note.id === workspace.currentId);
+    const ids = Array.from(boxes.keys()).filter(id => !aiProposals.boxes.has(id));
+    const neighbors = id => boxes.get(id).lines.filter(other => boxes.has(other) && !aiProposals.lines.has(getLineId(id, other)));
+
+    const components = [];
+    const visited = new Set();
+    ids.forEach(id => {
+        if (visited.has(id)) return;
+        const component = [];
+        const stack = [id];
+        visited.add(id);
+        while (stack.length) {
+            const current = stack.pop();
+            component.push(current);
+            neighbors(current).forEach(other => {
+                if (!visited.has(other)) {
+                    visited.add(other);
+                    stack.push(other);
                 }
-
-                const entry = boxes.get(newBox.id);
-                entry.lines = Array.isArray(lines) ? [...new Set(lines.map(String))] : [];
             });
+        }
+        components.push(component);
+    });
 
-            (data.boxes || []).forEach(({ id, lines }) => {
-                (lines || []).forEach(linkId => {
-                    newLine(String(id), String(linkId));
-                });
-            });
-        };
+    const degrees = ids.map(id => ({ id, links: neighbors(id).length }));
+    const sectionText = id => document.getElementById(id).innerText.trim();
+
+    return {
+        createdAt: record?.createdAt ?? null,
+        updatedAt: record?.updatedAt ?? null,
+        boxCount: ids.length,
+        linkCount: degrees.reduce((sum, { links }) => sum + links, 0) / 2,
+        orphans: degrees.filter(({ links }) => links === 0).map(({ id }) => id),
+        components,
+        mostLinked: degrees.filter(({ links }) => links > 0).sort((a, b) => b.links - a.links).slice(0, 5),
+        words: {
+            Heading: countWords(sectionText("headingText")),
+            "Cue column": countWords(sectionText("cueText")),
+            Tree: ids.reduce((sum, id) => sum + countWords(htmlToText(getBoxHtml(boxes.get(id).box))), 0),
+            Summary: countWords(sectionText("notesText"))
+        },
+        brokenHighlights: Array.from(document.querySelectorAll("#cueText .highlight[data-box-id]"))
+            .filter(span => span.dataset.boxId !== "none" && !highlightTargetExists(span))
+    };
+}
 
-        reader.readAsText(file);
+/**
+ * Tells whether the box a highlight links to still exists, in the open note
+ * or in the saved note named by its data-note-id.
+ * @param {HTMLElement} span - The highlight span.
+ * @returns {boolean} True if the linked box exists.
+ */
+function highlightTargetExists(span) {
+    const { boxId, noteId } = span.dataset;
+    if (!noteId || noteId === workspace.currentId) return boxes.has(boxId);
+    const note = workspace.notes.find(other => other.id === noteId);
+    return Boolean(note?.data?.boxes?.some(entry => entry.id === boxId));
+}
+
+/**
+ * Re-renders the note info panel.
+ */
+function renderNoteInfo() {
+    const list = document.getElementById("infoList");
+    if (!list) return;
+
+    const stats = computeNoteStats();
+    const formatTime = time => time ? new Date(time).toLocaleString() : "Not saved yet";
+    list.innerHTML = "";
+
+    const addSection = title => {
+        const heading = document.createElement("strong");
+        heading.className = "info-section";
+        heading.textContent = title;
+        list.appendChild(heading);
+    };
+    const addRow = (label, value) => {
+        const row = document.createElement("div");
+        row.className = "info-row";
+        const name = document.createElement("span");
+        name.textContent = label;
+        const data = document.createElement("span");
+        data.textContent = value;
+        row.append(name, data);
+        list.appendChild(row);
+    };
+    const addBoxLinks = (ids, emptyText) => {
+        const row = document.createElement("div");
+        row.className = "info-boxes";
+        if (!ids.length) row.textContent = emptyText;
+        ids.forEach(({ id, label }) => {
+            const link = document.createElement("button");
+            link.type = "button";
+            link.textContent = label || `#${id}`;
+            link.addEventListener("click", () => focusBox(id));
+            row.appendChild(link);
+        });
+        list.appendChild(row);
     };
 
-    input.click();
+    addSection("🕒 Timeline");
+    addRow("Created", formatTime(stats.createdAt));
+    addRow("Modified", formatTime(stats.updatedAt));
+
+    addSection("🌳 Graph");
+    addRow("Boxes", stats.boxCount);
+    addRow("Links", stats.linkCount);
+    addRow("Connected components", stats.components.length);
+    addRow("Orphan boxes", stats.orphans.length);
+    addBoxLinks(stats.orphans.map(id => ({ id })), "Every box is linked.");
+
+    addSection("🔗 Most linked boxes");
+    addBoxLinks(stats.mostLinked.map(({ id, links }) => ({ id, label: `#${id} (${links})` })), "No links yet.");
+
+    addSection("📝 Word count");
+    Object.entries(stats.words).forEach(([section, words]) => addRow(section, words));
+
+    addSection("⚠️ Highlights linked to deleted boxes");
+    if (!stats.brokenHighlights.length) {
+        const ok = document.createElement("div");
+        ok.className = "info-boxes";
+        ok.textContent = "All highlight links are valid.";
+        list.appendChild(ok);
+    }
+    stats.brokenHighlights.forEach(span => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "info-broken";
+        const note = workspace.notes.find(other => other.id === span.dataset.noteId);
+        item.textContent = `“${span.textContent.trim()}” → ${note ? `${note.name} › ` : ""}Box# ${span.dataset.boxId}`;
+        item.addEventListener("click", () => span.scrollIntoView({ behavior: "smooth", block: "center" }));
+        list.appendChild(item);
+    });
 }
 
 function toggleDarkMode() {
@@ -899,14 +7687,19 @@ function initTreeMenu() {
         event.stopPropagation();
         switch (button.dataset.action) {
             case 'info':
-                if (typeof noteInfo === 'function') {
-                    noteInfo();
-                } else {
-                    alert('Coming soon!');
-                }
+                noteInfo();
                 break;
             case 'help':
-                alert('Coming soon!');
+                showHelp();
+                break;
+            case 'layout-tree':
+                autoLayout('tree');
+                break;
+            case 'layout-radial':
+                autoLayout('radial');
+                break;
+            case 'layout-force':
+                autoLayout('force');
                 break;
             case 'dark':
                 toggleDarkMode();
@@ -930,6 +7723,24 @@ function initTreeMenu() {
 document.addEventListener('DOMContentLoaded', () => {
     setupEditablePlaceholders();
     initTreeMenu();
+    initViewport();
+    initMinimap();
+    initSelection();
+    linkEditorListeners();
+    initFormatting();
+    initLive();
+    initNoteRefs();
+    initCollapse();
+    initWorkspace();
+
+    window.addEventListener('beforeprint', preparePrint);
+    window.addEventListener('afterprint', finishPrint);
+
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') runSearch();
+        if (event.key === 'Escape') document.getElementById('searchResults').hidden = true;
+    });
 
     const menuIcon = document.getElementById('menuIcon');
     const menuPopup = document.getElementById('menuPopup');